@@ -0,0 +1,110 @@
+/**
+ * Netlify Function - Graph integrity audit for contributors
+ * Cycles, self-relations, duplicate edges, orphans, missing references and truncated chains
+ */
+import { createClient } from '@supabase/supabase-js';
+import { auditerGraphe } from './utils/auditGraphe.js';
+import { analyserBudgetParcours, chargerGrapheComplet } from './utils/chaineBeneficiaires.js';
+import { MetricsLogger } from './utils/metrics.js';
+import { initSentry, sentryHandler } from './utils/sentry.js';
+import { createServerlessCache } from './utils/serverlessCache.js';
+
+// Initialiser Sentry
+initSentry();
+
+// Cache unifié : TTL `audit`
+const cache = createServerlessCache('audit');
+
+// Configuration Supabase
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_ANON_KEY;
+
+if (!supabaseUrl || !supabaseKey) {
+  console.error('Missing Supabase configuration');
+}
+
+const supabase = supabaseUrl && supabaseKey ? createClient(supabaseUrl, supabaseKey, {
+  auth: { persistSession: false }
+}) : null;
+
+const auditHandler = async (event) => {
+  const functionName = 'audit';
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  // Même validation que le budget de parcours des chaînes (seule la profondeur s'applique à l'audit)
+  const { profondeur } = event.queryStringParameters || {};
+  const { budget, erreur: erreurBudget } = analyserBudgetParcours({ profondeur });
+
+  if (erreurBudget) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: erreurBudget })
+    };
+  }
+
+  const { profondeurMax } = budget;
+
+  try {
+    if (!supabase) {
+      throw new Error('Supabase not configured');
+    }
+
+    const params = { profondeurMax };
+    let rapport = cache.get('audit', params);
+    const cacheHit = Boolean(rapport);
+
+    if (!rapport) {
+      rapport = {
+        generatedAt: new Date().toISOString(),
+        ...auditerGraphe(await chargerGrapheComplet(supabase), { profondeurMax })
+      };
+      cache.set('audit', rapport, params);
+      console.log('Graph audit:', rapport.resume);
+    }
+
+    MetricsLogger.logCache(functionName, cacheHit);
+
+    return {
+      statusCode: 200,
+      headers: {
+        ...headers,
+        'X-Data-Source': cacheHit ? 'odm-api-audit-cache-unified' : 'odm-api-audit-fresh-unified',
+        'X-Cache': cacheHit ? 'HIT' : 'MISS',
+        'Cache-Control': 'public, s-maxage=600, stale-while-revalidate=60'
+      },
+      body: JSON.stringify(rapport)
+    };
+
+  } catch (error) {
+    MetricsLogger.logError(functionName, error);
+    console.error('Audit endpoint error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Erreur serveur lors de l\'audit du graphe',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      })
+    };
+  }
+};
+
+export const handler = sentryHandler(auditHandler);
@@ -0,0 +1,175 @@
+/**
+ * Netlify Function - GTIN/EAN barcode to brand lookup (mobile scanning)
+ * Longest GS1 company prefix match, same brand shape as /api/marques?search=
+ */
+import { createClient } from '@supabase/supabase-js';
+import { normaliserPrefixe, trouverPlusLongPrefixe, validerGtin } from './utils/gtin.js';
+import { MetricsLogger } from './utils/metrics.js';
+import { extraireParametreChemin } from './utils/routage.js';
+import { initSentry, sentryHandler } from './utils/sentry.js';
+import { createServerlessCache } from './utils/serverlessCache.js';
+import { construireRequeteMarques, transformerMarque } from './utils/transformationMarques.js';
+import { enTetesVersion, versionDemandee } from './utils/versionApi.js';
+
+// Initialiser Sentry
+initSentry();
+
+// Cache unifié : préfixes GS1 (`prefixes_gs1`) et marques résolues (`marques_search`)
+const cache = createServerlessCache('barcode');
+
+// Configuration Supabase
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_ANON_KEY;
+
+if (!supabaseUrl || !supabaseKey) {
+  console.error('Missing Supabase configuration');
+}
+
+const supabase = supabaseUrl && supabaseKey ? createClient(supabaseUrl, supabaseKey, {
+  auth: { persistSession: false }
+}) : null;
+
+/**
+ * Préfixes GS1 triés du plus long au plus court (plus long préfixe en premier)
+ */
+async function chargerPrefixes() {
+  const cached = cache.get('prefixes_gs1');
+  if (cached) return cached;
+
+  const { data, error } = await supabase
+    .from('marque_prefixe_gs1')
+    .select('marque_id, prefixe');
+
+  if (error) throw error;
+
+  const prefixes = (data || [])
+    .map(ligne => ({ marque_id: ligne.marque_id, prefixe: normaliserPrefixe(ligne.prefixe) }))
+    .filter(ligne => ligne.marque_id && ligne.prefixe)
+    .sort((a, b) => b.prefixe.length - a.prefixe.length);
+
+  cache.set('prefixes_gs1', prefixes);
+  return prefixes;
+}
+
+const barcodeHandler = async (event) => {
+  const functionName = 'barcode';
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  const code = extraireParametreChemin(event, /\/barcode\/([^/]+)\/?$/, 'gtin');
+  const validation = validerGtin(code);
+
+  if (!validation.valide) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: validation.erreur, gtin: validation.gtin })
+    };
+  }
+
+  // Même négociation que /api/marques : marques_indirectes en arbre avec v=2
+  const version = versionDemandee(event);
+
+  if (!version) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Version non supportée (v=1 ou v=2)' })
+    };
+  }
+
+  try {
+    if (!supabase) {
+      throw new Error('Supabase not configured');
+    }
+
+    const prefixes = await chargerPrefixes();
+    const correspondance = trouverPlusLongPrefixe(prefixes, validation.gtin13);
+
+    if (!correspondance) {
+      return {
+        statusCode: 404,
+        headers: {
+          ...headers,
+          'Cache-Control': 'public, s-maxage=600, stale-while-revalidate=60'
+        },
+        body: JSON.stringify({ error: 'Aucune marque associée à ce code-barres', gtin: validation.gtin })
+      };
+    }
+
+    // Même format que /api/marques?search= (chaîne complète), mis en cache par marque
+    const params = { marqueId: correspondance.marque_id, version };
+    let marque = cache.get('marques_search', params);
+    const cacheHit = Boolean(marque);
+
+    if (!marque) {
+      const { data: marques, error } = await construireRequeteMarques(supabase)
+        .eq('id', correspondance.marque_id);
+
+      if (error) throw error;
+
+      if (!marques || marques.length === 0) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Marque associée introuvable', gtin: validation.gtin })
+        };
+      }
+
+      marque = await transformerMarque(supabase, marques[0], { avecChaine: true, version });
+      cache.set('marques_search', marque, params);
+    }
+
+    MetricsLogger.logCache(functionName, cacheHit);
+
+    return {
+      statusCode: 200,
+      headers: {
+        ...headers,
+        ...enTetesVersion(version),
+        'X-Data-Source': cacheHit ? 'odm-api-barcode-cache-unified' : 'odm-api-barcode-fresh-unified',
+        'X-Cache': cacheHit ? 'HIT' : 'MISS',
+        'Cache-Control': 'public, s-maxage=600, stale-while-revalidate=60'
+      },
+      body: JSON.stringify({
+        gtin: validation.gtin,
+        gtin13: validation.gtin13,
+        correspondance: {
+          type: correspondance.type,
+          prefixe: correspondance.prefixe
+        },
+        marque
+      })
+    };
+
+  } catch (error) {
+    MetricsLogger.logError(functionName, error);
+    console.error('Barcode endpoint error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Erreur serveur lors de la recherche par code-barres',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      })
+    };
+  }
+};
+
+export const handler = sentryHandler(barcodeHandler);
@@ -1,6 +1,17 @@
 import { createClient } from '@supabase/supabase-js';
-import { recupererToutesMarquesTransitives } from './utils/marquesTransitives.js';
+import {
+  analyserBudgetParcours,
+  analyserFiltreTypes,
+  cleFiltreTypes,
+  COLONNES_PARTICIPATION_LIAISON,
+  construireChaine,
+  requeteAvecColonnesOptionnelles,
+  selectAvecColonnes,
+  troncature
+} from './utils/chaineBeneficiaires.js';
+import { construireGrapheChaine, exporterGraphe, FORMATS_EXPORT, negocierFormat } from './utils/grapheExport.js';
 import { createServerlessCache } from './utils/serverlessCache.js';
+import { enTetesVersion, versionDemandee } from './utils/versionApi.js';
 
 // Cache unifié pour bénéficiaires
 const cache = createServerlessCache('beneficiaires_chaine');
@@ -30,9 +41,9 @@ const corsHeaders = {
 };
 
 // Fonction utilitaire pour les réponses
-const successResponse = (data) => ({
+const successResponse = (data, version) => ({
   statusCode: 200,
-  headers: corsHeaders,
+  headers: { ...corsHeaders, ...enTetesVersion(version) },
   body: JSON.stringify(data)
 });
 
@@ -42,192 +53,23 @@ const errorResponse = (statusCode, message) => ({
   body: JSON.stringify({ error: message })
 });
 
-// Fonction pour enrichir la chaîne avec les marques liées - traite TOUS les bénéficiaires de la chaîne
-async function enrichirAvecMarquesLiees(chaineNodes, marqueId) {
-  try {
-    // Créer un map des bénéficiaires avec leurs marques liées
-    const beneficiairesEnrichis = new Map();
-    
-    // Traiter chaque bénéficiaire de la chaîne (pas seulement ceux liés à la marque de recherche)
-    for (const node of chaineNodes) {
-      const beneficiaireId = node.beneficiaire.id;
-      
-      console.log(`Enrichissement du bénéficiaire ${beneficiaireId}: ${node.beneficiaire.nom}`);
-      
-      // Récupérer toutes les marques pour ce bénéficiaire
-      const { data: toutesMarquesDuBeneficiaire, error: marquesError } = await supabase
-        .from('Marque_beneficiaire')
-        .select(`
-          Marque!marque_id (id, nom)
-        `)
-        .eq('beneficiaire_id', beneficiaireId);
-      
-      if (marquesError) {
-        console.error(`Erreur récupération marques pour bénéficiaire ${beneficiaireId}:`, marquesError);
-        continue;
-      }
-      
-      const toutesMarques = toutesMarquesDuBeneficiaire?.map(m => ({
-        id: m.Marque.id,
-        nom: m.Marque.nom
-      })) || [];
-
-      console.log(`Bénéficiaire ${node.beneficiaire.nom} - Toutes marques:`, toutesMarques.length);
-
-      // Calculer les marques directes (exclure la marque actuelle de recherche)
-      const marques_directes = toutesMarques.filter(m => m.id !== marqueId);
-
-      // Utiliser la fonction récursive partagée
-      const marquesTransitives = await recupererToutesMarquesTransitives(
-        supabase,
-        beneficiaireId,
-        marqueId,
-        new Set(),
-        5
-      );
-      
-      const marques_indirectes = marquesTransitives.marquesIndirectes;
-
-      console.log(`Résultat pour ${node.beneficiaire.nom}:`, {
-        marques_directes: marques_directes.length,
-        marques_indirectes: Object.keys(marques_indirectes).length
-      });
-
-      beneficiairesEnrichis.set(beneficiaireId, {
-        marques_directes,
-        marques_indirectes
-      });
-    }
-
-    // Enrichir chaque node de la chaîne avec les marques liées
-    return chaineNodes.map(node => {
-      const enrichissement = beneficiairesEnrichis.get(node.beneficiaire.id);
-      if (enrichissement) {
-        return {
-          ...node,
-          marques_directes: enrichissement.marques_directes,
-          marques_indirectes: enrichissement.marques_indirectes
-        };
-      }
-      // Fallback avec tableaux vides
-      return {
-        ...node,
-        marques_directes: [],
-        marques_indirectes: {}
-      };
-    });
-
-  } catch (error) {
-    console.error('Erreur lors de l\'enrichissement avec les marques liées:', error);
-    return chaineNodes.map(node => ({
-      ...node,
-      marques_directes: [],
-      marques_indirectes: {}
-    }));
+// Réponse JSON (v1 historique ou v2) ou export du graphe de la chaîne (GraphML, GEXF, DOT, Cytoscape)
+const chaineResponse = (resultat, format, version) => {
+  if (format === 'json') {
+    return successResponse(resultat, version);
   }
-}
-
-// Algorithme récursif pour construire la chaîne de bénéficiaires
-async function construireChaineRecursive(beneficiaireId, niveauActuel, visitedIds, profondeurMax = 5, lienFinancierParent = '') {
-  // Éviter les cycles infinis et limiter la profondeur
-  if (niveauActuel >= profondeurMax || visitedIds.has(beneficiaireId)) {
-    return [];
-  }
-
-  // Marquer ce bénéficiaire comme visité
-  visitedIds.add(beneficiaireId);
-
-  try {
-    // Récupérer le bénéficiaire actuel
-    const { data: beneficiaire, error: beneficiaireError } = await supabase
-      .from('Beneficiaires')
-      .select(`
-        id,
-        nom,
-        impact_generique,
-        type_beneficiaire,
-        created_at,
-        updated_at,
-        controverses:controverse_beneficiaire(*,Categorie!controverse_beneficiaire_categorie_id_fkey(*))
-      `)
-      .eq('id', beneficiaireId)
-      .single();
-
-    if (beneficiaireError || !beneficiaire) {
-      visitedIds.delete(beneficiaireId);
-      return [];
-    }
-
-    // Récupérer les relations suivantes
-    const { data: relations } = await supabase
-      .from('beneficiaire_relation')
-      .select(`
-        id,
-        beneficiaire_source_id,
-        beneficiaire_cible_id,
-        description_relation,
-        created_at,
-        updated_at
-      `)
-      .eq('beneficiaire_source_id', beneficiaireId);
-
-    const relationsSuivantes = (relations || []).map(rel => ({
-      id: rel.id,
-      beneficiaire_source_id: rel.beneficiaire_source_id,
-      beneficiaire_cible_id: rel.beneficiaire_cible_id,
-      type_relation: 'actionnaire', // Valeur par défaut
-      description_relation: rel.description_relation,
-      created_at: rel.created_at,
-      updated_at: rel.updated_at
-    }));
-
-    // Les marques liées seront récupérées plus tard via l'endpoint /marques optimisé
-    const marquesDirectesFormattees = [];
-    const marquesIndirectes = {};
-
-    // Créer le nœud actuel
-    const nodeActuel = {
-      beneficiaire: {
-        id: beneficiaire.id,
-        nom: beneficiaire.nom,
-        controverses: beneficiaire.controverses || [],
-        impact_generique: beneficiaire.impact_generique,
-        type_beneficiaire: beneficiaire.type_beneficiaire,
-        created_at: beneficiaire.created_at,
-        updated_at: beneficiaire.updated_at
-      },
-      niveau: niveauActuel,
-      relations_suivantes: relationsSuivantes,
-      lien_financier: lienFinancierParent || 'Lien financier non défini',
-      marques_directes: marquesDirectesFormattees,
-      marques_indirectes: marquesIndirectes
-    };
 
-    // Résultat de la chaîne commençant par ce nœud
-    const resultat = [nodeActuel];
-
-    // Récursivement construire les chaînes suivantes
-    for (const relation of relationsSuivantes) {
-      if (relation.beneficiaire_cible_id && !visitedIds.has(relation.beneficiaire_cible_id)) {
-        const chainesSuivantes = await construireChaineRecursive(
-          relation.beneficiaire_cible_id,
-          niveauActuel + 1,
-          new Set(visitedIds), // Nouvelle copie pour chaque branche
-          profondeurMax,
-          relation.description_relation || 'Participation financière'
-        );
-        resultat.push(...chainesSuivantes);
-      }
-    }
-
-    visitedIds.delete(beneficiaireId);
-    return resultat;
-  } catch (error) {
-    console.error(`Erreur lors de la construction de la chaîne pour bénéficiaire ${beneficiaireId}:`, error);
-    visitedIds.delete(beneficiaireId);
-    return [];
-  }
-}
+  const exportGraphe = exporterGraphe(construireGrapheChaine(resultat), format, `chaine-marque-${resultat.marque_id}`);
+  return {
+    statusCode: 200,
+    headers: {
+      ...corsHeaders,
+      ...exportGraphe.headers,
+      'Vary': 'Accept'
+    },
+    body: exportGraphe.body
+  };
+};
 
 export const handler = async (event) => {
   // Gestion CORS preflight
@@ -239,21 +81,47 @@ export const handler = async (event) => {
     };
   }
 
-  const { marqueId, profondeur } = event.queryStringParameters || {};
+  const { marqueId, profondeur, maxNoeuds, format, types } = event.queryStringParameters || {};
   
   if (!marqueId) {
     return errorResponse(400, 'ID de marque requis');
   }
 
-  const profondeurMax = parseInt(profondeur || '5');
-  const params = { marqueId, profondeurMax };
+  const formatReponse = negocierFormat(format, event.headers?.accept || event.headers?.Accept, 'json');
+
+  if (!formatReponse) {
+    return errorResponse(400, `Format non supporté (json, ${Object.keys(FORMATS_EXPORT).join(', ')})`);
+  }
+
+  const { filtre: filtreTypes, erreur: erreurTypes } = analyserFiltreTypes(types);
+
+  if (erreurTypes) {
+    return errorResponse(400, erreurTypes);
+  }
+
+  // Format v2 (marques_indirectes en arbre) sur demande ; sans effet sur les exports de graphe
+  const version = formatReponse === 'json' ? versionDemandee(event) : 1;
+
+  if (!version) {
+    return errorResponse(400, 'Version non supportée (v=1 ou v=2)');
+  }
+
+  // Budget de parcours borné : profondeur (1 à 10) et nombre de bénéficiaires chargés
+  const { budget, erreur: erreurBudget } = analyserBudgetParcours({ profondeur, maxNoeuds });
+
+  if (erreurBudget) {
+    return errorResponse(400, erreurBudget);
+  }
+
+  const { profondeurMax, noeudsMax } = budget;
+  const params = { marqueId, profondeurMax, noeudsMax, types: cleFiltreTypes(filtreTypes), version };
 
   try {
     // Vérifier le cache unifié
     const cached = cache.get('beneficiaires_chaine', params);
     if (cached) {
       console.log(`Cache hit unifié pour marque ${marqueId}`);
-      return successResponse(cached);
+      return chaineResponse(cached, formatReponse, version);
     }
 
     console.log(`Cache miss pour marque ${marqueId}, construction de la chaîne...`);
@@ -270,21 +138,14 @@ export const handler = async (event) => {
     }
 
     // 2. Récupérer les bénéficiaires directs de cette marque
-    const { data: liaisonsBeneficiaires, error: liaisonsError } = await supabase
+    const { data: liaisonsBeneficiaires, error: liaisonsError } = await requeteAvecColonnesOptionnelles(colonnes => supabase
       .from('Marque_beneficiaire')
-      .select(`
+      .select(selectAvecColonnes(`
         beneficiaire_id,
         lien_financier,
-        impact_specifique,
-        Beneficiaires!marque_beneficiaire_beneficiaire_id_fkey (
-          id,
-          nom,
-          impact_generique,
-          type_beneficiaire,
-          controverses:controverse_beneficiaire(*,Categorie!controverse_beneficiaire_categorie_id_fkey(*))
-        )
-      `)
-      .eq('marque_id', parseInt(marqueId));
+        impact_specifique
+      `, colonnes))
+      .eq('marque_id', parseInt(marqueId)), COLONNES_PARTICIPATION_LIAISON);
 
     if (liaisonsError) {
       console.error('Erreur récupération liaisons bénéficiaires:', liaisonsError);
@@ -296,58 +157,39 @@ export const handler = async (event) => {
         marque_nom: marque.nom,
         marque_id: marque.id,
         chaine: [],
-        profondeur_max: 0
+        profondeur_max: 0,
+        troncature: troncature()
       };
       
       // Cache unifié même les résultats vides
       cache.set('beneficiaires_chaine', resultat, params);
-      return successResponse(resultat);
-    }
-
-    // 3. Construire les chaînes complètes
-    const chaineFusionnee = [];
-
-    for (const liaison of liaisonsBeneficiaires) {
-      if (!liaison.beneficiaire_id) continue;
-
-      const chaine = await construireChaineRecursive(
-        liaison.beneficiaire_id,
-        0, // Niveau 0 pour le bénéficiaire direct
-        new Set(),
-        profondeurMax,
-        liaison.lien_financier || 'Lien financier direct'
-      );
-
-      chaineFusionnee.push(...chaine);
+      return chaineResponse(resultat, formatReponse, version);
     }
 
-    // Supprimer les doublons par ID de bénéficiaire
-    const chaineUnique = chaineFusionnee.filter((node, index, array) => 
-      array.findIndex(n => n.beneficiaire.id === node.beneficiaire.id) === index
+    // 3. Construire la chaîne complète (parcours par niveau + marques liées)
+    const { chaine: chaineEnrichie, troncature: troncatureChaine } = await construireChaine(
+      supabase,
+      liaisonsBeneficiaires,
+      marque.id,
+      profondeurMax,
+      { filtreTypes, version, noeudsMax }
     );
 
-    // Trier par niveau puis par nom
-    chaineUnique.sort((a, b) => {
-      if (a.niveau !== b.niveau) return a.niveau - b.niveau;
-      return a.beneficiaire.nom.localeCompare(b.beneficiaire.nom);
-    });
-
-    // Enrichir avec les marques liées en utilisant l'endpoint /marques optimisé
-    const chaineEnrichie = await enrichirAvecMarquesLiees(chaineUnique, marque.id);
-
     const resultat = {
       marque_nom: marque.nom,
       marque_id: marque.id,
       chaine: chaineEnrichie,
-      profondeur_max: chaineEnrichie.length > 0 ? Math.max(...chaineEnrichie.map(node => node.niveau)) : 0
+      profondeur_max: chaineEnrichie.length > 0 ? Math.max(...chaineEnrichie.map(node => node.niveau)) : 0,
+      // Parcours coupé par le budget : frontier_ids à charger avec une profondeur ou un maxNoeuds plus grand
+      troncature: troncatureChaine
     };
 
     // Cache unifié avec TTL automatique
     cache.set('beneficiaires_chaine', resultat, params);
 
-    console.log(`Chaîne construite pour ${marque.nom}: ${chaineUnique.length} nœuds, profondeur ${resultat.profondeur_max}`);
+    console.log(`Chaîne construite pour ${marque.nom}: ${chaineEnrichie.length} nœuds, profondeur ${resultat.profondeur_max}`);
 
-    return successResponse(resultat);
+    return chaineResponse(resultat, formatReponse, version);
 
   } catch (error) {
     console.error('Erreur dans beneficiaires-chaine:', error);
@@ -0,0 +1,199 @@
+/**
+ * Netlify Function - Upstream brand lookup for a beneficiary
+ * All brands that ultimately fund a beneficiary, grouped by intermediary path
+ */
+import { createClient } from '@supabase/supabase-js';
+import {
+  analyserBudgetParcours,
+  analyserFiltreTypes,
+  calculerMarquesTransitives,
+  chargerGrapheAmont,
+  cleFiltreTypes,
+  construireArbreMarquesIndirectes,
+  creerBudgetChemins,
+  idsMarquesTransitives,
+  profondeurArbreMarquesIndirectes,
+  troncatureAvecChemins
+} from './utils/chaineBeneficiaires.js';
+import { MetricsLogger } from './utils/metrics.js';
+import { extraireParametreChemin } from './utils/routage.js';
+import { initSentry, sentryHandler } from './utils/sentry.js';
+import { createServerlessCache } from './utils/serverlessCache.js';
+import { enTetesVersion, versionDemandee } from './utils/versionApi.js';
+
+// Initialiser Sentry
+initSentry();
+
+// Cache unifié : TTL `beneficiaires_marques`
+const cache = createServerlessCache('beneficiaires_marques');
+
+// Configuration Supabase
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_ANON_KEY;
+
+if (!supabaseUrl || !supabaseKey) {
+  console.error('Missing Supabase configuration');
+}
+
+const supabase = supabaseUrl && supabaseKey ? createClient(supabaseUrl, supabaseKey, {
+  auth: { persistSession: false }
+}) : null;
+
+const beneficiairesMarquesHandler = async (event) => {
+  const functionName = 'beneficiaires-marques';
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  const beneficiaireId = parseInt(extraireParametreChemin(event, /\/beneficiaires\/([^/]+)\/marques\/?$/, 'id'));
+  const { profondeur, maxNoeuds, types } = event.queryStringParameters || {};
+  const { budget, erreur: erreurBudget } = analyserBudgetParcours({ profondeur, maxNoeuds });
+  const { filtre: filtreTypes, erreur: erreurTypes } = analyserFiltreTypes(types);
+  const version = versionDemandee(event);
+
+  if (!Number.isInteger(beneficiaireId) || beneficiaireId <= 0) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'ID de bénéficiaire requis' })
+    };
+  }
+
+  if (erreurBudget) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: erreurBudget })
+    };
+  }
+
+  if (erreurTypes) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: erreurTypes })
+    };
+  }
+
+  if (!version) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Version non supportée (v=1 ou v=2)' })
+    };
+  }
+
+  try {
+    if (!supabase) {
+      throw new Error('Supabase not configured');
+    }
+
+    const { profondeurMax, noeudsMax } = budget;
+    const params = { beneficiaireId, ...budget, types: cleFiltreTypes(filtreTypes), version };
+    const cached = cache.get('beneficiaires_marques', params);
+
+    if (cached) {
+      MetricsLogger.logCache(functionName, true);
+      return {
+        statusCode: 200,
+        headers: {
+          ...headers,
+          ...enTetesVersion(version),
+          'X-Data-Source': 'odm-api-beneficiaires-marques-cache-unified',
+          'X-Cache': 'HIT',
+          'Cache-Control': 'public, s-maxage=900, stale-while-revalidate=1800'
+        },
+        body: JSON.stringify(cached)
+      };
+    }
+
+    const { data: beneficiaire, error: beneficiaireError } = await supabase
+      .from('Beneficiaires')
+      .select('id, nom, type_beneficiaire')
+      .eq('id', beneficiaireId)
+      .maybeSingle();
+
+    if (beneficiaireError) throw beneficiaireError;
+
+    if (!beneficiaire) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({ error: 'Bénéficiaire non trouvé' })
+      };
+    }
+
+    // Remontée des relations (cible ← source) niveau par niveau, puis calcul en mémoire
+    // Aucune marque exclue : toutes les marques qui financent le bénéficiaire
+    const graphe = await chargerGrapheAmont(supabase, [beneficiaireId], profondeurMax, { filtreTypes, noeudsMax });
+    // Un budget de chemins amont par calcul : le nombre de chemins simples croît exponentiellement
+    const budgetTransitives = creerBudgetChemins();
+    const budgetArbre = creerBudgetChemins();
+    const { marquesDirectes, marquesIndirectes } = calculerMarquesTransitives(
+      graphe,
+      beneficiaireId,
+      null,
+      new Set(),
+      profondeurMax,
+      budgetTransitives
+    );
+
+    const arbre = construireArbreMarquesIndirectes(graphe, beneficiaireId, null, profondeurMax, budgetArbre);
+
+    const resultat = {
+      beneficiaire,
+      marques_directes: marquesDirectes,
+      // v2 : arbre des intermédiaires avec leurs IDs, v1 : clés "A → B"
+      marques_indirectes: version === 2 ? arbre : marquesIndirectes,
+      // Marques distinctes, qu'elles soient directes ou via un intermédiaire
+      total_marques: idsMarquesTransitives({ marquesDirectes, marquesIndirectes }).size,
+      // Nombre d'intermédiaires du plus long chemin ("A → B" = 2), sur l'arbre parcouru
+      profondeur_max: profondeurArbreMarquesIndirectes(arbre),
+      troncature: troncatureAvecChemins(graphe.troncature, budgetTransitives, budgetArbre)
+    };
+
+    cache.set('beneficiaires_marques', resultat, params);
+    MetricsLogger.logCache(functionName, false);
+
+    return {
+      statusCode: 200,
+      headers: {
+        ...headers,
+        ...enTetesVersion(version),
+        'X-Data-Source': 'odm-api-beneficiaires-marques-fresh-unified',
+        'X-Cache': 'MISS',
+        'Cache-Control': 'public, s-maxage=900, stale-while-revalidate=1800'
+      },
+      body: JSON.stringify(resultat)
+    };
+
+  } catch (error) {
+    MetricsLogger.logError(functionName, error);
+    console.error('Beneficiary brands endpoint error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Erreur serveur lors de la récupération des marques du bénéficiaire',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      })
+    };
+  }
+};
+
+export const handler = sentryHandler(beneficiairesMarquesHandler);
@@ -0,0 +1,334 @@
+/**
+ * Netlify Function - Beneficiary directory and detail
+ * List with search / type filter / pagination, detail with controversies, brands and relations
+ */
+import { createClient } from '@supabase/supabase-js';
+import {
+  calculerMarquesTransitives,
+  chargerGrapheAmont,
+  COLONNES_PARTICIPATION_LIAISON,
+  COLONNES_PARTICIPATION_RELATION,
+  idsMarquesTransitives,
+  PROFONDEUR_MAX_DEFAUT,
+  requeteAvecColonnesOptionnelles,
+  selectAvecColonnes
+} from './utils/chaineBeneficiaires.js';
+import { MetricsLogger } from './utils/metrics.js';
+import { extraireParametreChemin } from './utils/routage.js';
+import { initSentry, sentryHandler } from './utils/sentry.js';
+import { createServerlessCache } from './utils/serverlessCache.js';
+
+// Initialiser Sentry
+initSentry();
+
+// Cache unifié : liste (`beneficiaires`) et fiches (`beneficiaires_detail`)
+const cache = createServerlessCache('beneficiaires');
+
+// Configuration Supabase
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_ANON_KEY;
+
+if (!supabaseUrl || !supabaseKey) {
+  console.error('Missing Supabase configuration');
+}
+
+const supabase = supabaseUrl && supabaseKey ? createClient(supabaseUrl, supabaseKey, {
+  auth: { persistSession: false }
+}) : null;
+
+const LIMITE_DEFAUT = 50;
+const LIMITE_MAX = 200;
+
+/**
+ * Terme de recherche pris littéralement dans un motif ILIKE (`%`, `_` et `\` échappés)
+ */
+function echapperMotif(terme) {
+  return terme.replace(/[\\%_]/g, caractere => `\\${caractere}`);
+}
+
+/**
+ * Liste paginée des bénéficiaires (compteurs de controverses et de marques directes)
+ * @returns {Object} { beneficiaires, total }
+ */
+async function listerBeneficiaires({ search, type, limit, offset }) {
+  let query = supabase
+    .from('Beneficiaires')
+    .select(`
+      id,
+      nom,
+      type_beneficiaire,
+      impact_generique,
+      created_at,
+      updated_at,
+      controverses:controverse_beneficiaire(count),
+      marques:Marque_beneficiaire!marque_beneficiaire_beneficiaire_id_fkey(count)
+    `, { count: 'exact' })
+    .order('nom');
+
+  if (search) {
+    query = query.ilike('nom', `%${echapperMotif(search)}%`);
+  }
+
+  if (type) {
+    query = query.eq('type_beneficiaire', type);
+  }
+
+  const { data, error, count } = await query.range(offset, offset + limit - 1);
+
+  if (error) throw error;
+
+  const beneficiaires = (data || []).map(({ controverses, marques, ...beneficiaire }) => ({
+    ...beneficiaire,
+    nb_controverses: controverses?.[0]?.count || 0,
+    nb_marques_directes: marques?.[0]?.count || 0
+  }));
+
+  return { beneficiaires, total: count ?? beneficiaires.length };
+}
+
+/**
+ * Fiche complète d'un bénéficiaire
+ * @returns {Object|null} null si le bénéficiaire n'existe pas
+ */
+async function construireFicheBeneficiaire(beneficiaireId) {
+  const { data: beneficiaire, error } = await supabase
+    .from('Beneficiaires')
+    .select(`
+      id,
+      nom,
+      impact_generique,
+      type_beneficiaire,
+      created_at,
+      updated_at,
+      controverses:controverse_beneficiaire(*,Categorie!controverse_beneficiaire_categorie_id_fkey(*))
+    `)
+    .eq('id', beneficiaireId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!beneficiaire) return null;
+
+  const [
+    { data: liaisons, error: liaisonsError },
+    { data: relationsSortantes, error: sortantesError },
+    { data: relationsEntrantes, error: entrantesError },
+    graphe
+  ] = await Promise.all([
+    requeteAvecColonnesOptionnelles(colonnes => supabase
+      .from('Marque_beneficiaire')
+      .select(selectAvecColonnes(`
+        id,
+        lien_financier,
+        impact_specifique,
+        Marque!marque_id (id, nom)
+      `, colonnes))
+      .eq('beneficiaire_id', beneficiaireId), COLONNES_PARTICIPATION_LIAISON),
+    requeteAvecColonnesOptionnelles(colonnes => supabase
+      .from('beneficiaire_relation')
+      .select(selectAvecColonnes(`
+        id,
+        beneficiaire_source_id,
+        beneficiaire_cible_id,
+        type_relation,
+        description_relation,
+        beneficiaire_cible:Beneficiaires!beneficiaire_relation_beneficiaire_cible_id_fkey (
+          id,
+          nom,
+          type_beneficiaire
+        )
+      `, colonnes))
+      .eq('beneficiaire_source_id', beneficiaireId), COLONNES_PARTICIPATION_RELATION),
+    requeteAvecColonnesOptionnelles(colonnes => supabase
+      .from('beneficiaire_relation')
+      .select(selectAvecColonnes(`
+        id,
+        beneficiaire_source_id,
+        beneficiaire_cible_id,
+        type_relation,
+        description_relation,
+        beneficiaire_source:Beneficiaires!beneficiaire_relation_beneficiaire_source_id_fkey (
+          id,
+          nom,
+          type_beneficiaire
+        )
+      `, colonnes))
+      .eq('beneficiaire_cible_id', beneficiaireId), COLONNES_PARTICIPATION_RELATION),
+    chargerGrapheAmont(supabase, [beneficiaireId], PROFONDEUR_MAX_DEFAUT)
+  ]);
+
+  if (liaisonsError) throw liaisonsError;
+  if (sortantesError) throw sortantesError;
+  if (entrantesError) throw entrantesError;
+
+  const marquesDirectes = (liaisons || [])
+    .filter(liaison => liaison.Marque)
+    .map(liaison => ({
+      id: liaison.Marque.id,
+      nom: liaison.Marque.nom,
+      lien_financier: liaison.lien_financier,
+      impact_specifique: liaison.impact_specifique,
+      pourcentage_participation: liaison.pourcentage_participation ?? null,
+      nature_lien: liaison.nature_lien ?? null
+    }));
+
+  // Marques atteintes uniquement via des intermédiaires (hors marques directes)
+  const idsDirects = new Set(marquesDirectes.map(m => m.id));
+  const idsTransitifs = idsMarquesTransitives(
+    calculerMarquesTransitives(graphe, beneficiaireId, null, new Set(), PROFONDEUR_MAX_DEFAUT)
+  );
+  const nbMarquesIndirectes = Array.from(idsTransitifs).filter(id => !idsDirects.has(id)).length;
+
+  const { controverses, ...beneficiaireClean } = beneficiaire;
+
+  return {
+    ...beneficiaireClean,
+    controverses: (controverses || []).map(({ Categorie, ...controverse }) => ({
+      ...controverse,
+      categorie: Categorie || null
+    })),
+    marques_directes: marquesDirectes,
+    // Bénéficiaires financés par celui-ci (source → cible)
+    relations_sortantes: (relationsSortantes || []).map(({ beneficiaire_cible, ...relation }) => ({
+      ...relation,
+      beneficiaire_cible: beneficiaire_cible || null
+    })),
+    // Bénéficiaires qui financent celui-ci (détail : /api/beneficiaires/:id/marques)
+    relations_entrantes: (relationsEntrantes || []).map(({ beneficiaire_source, ...relation }) => ({
+      ...relation,
+      beneficiaire_source: beneficiaire_source || null
+    })),
+    nb_marques_directes: marquesDirectes.length,
+    nb_marques_indirectes: nbMarquesIndirectes,
+    nb_marques_total: marquesDirectes.length + nbMarquesIndirectes
+  };
+}
+
+const beneficiairesHandler = async (event) => {
+  const functionName = 'beneficiaires';
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Expose-Headers': 'X-Total-Count',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  const idBrut = extraireParametreChemin(event, /\/beneficiaires\/([^/]+)\/?$/, 'id');
+
+  try {
+    if (!supabase) {
+      throw new Error('Supabase not configured');
+    }
+
+    // Fiche : /api/beneficiaires/:id
+    if (idBrut) {
+      const beneficiaireId = parseInt(idBrut);
+
+      if (!Number.isInteger(beneficiaireId) || beneficiaireId <= 0 || String(beneficiaireId) !== idBrut) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'ID de bénéficiaire invalide' })
+        };
+      }
+
+      const params = { beneficiaireId };
+      let fiche = cache.get('beneficiaires_detail', params);
+      const cacheHit = Boolean(fiche);
+
+      if (!fiche) {
+        fiche = await construireFicheBeneficiaire(beneficiaireId);
+
+        if (!fiche) {
+          return {
+            statusCode: 404,
+            headers,
+            body: JSON.stringify({ error: 'Bénéficiaire non trouvé' })
+          };
+        }
+
+        cache.set('beneficiaires_detail', fiche, params);
+      }
+
+      MetricsLogger.logCache(functionName, cacheHit);
+
+      return {
+        statusCode: 200,
+        headers: {
+          ...headers,
+          'X-Data-Source': cacheHit ? 'odm-api-beneficiaires-cache-unified' : 'odm-api-beneficiaires-fresh-unified',
+          'X-Cache': cacheHit ? 'HIT' : 'MISS',
+          'Cache-Control': 'public, s-maxage=900, stale-while-revalidate=1800'
+        },
+        body: JSON.stringify(fiche)
+      };
+    }
+
+    // Annuaire : /api/beneficiaires?search=&type_beneficiaire=&limit=&offset=
+    const { search, type_beneficiaire, limit = String(LIMITE_DEFAUT), offset = '0' } = event.queryStringParameters || {};
+    const limite = parseInt(limit);
+    const decalage = parseInt(offset);
+
+    if (!Number.isInteger(limite) || limite < 1 || limite > LIMITE_MAX || !Number.isInteger(decalage) || decalage < 0) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: `Pagination invalide (limit entre 1 et ${LIMITE_MAX}, offset positif)` })
+      };
+    }
+
+    const params = {
+      search: (search || '').toLowerCase().trim(),
+      type: type_beneficiaire || '',
+      limit: limite,
+      offset: decalage
+    };
+    let page = cache.get('beneficiaires', params);
+    const cacheHit = Boolean(page);
+
+    if (!page) {
+      page = await listerBeneficiaires({ ...params, search: search?.trim() });
+      cache.set('beneficiaires', page, params);
+    }
+
+    MetricsLogger.logCache(functionName, cacheHit);
+
+    return {
+      statusCode: 200,
+      headers: {
+        ...headers,
+        'X-Data-Source': cacheHit ? 'odm-api-beneficiaires-cache-unified' : 'odm-api-beneficiaires-fresh-unified',
+        'X-Cache': cacheHit ? 'HIT' : 'MISS',
+        'X-Total-Count': String(page.total),
+        'Cache-Control': 'public, s-maxage=900, stale-while-revalidate=1800'
+      },
+      body: JSON.stringify(page.beneficiaires)
+    };
+
+  } catch (error) {
+    MetricsLogger.logError(functionName, error);
+    console.error('Beneficiaries endpoint error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Erreur serveur lors de la récupération des bénéficiaires',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      })
+    };
+  }
+};
+
+export const handler = sentryHandler(beneficiairesHandler);
@@ -0,0 +1,161 @@
+/**
+ * Netlify Function - JSON Patch deltas between two dataset versions
+ * Patches apply to the /api/marques list response (default parameters)
+ */
+import { createClient } from '@supabase/supabase-js';
+import {
+  chargerSnapshots,
+  construireSnapshotCourant,
+  enregistrerSnapshot,
+  listerVersionsDisponibles
+} from './utils/historiqueSnapshots.js';
+import { genererPatch } from './utils/jsonPatch.js';
+import { MetricsLogger } from './utils/metrics.js';
+import { initSentry, sentryHandler } from './utils/sentry.js';
+import { createServerlessCache } from './utils/serverlessCache.js';
+
+// Initialiser Sentry
+initSentry();
+
+// Cache unifié : `snapshot_courant` (snapshot et checksum lus ensemble) et `diff` (patches déjà calculés)
+const cache = createServerlessCache('brands-diff');
+
+// Configuration Supabase
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_ANON_KEY;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+
+if (!supabaseUrl || !supabaseKey) {
+  console.error('Missing Supabase configuration');
+}
+
+const supabase = supabaseUrl && supabaseKey ? createClient(supabaseUrl, supabaseKey, {
+  auth: { persistSession: false }
+}) : null;
+
+// Historique des snapshots partagé entre instances (table marques_snapshot, écriture)
+if (!supabaseServiceKey) {
+  console.warn('[brands-diff] SUPABASE_SERVICE_KEY absente : historique des snapshots désactivé');
+}
+
+const supabaseHistorique = supabaseUrl && supabaseServiceKey ? createClient(supabaseUrl, supabaseServiceKey, {
+  auth: { persistSession: false }
+}) : null;
+
+const brandsDiffHandler = async (event) => {
+  const functionName = 'brands-diff';
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  const { from, to } = event.queryStringParameters || {};
+
+  if (!from) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Paramètre from requis (ETag de /api/marques)' })
+    };
+  }
+
+  try {
+    if (!supabase) {
+      throw new Error('Supabase not configured');
+    }
+
+    // Snapshot courant seulement sans `to` explicite
+    let courant = null;
+    if (!to) {
+      courant = cache.get('snapshot_courant');
+      if (!courant) {
+        courant = await construireSnapshotCourant(supabase, { cache });
+        cache.set('snapshot_courant', courant);
+        await enregistrerSnapshot(supabaseHistorique, courant.checksum, courant.marques);
+      }
+    }
+
+    const cible = to || courant.checksum;
+    const params = { from, to: cible };
+    let operations = cache.get('diff', params);
+    const cacheHit = Boolean(operations);
+
+    if (!operations) {
+      const snapshots = await chargerSnapshots(supabaseHistorique, Array.from(new Set([from, cible])));
+      if (courant) snapshots.set(courant.checksum, courant.marques);
+
+      // Version absente de l'historique : le client doit repartir d'un téléchargement complet
+      if (!snapshots.has(from) || !snapshots.has(cible)) {
+        return {
+          statusCode: 410,
+          headers: {
+            ...headers,
+            'Cache-Control': 'no-store'
+          },
+          body: JSON.stringify({
+            error: 'Version inconnue ou expirée, resynchronisation complète requise',
+            status: 'resync_required',
+            from,
+            to: cible,
+            current: courant ? courant.checksum : null,
+            available_versions: await listerVersionsDisponibles(supabaseHistorique),
+            // false : SUPABASE_SERVICE_KEY absente, aucun historique (seule la version courante est connue)
+            history_enabled: Boolean(supabaseHistorique),
+            resync_url: '/api/marques'
+          })
+        };
+      }
+
+      operations = genererPatch(snapshots.get(from), snapshots.get(cible));
+      cache.set('diff', operations, params);
+    }
+
+    MetricsLogger.logCache(functionName, cacheHit);
+
+    console.log(`Diff ${from} → ${cible}: ${operations.length} operations`);
+    return {
+      statusCode: 200,
+      headers: {
+        ...headers,
+        'Content-Type': 'application/json-patch+json',
+        'X-Data-Source': cacheHit ? 'odm-api-diff-cache-unified' : 'odm-api-diff-fresh-unified',
+        'X-Cache': cacheHit ? 'HIT' : 'MISS',
+        'X-Diff-From': from,
+        'X-Diff-To': cible,
+        // Un patch entre deux checksums donnés ne change jamais ; sans `to`, la cible suit la version courante
+        'Cache-Control': to
+          ? 'public, s-maxage=3600, stale-while-revalidate=60'
+          : 'public, s-maxage=300, stale-while-revalidate=60'
+      },
+      body: JSON.stringify(operations)
+    };
+
+  } catch (error) {
+    MetricsLogger.logError(functionName, error);
+    console.error('Brands diff endpoint error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Erreur serveur lors du calcul du différentiel',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      })
+    };
+  }
+};
+
+export const handler = sentryHandler(brandsDiffHandler);
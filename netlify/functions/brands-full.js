@@ -0,0 +1,179 @@
+/**
+ * Netlify Function - Full dataset snapshot for extensions (fallback sync)
+ * Heaviest payload: strong ETag + optional gzip / compact key-deduplicated encoding
+ */
+import { createClient } from '@supabase/supabase-js';
+import { createHash } from 'node:crypto';
+import { gzipSync } from 'node:zlib';
+import { encoderCompact } from './utils/compactJson.js';
+import { SELECT_MARQUE_EXTENSION, transformerMarqueExtension } from './utils/donneesExtension.js';
+import { MetricsLogger } from './utils/metrics.js';
+import { initSentry, sentryHandler } from './utils/sentry.js';
+import { createServerlessCache } from './utils/serverlessCache.js';
+import { calculerVersionDonnees } from './utils/versionDonnees.js';
+
+// Initialiser Sentry
+initSentry();
+
+// Cache unifié : `version` (5 min) pour le checksum, `full` (30 min) par checksum
+const cache = createServerlessCache('brands-full');
+
+// Configuration Supabase
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_ANON_KEY;
+
+if (!supabaseUrl || !supabaseKey) {
+  console.error('Missing Supabase configuration');
+}
+
+const supabase = supabaseUrl && supabaseKey ? createClient(supabaseUrl, supabaseKey, {
+  auth: { persistSession: false }
+}) : null;
+
+const FORMATS = ['json', 'compact'];
+const ENCODINGS = ['identity', 'gzip'];
+
+/**
+ * Vérifie si l'ETag correspond à l'en-tête If-None-Match (liste, `*` et préfixe W/ acceptés)
+ */
+function etagCorrespond(ifNoneMatch, etag) {
+  if (!ifNoneMatch) return false;
+  return ifNoneMatch
+    .split(',')
+    .map(valeur => valeur.trim().replace(/^W\//, ''))
+    .some(valeur => valeur === '*' || valeur === etag);
+}
+
+const brandsFullHandler = async (event) => {
+  const functionName = 'brands-full';
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  const { format = 'json', encoding = 'identity' } = event.queryStringParameters || {};
+
+  if (!FORMATS.includes(format) || !ENCODINGS.includes(encoding)) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({
+        error: 'Paramètre invalide',
+        formats_disponibles: FORMATS,
+        encodings_disponibles: ENCODINGS
+      })
+    };
+  }
+
+  try {
+    const ifNoneMatch = (event.headers && (event.headers['if-none-match'] || event.headers['If-None-Match'])) || undefined;
+
+    if (!supabase) {
+      throw new Error('Supabase not configured');
+    }
+
+    // Checksum courant (partagé avec /api/brands/version)
+    let version = cache.get('version');
+    if (!version) {
+      version = await calculerVersionDonnees(supabase);
+      cache.set('version', version);
+    }
+
+    // Snapshot par checksum : un changement de données invalide naturellement le cache
+    const params = { checksum: version.checksum, format, encoding };
+    let snapshot = cache.get('full', params);
+    const cacheHit = Boolean(snapshot);
+
+    if (!snapshot) {
+      const { data: marques, error } = await supabase
+        .from('Marque')
+        .select(SELECT_MARQUE_EXTENSION)
+        .order('nom');
+
+      if (error) throw error;
+
+      const donnees = {
+        brands: (marques || []).map(transformerMarqueExtension),
+        version: version.version,
+        lastUpdated: version.lastUpdated,
+        totalBrands: version.totalBrands,
+        totalEvents: version.totalEvents,
+        totalBeneficiaires: version.totalBeneficiaires,
+        checksum: version.checksum
+      };
+
+      const json = JSON.stringify(format === 'compact' ? encoderCompact(donnees) : donnees);
+      const octets = encoding === 'gzip' ? gzipSync(json) : Buffer.from(json);
+
+      // ETag fort : hash des octets réellement envoyés (une valeur par représentation)
+      snapshot = {
+        body: encoding === 'gzip' ? octets.toString('base64') : json,
+        etag: `"${createHash('sha256').update(octets).digest('hex')}"`,
+        taille: octets.length
+      };
+
+      cache.set('full', snapshot, params);
+    }
+
+    MetricsLogger.logCache(functionName, cacheHit);
+
+    const responseHeaders = {
+      ...headers,
+      'X-Data-Source': cacheHit ? 'odm-api-full-cache-unified' : 'odm-api-full-fresh-unified',
+      'X-Cache': cacheHit ? 'HIT' : 'MISS',
+      'X-Data-Checksum': version.checksum,
+      'X-Payload-Format': format,
+      'Cache-Control': 'public, s-maxage=1800, stale-while-revalidate=60',
+      'ETag': snapshot.etag
+    };
+
+    if (encoding === 'gzip') {
+      responseHeaders['Content-Encoding'] = 'gzip';
+    }
+
+    if (etagCorrespond(ifNoneMatch, snapshot.etag)) {
+      const { 'Content-Encoding': _contentEncoding, ...headers304 } = responseHeaders;
+      return {
+        statusCode: 304,
+        headers: headers304,
+        body: ''
+      };
+    }
+
+    console.log(`Full snapshot served: ${version.totalBrands} brands, ${snapshot.taille} bytes (${format}/${encoding})`);
+    return {
+      statusCode: 200,
+      headers: responseHeaders,
+      body: snapshot.body,
+      isBase64Encoded: encoding === 'gzip'
+    };
+
+  } catch (error) {
+    MetricsLogger.logError(functionName, error);
+    console.error('Brands full endpoint error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Erreur serveur lors de la récupération complète des données',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      })
+    };
+  }
+};
+
+export const handler = sentryHandler(brandsFullHandler);
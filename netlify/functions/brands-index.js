@@ -0,0 +1,240 @@
+/**
+ * Netlify Function - Compact offline brand index for extension-side matching
+ * Names, aliases and domains packed into prefix tries, versioned by the dataset checksum (brands-version) plus aliases and domains
+ */
+import { createClient } from '@supabase/supabase-js';
+import { createHash } from 'node:crypto';
+import { normaliserUrl } from './utils/domaines.js';
+import { MetricsLogger } from './utils/metrics.js';
+import { normaliserTexte } from './utils/normalisation.js';
+import { initSentry, sentryHandler } from './utils/sentry.js';
+import { createServerlessCache } from './utils/serverlessCache.js';
+import { construireTrie } from './utils/trie.js';
+import { calculerVersionDonnees, statsTable } from './utils/versionDonnees.js';
+
+// Initialiser Sentry
+initSentry();
+
+// Cache unifié : `brands_index_courant` (checksum de l'index courant, 5 min) et `brands_index` par checksum
+const cache = createServerlessCache('brands-index');
+
+// Configuration Supabase
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_ANON_KEY;
+
+if (!supabaseUrl || !supabaseKey) {
+  console.error('Missing Supabase configuration');
+}
+
+const supabase = supabaseUrl && supabaseKey ? createClient(supabaseUrl, supabaseKey, {
+  auth: { persistSession: false }
+}) : null;
+
+const FORMAT_INDEX = 'odm-brand-index';
+const VERSION_FORMAT_INDEX = 1;
+
+// Sources de l'index absentes du checksum de /api/brands/version
+const TABLES_SOURCES_INDEX = ['marque_alias', 'marque_domaine'];
+
+/**
+ * Lignes d'une table optionnelle (alias, domaines) : absente = index sans cette source
+ */
+async function recupererTableOptionnelle(table, select) {
+  const { data, error } = await supabase.from(table).select(select);
+  if (error) {
+    console.warn(`[brands-index] Table ${table} indisponible:`, error.message);
+    return [];
+  }
+  return data || [];
+}
+
+/**
+ * Stats de version d'une source optionnelle de l'index (alias, domaines) : null si la table est absente
+ */
+async function statsSourceOptionnelle(table) {
+  try {
+    return await statsTable(supabase, table);
+  } catch (error) {
+    console.warn(`[brands-index] Table ${table} indisponible:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Checksum de l'index courant, calculé sans construire l'index : checksum de /api/brands/version
+ * (utils/versionDonnees.js), complété par les alias, les domaines et la version du format.
+ * Toute modification de marque, d'alias ou de domaine change l'URL versionnée, servie comme immuable
+ */
+async function calculerChecksumIndex() {
+  const [{ checksum: checksumDonnees }, ...sources] = await Promise.all([
+    calculerVersionDonnees(supabase),
+    ...TABLES_SOURCES_INDEX.map(statsSourceOptionnelle)
+  ]);
+
+  const empreinte = [
+    VERSION_FORMAT_INDEX,
+    checksumDonnees,
+    ...sources.map(stats => (stats ? `${stats.total}-${stats.dernierTimestamp}` : null))
+  ];
+  return createHash('sha1').update(JSON.stringify(empreinte)).digest('hex');
+}
+
+/**
+ * Checksum de l'index courant, mis en cache (TTL `brands_index_courant`) : un `v` périmé est redirigé sans recalcul
+ */
+async function checksumIndexCourant() {
+  let checksum = cache.get('brands_index_courant');
+
+  if (!checksum) {
+    checksum = await calculerChecksumIndex();
+    cache.set('brands_index_courant', checksum);
+  }
+
+  return checksum;
+}
+
+/**
+ * Construit l'index : table des marques + trie des noms/alias + trie des domaines
+ * @param {string} checksum - Checksum courant (calculerChecksumIndex), clé de l'URL versionnée
+ */
+async function construireIndex(checksum) {
+  const [{ data: marques, error }, alias, domaines] = await Promise.all([
+    supabase.from('Marque').select('id, nom').order('nom'),
+    recupererTableOptionnelle('marque_alias', 'marque_id, alias'),
+    recupererTableOptionnelle('marque_domaine', 'marque_id, domaine')
+  ]);
+
+  if (error) throw error;
+
+  // Table des marques : les tries référencent l'indice dans ce tableau
+  const table = (marques || []).map(marque => [marque.id, marque.nom]);
+  const indiceParId = new Map(table.map(([id], indice) => [id, indice]));
+
+  const entreesNoms = [];
+  const ajouterNom = (texte, marqueId) => {
+    const indice = indiceParId.get(marqueId);
+    const cle = normaliserTexte(texte);
+    if (indice === undefined || !cle) return;
+
+    entreesNoms.push({ cle, indice });
+    // Variante sans espaces : "l oreal" et "loreal" doivent tous deux correspondre
+    if (cle.includes(' ')) {
+      entreesNoms.push({ cle: cle.replace(/ /g, ''), indice });
+    }
+  };
+
+  (marques || []).forEach(marque => ajouterNom(marque.nom, marque.id));
+  alias.forEach(ligne => ajouterNom(ligne.alias, ligne.marque_id));
+
+  const entreesDomaines = domaines
+    .map(ligne => ({ normalise: normaliserUrl(ligne.domaine), indice: indiceParId.get(ligne.marque_id) }))
+    .filter(({ normalise, indice }) => normalise && indice !== undefined)
+    .map(({ normalise, indice }) => ({ cle: normalise.hote, indice }));
+
+  return {
+    format: FORMAT_INDEX,
+    formatVersion: VERSION_FORMAT_INDEX,
+    checksum,
+    marques: table,
+    noms: construireTrie(entreesNoms),
+    domaines: construireTrie(entreesDomaines)
+  };
+}
+
+/**
+ * Construit l'index du checksum courant et le met en cache sous ce checksum
+ * @returns {string} Corps JSON de l'index
+ */
+async function construireIndexCourant(checksum) {
+  const index = await construireIndex(checksum);
+  const bodyStr = JSON.stringify(index);
+
+  cache.set('brands_index', bodyStr, { checksum });
+  console.log(`Brand index built: ${index.marques.length} brands, ${bodyStr.length} bytes (checksum ${checksum})`);
+
+  return bodyStr;
+}
+
+const brandsIndexHandler = async (event) => {
+  const functionName = 'brands-index';
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    const { v } = event.queryStringParameters || {};
+
+    if (!supabase) {
+      throw new Error('Supabase not configured');
+    }
+
+    // Index déjà construit pour le checksum demandé (contenu figé)
+    let bodyStr = v ? cache.get('brands_index', { checksum: v }) : null;
+    const cacheHit = Boolean(bodyStr);
+    const checksum = bodyStr ? v : await checksumIndexCourant();
+
+    // URL non versionnée ou périmée : redirection vers l'URL immuable du checksum courant
+    if (v !== checksum) {
+      const location = `${event.path || '/api/brands/index'}?v=${encodeURIComponent(checksum)}`;
+      return {
+        statusCode: 302,
+        headers: {
+          ...headers,
+          'Location': location,
+          'Cache-Control': 'public, s-maxage=300, stale-while-revalidate=60',
+          'X-Index-Version': checksum
+        },
+        body: JSON.stringify({ checksum, location })
+      };
+    }
+
+    if (!bodyStr) {
+      bodyStr = await construireIndexCourant(checksum);
+    }
+
+    MetricsLogger.logCache(functionName, cacheHit);
+
+    return {
+      statusCode: 200,
+      headers: {
+        ...headers,
+        'X-Data-Source': cacheHit ? 'odm-api-index-cache-unified' : 'odm-api-index-fresh-unified',
+        'X-Cache': cacheHit ? 'HIT' : 'MISS',
+        'X-Index-Version': checksum,
+        // Contenu figé pour un checksum donné : cache navigateur et CDN illimité
+        'Cache-Control': 'public, max-age=31536000, immutable',
+        'ETag': `"${checksum}"`
+      },
+      body: bodyStr
+    };
+
+  } catch (error) {
+    MetricsLogger.logError(functionName, error);
+    console.error('Brands index endpoint error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Erreur serveur lors de la génération de l\'index des marques',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      })
+    };
+  }
+};
+
+export const handler = sentryHandler(brandsIndexHandler);
@@ -0,0 +1,74 @@
+/**
+ * Netlify Scheduled Function - Records the current /api/marques snapshot for /api/brands/diff
+ * Runs outside the request path (schedule in netlify.toml); requires SUPABASE_SERVICE_KEY
+ */
+import { createClient } from '@supabase/supabase-js';
+import { construireSnapshotCourant, enregistrerSnapshot } from './utils/historiqueSnapshots.js';
+import { MetricsLogger } from './utils/metrics.js';
+import { initSentry, sentryHandler } from './utils/sentry.js';
+
+// Initialiser Sentry
+initSentry();
+
+// Configuration Supabase
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_ANON_KEY;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+
+if (!supabaseUrl || !supabaseKey) {
+  console.error('Missing Supabase configuration');
+}
+
+const supabase = supabaseUrl && supabaseKey ? createClient(supabaseUrl, supabaseKey, {
+  auth: { persistSession: false }
+}) : null;
+
+// Historique des snapshots partagé entre instances (table marques_snapshot, écriture)
+const supabaseHistorique = supabaseUrl && supabaseServiceKey ? createClient(supabaseUrl, supabaseServiceKey, {
+  auth: { persistSession: false }
+}) : null;
+
+const brandsSnapshotHandler = async () => {
+  const functionName = 'brands-snapshot';
+  const headers = { 'Content-Type': 'application/json' };
+
+  try {
+    if (!supabase) {
+      throw new Error('Supabase not configured');
+    }
+
+    // Sans clé service, rien à enregistrer : /api/brands/diff ne connaît que la version courante
+    if (!supabaseHistorique) {
+      console.warn('[brands-snapshot] SUPABASE_SERVICE_KEY absente : historique des snapshots désactivé');
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ checksum: null, history_enabled: false })
+      };
+    }
+
+    const { checksum, marques } = await construireSnapshotCourant(supabase);
+    await enregistrerSnapshot(supabaseHistorique, checksum, marques);
+
+    console.log(`Snapshot ${checksum}: ${marques.length} brands`);
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ checksum, history_enabled: true })
+    };
+
+  } catch (error) {
+    MetricsLogger.logError(functionName, error);
+    console.error('Brands snapshot error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Erreur serveur lors de l\'enregistrement du snapshot',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      })
+    };
+  }
+};
+
+export const handler = sentryHandler(brandsSnapshotHandler);
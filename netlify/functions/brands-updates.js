@@ -0,0 +1,302 @@
+/**
+ * Netlify Function - Incremental sync for extensions
+ * Returns everything changed since an ISO date, plus deletion tombstones
+ */
+import { createClient } from '@supabase/supabase-js';
+import { SELECT_MARQUE_EXTENSION, transformerEvenementExtension, transformerMarqueExtension } from './utils/donneesExtension.js';
+import { MetricsLogger } from './utils/metrics.js';
+import { initSentry, sentryHandler } from './utils/sentry.js';
+import { createServerlessCache } from './utils/serverlessCache.js';
+import { calculerVersionDonnees } from './utils/versionDonnees.js';
+
+// Initialiser Sentry
+initSentry();
+
+// Cache unifié (TTL `updates` : 10 minutes, une entrée par valeur de `since`)
+const cache = createServerlessCache('brands-updates');
+
+// Configuration Supabase
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_ANON_KEY;
+
+if (!supabaseUrl || !supabaseKey) {
+  console.error('Missing Supabase configuration');
+}
+
+const supabase = supabaseUrl && supabaseKey ? createClient(supabaseUrl, supabaseKey, {
+  auth: { persistSession: false }
+}) : null;
+
+// Correspondance tables → clés des tombstones (journal alimenté par triggers, cf. ARCHITECTURE.md)
+const TABLES_TOMBSTONES = {
+  Marque: 'brands',
+  Evenement: 'events',
+  Marque_beneficiaire: 'beneficiaryLinks',
+  controverse_beneficiaire: 'controversies'
+};
+
+// Date ISO 8601 stricte (date seule ou date + heure)
+const ISO_DATE_REGEX = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+function estDateISOValide(valeur) {
+  return ISO_DATE_REGEX.test(valeur) && !Number.isNaN(Date.parse(valeur));
+}
+
+/**
+ * Lignes modifiées depuis `since` avec fallback gracieux : updated_at → created_at
+ * Le fallback ne voit que les lignes créées depuis `since` (modifications manquées) : complet = false
+ * @returns {Object} { lignes, complet }
+ */
+async function recupererModifications(table, select, since) {
+  const { data, error } = await supabase
+    .from(table)
+    .select(select)
+    .gte('updated_at', since);
+
+  if (!error) return { lignes: data || [], complet: true };
+
+  console.warn(`[brands-updates] updated_at indisponible sur ${table}, fallback created_at:`, error.message);
+  const { data: fallback, error: fallbackError } = await supabase
+    .from(table)
+    .select(select)
+    .gte('created_at', since);
+
+  if (fallbackError) throw fallbackError;
+  return { lignes: fallback || [], complet: false };
+}
+
+/**
+ * IDs supprimés depuis `since`, groupés par type
+ * Retourne null si le journal des suppressions n'est pas disponible
+ */
+async function recupererTombstones(since) {
+  const { data, error } = await supabase
+    .from('suppression_log')
+    .select('table_name, record_id, deleted_at')
+    .in('table_name', Object.keys(TABLES_TOMBSTONES))
+    .gte('deleted_at', since);
+
+  if (error) {
+    console.warn('[brands-updates] Journal des suppressions indisponible:', error.message);
+    return null;
+  }
+
+  const deleted = Object.fromEntries(Object.values(TABLES_TOMBSTONES).map(cle => [cle, []]));
+  for (const ligne of data || []) {
+    const cle = TABLES_TOMBSTONES[ligne.table_name];
+    if (cle && !deleted[cle].includes(ligne.record_id)) {
+      deleted[cle].push(ligne.record_id);
+    }
+  }
+  return deleted;
+}
+
+const brandsUpdatesHandler = async (event) => {
+  const functionName = 'brands-updates';
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  const { since } = event.queryStringParameters || {};
+
+  if (!since || !estDateISOValide(since)) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Paramètre since requis au format ISO 8601 (ex: 2025-01-15T10:30:00.000Z)' })
+    };
+  }
+
+  try {
+    const sinceISO = new Date(since).toISOString();
+    const params = { since: sinceISO };
+    const cached = cache.get('updates', params);
+
+    if (cached) {
+      MetricsLogger.logCache(functionName, true);
+      return {
+        statusCode: 200,
+        headers: {
+          ...headers,
+          'X-Data-Source': 'odm-api-updates-cache-unified',
+          'X-Cache': 'HIT',
+          'Cache-Control': 'public, s-maxage=600, stale-while-revalidate=60'
+        },
+        body: JSON.stringify(cached)
+      };
+    }
+
+    if (!supabase) {
+      throw new Error('Supabase not configured');
+    }
+
+    // 1. Lignes modifiées dans chaque table synchronisée
+    const [modificationsMarques, modificationsEvenements, modificationsLiaisons, modificationsControverses, modificationsBeneficiaires, deleted, version] = await Promise.all([
+      recupererModifications('Marque', 'id', sinceISO),
+      recupererModifications('Evenement', `
+        id,
+        marque_id,
+        titre,
+        description,
+        date,
+        source_url,
+        reponse,
+        condamnation_judiciaire,
+        created_at,
+        updated_at,
+        Categorie!categorie_id (
+          id,
+          nom,
+          emoji,
+          couleur,
+          ordre
+        )
+      `, sinceISO),
+      recupererModifications('Marque_beneficiaire', `
+        id,
+        marque_id,
+        beneficiaire_id,
+        lien_financier,
+        impact_specifique,
+        created_at,
+        updated_at
+      `, sinceISO),
+      recupererModifications('controverse_beneficiaire', `
+        id,
+        beneficiaire_id,
+        titre,
+        date,
+        source_url,
+        created_at,
+        updated_at,
+        Categorie!controverse_beneficiaire_categorie_id_fkey (
+          id,
+          nom,
+          emoji,
+          couleur,
+          ordre
+        )
+      `, sinceISO),
+      recupererModifications('Beneficiaires', 'id', sinceISO),
+      recupererTombstones(sinceISO),
+      calculerVersionDonnees(supabase)
+    ]);
+
+    const modifications = [modificationsMarques, modificationsEvenements, modificationsLiaisons, modificationsControverses, modificationsBeneficiaires];
+    const [marquesModifiees, evenements, liaisons, controverses, beneficiaires] = modifications.map(m => m.lignes);
+    const updatesComplete = modifications.every(m => m.complet);
+
+    // 2. Marques impactées : modifiées directement ou via leurs événements / bénéficiaires
+    const marquesImpactees = new Set([
+      ...marquesModifiees.map(m => m.id),
+      ...evenements.map(ev => ev.marque_id),
+      ...liaisons.map(l => l.marque_id)
+    ]);
+
+    const beneficiairesImpactes = new Set([
+      ...controverses.map(c => c.beneficiaire_id),
+      ...beneficiaires.map(b => b.id)
+    ]);
+
+    if (beneficiairesImpactes.size > 0) {
+      const { data: liaisonsImpactees, error: liaisonsError } = await supabase
+        .from('Marque_beneficiaire')
+        .select('marque_id')
+        .in('beneficiaire_id', Array.from(beneficiairesImpactes));
+
+      if (liaisonsError) throw liaisonsError;
+      (liaisonsImpactees || []).forEach(l => marquesImpactees.add(l.marque_id));
+    }
+
+    // Une marque supprimée ne doit pas réapparaître dans les mises à jour
+    const marquesSupprimees = new Set(deleted?.brands || []);
+    const idsMarques = Array.from(marquesImpactees).filter(id => id && !marquesSupprimees.has(id));
+
+    // 3. Marques complètes au format extension
+    let updatedBrands = [];
+    if (idsMarques.length > 0) {
+      const { data: marques, error } = await supabase
+        .from('Marque')
+        .select(SELECT_MARQUE_EXTENSION)
+        .in('id', idsMarques)
+        .order('nom');
+
+      if (error) throw error;
+      updatedBrands = (marques || []).map(transformerMarqueExtension);
+    }
+
+    const updatedEvents = evenements.map(ev => ({
+      ...transformerEvenementExtension(ev),
+      marque_id: ev.marque_id,
+      updated_at: ev.updated_at || ev.created_at || null
+    }));
+
+    const updatedControversies = controverses.map(({ Categorie, ...controverse }) => ({
+      ...controverse,
+      categorie: Categorie || null
+    }));
+
+    const tombstones = deleted || Object.fromEntries(Object.values(TABLES_TOMBSTONES).map(cle => [cle, []]));
+    const nbSuppressions = Object.values(tombstones).reduce((total, ids) => total + ids.length, 0);
+
+    const resultat = {
+      hasUpdates: updatedBrands.length + updatedEvents.length + liaisons.length + updatedControversies.length + nbSuppressions > 0,
+      since: sinceISO,
+      updatedBrands,
+      updatedEvents,
+      updatedBeneficiaryLinks: liaisons,
+      updatedControversies,
+      deleted: tombstones,
+      tombstonesAvailable: deleted !== null,
+      updatesComplete,
+      version: version.version,
+      checksum: version.checksum,
+      timestamp: new Date().toISOString()
+    };
+
+    cache.set('updates', resultat, params);
+
+    MetricsLogger.logCache(functionName, false);
+
+    console.log(`Updates since ${sinceISO}: ${updatedBrands.length} brands, ${updatedEvents.length} events, ${nbSuppressions} deletions`);
+    return {
+      statusCode: 200,
+      headers: {
+        ...headers,
+        'X-Data-Source': 'odm-api-updates-fresh-unified',
+        'X-Cache': 'MISS',
+        'Cache-Control': 'public, s-maxage=600, stale-while-revalidate=60'
+      },
+      body: JSON.stringify(resultat)
+    };
+
+  } catch (error) {
+    MetricsLogger.logError(functionName, error);
+    console.error('Brands updates endpoint error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Erreur serveur lors de la récupération des mises à jour',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      })
+    };
+  }
+};
+
+export const handler = sentryHandler(brandsUpdatesHandler);
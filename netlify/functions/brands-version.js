@@ -0,0 +1,102 @@
+/**
+ * Netlify Function - Dataset version metadata for extension sync
+ * Lightweight endpoint: lets the extension know if its local copy is stale
+ */
+import { createClient } from '@supabase/supabase-js';
+import { MetricsLogger } from './utils/metrics.js';
+import { initSentry, sentryHandler } from './utils/sentry.js';
+import { createServerlessCache } from './utils/serverlessCache.js';
+import { calculerVersionDonnees } from './utils/versionDonnees.js';
+
+// Initialiser Sentry
+initSentry();
+
+// Cache unifié (TTL `version` : 5 minutes)
+const cache = createServerlessCache('brands-version');
+
+// Configuration Supabase
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_ANON_KEY;
+
+if (!supabaseUrl || !supabaseKey) {
+  console.error('Missing Supabase configuration');
+}
+
+const supabase = supabaseUrl && supabaseKey ? createClient(supabaseUrl, supabaseKey, {
+  auth: { persistSession: false }
+}) : null;
+
+const brandsVersionHandler = async (event) => {
+  const functionName = 'brands-version';
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    const cached = cache.get('version');
+
+    if (cached) {
+      MetricsLogger.logCache(functionName, true);
+      return {
+        statusCode: 200,
+        headers: {
+          ...headers,
+          'X-Data-Source': 'odm-api-version-cache-unified',
+          'X-Cache': 'HIT',
+          'Cache-Control': 'public, s-maxage=300, stale-while-revalidate=60'
+        },
+        body: JSON.stringify(cached)
+      };
+    }
+
+    if (!supabase) {
+      throw new Error('Supabase not configured');
+    }
+
+    const versionData = await calculerVersionDonnees(supabase);
+
+    cache.set('version', versionData);
+
+    MetricsLogger.logCache(functionName, false);
+
+    return {
+      statusCode: 200,
+      headers: {
+        ...headers,
+        'X-Data-Source': 'odm-api-version-fresh-unified',
+        'X-Cache': 'MISS',
+        'Cache-Control': 'public, s-maxage=300, stale-while-revalidate=60'
+      },
+      body: JSON.stringify(versionData)
+    };
+
+  } catch (error) {
+    MetricsLogger.logError(functionName, error);
+    console.error('Brands version endpoint error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Erreur serveur lors du calcul de la version des données',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      })
+    };
+  }
+};
+
+export const handler = sentryHandler(brandsVersionHandler);
@@ -0,0 +1,197 @@
+/**
+ * Netlify Function - Ownership path explanation between a brand and a beneficiary
+ * Every simple path (or the k shortest) with the text of each financial link
+ */
+import { createClient } from '@supabase/supabase-js';
+import {
+  analyserFiltreTypes,
+  cleFiltreTypes,
+  COLONNES_PARTICIPATION_LIAISON,
+  enumererChemins,
+  NOEUDS_MAX_AUTORISE,
+  parcourirChaineAval,
+  PROFONDEUR_MAX_AUTORISEE,
+  PROFONDEUR_MAX_DEFAUT,
+  requeteAvecColonnesOptionnelles,
+  selectAvecColonnes
+} from './utils/chaineBeneficiaires.js';
+import { MetricsLogger } from './utils/metrics.js';
+import { initSentry, sentryHandler } from './utils/sentry.js';
+import { createServerlessCache } from './utils/serverlessCache.js';
+
+// Initialiser Sentry
+initSentry();
+
+// Cache unifié : TTL `chemin`
+const cache = createServerlessCache('chemin');
+
+// Configuration Supabase
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_ANON_KEY;
+
+if (!supabaseUrl || !supabaseKey) {
+  console.error('Missing Supabase configuration');
+}
+
+const supabase = supabaseUrl && supabaseKey ? createClient(supabaseUrl, supabaseKey, {
+  auth: { persistSession: false }
+}) : null;
+
+const K_MAX = 50;
+const MAX_CHEMINS_ENUMERES = 500; // Garde-fou contre l'explosion combinatoire
+
+/**
+ * Entier strictement positif ou null
+ */
+function entierPositif(valeur) {
+  const nombre = Number(valeur);
+  return Number.isInteger(nombre) && nombre > 0 ? nombre : null;
+}
+
+const cheminHandler = async (event) => {
+  const functionName = 'chemin';
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  const { marqueId, beneficiaireId, k, profondeur, types } = event.queryStringParameters || {};
+  const idMarque = entierPositif(marqueId);
+  const idBeneficiaire = entierPositif(beneficiaireId);
+  const nbChemins = k === undefined ? null : entierPositif(k);
+  const profondeurMax = profondeur === undefined ? PROFONDEUR_MAX_DEFAUT : entierPositif(profondeur);
+  const { filtre: filtreTypes, erreur: erreurTypes } = analyserFiltreTypes(types);
+
+  if (!idMarque || !idBeneficiaire) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Paramètres marqueId et beneficiaireId requis' })
+    };
+  }
+
+  if (k !== undefined && (!nbChemins || nbChemins > K_MAX)) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: `Le paramètre k doit être compris entre 1 et ${K_MAX}` })
+    };
+  }
+
+  if (!profondeurMax || profondeurMax > PROFONDEUR_MAX_AUTORISEE) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: `Le paramètre profondeur doit être compris entre 1 et ${PROFONDEUR_MAX_AUTORISEE}` })
+    };
+  }
+
+  if (erreurTypes) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: erreurTypes })
+    };
+  }
+
+  try {
+    if (!supabase) {
+      throw new Error('Supabase not configured');
+    }
+
+    const params = { idMarque, idBeneficiaire, k: nbChemins || 'tous', profondeurMax, types: cleFiltreTypes(filtreTypes) };
+    let resultat = cache.get('chemin', params);
+    const cacheHit = Boolean(resultat);
+
+    if (!resultat) {
+      const [
+        { data: marque, error: marqueError },
+        { data: beneficiaire, error: beneficiaireError },
+        { data: liaisons, error: liaisonsError }
+      ] = await Promise.all([
+        supabase.from('Marque').select('id, nom').eq('id', idMarque).maybeSingle(),
+        supabase.from('Beneficiaires').select('id, nom, type_beneficiaire').eq('id', idBeneficiaire).maybeSingle(),
+        requeteAvecColonnesOptionnelles(colonnes => supabase
+          .from('Marque_beneficiaire')
+          .select(selectAvecColonnes('id, beneficiaire_id, lien_financier', colonnes))
+          .eq('marque_id', idMarque), COLONNES_PARTICIPATION_LIAISON)
+      ]);
+
+      if (marqueError) throw marqueError;
+      if (beneficiaireError) throw beneficiaireError;
+      if (liaisonsError) throw liaisonsError;
+
+      if (!marque || !beneficiaire) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: !marque ? 'Marque non trouvée' : 'Bénéficiaire non trouvé' })
+        };
+      }
+
+      // Sous-graphe aval de la marque (toutes les relations des bénéficiaires atteints)
+      const { noeuds, troncature } = await parcourirChaineAval(supabase, liaisons || [], profondeurMax, {
+        filtreTypes,
+        noeudsMax: NOEUDS_MAX_AUTORISE
+      });
+      const { chemins, tronque } = enumererChemins(marque, liaisons || [], noeuds, idBeneficiaire, {
+        profondeurMax,
+        maxChemins: MAX_CHEMINS_ENUMERES
+      });
+
+      const cheminsRetournes = nbChemins ? chemins.slice(0, nbChemins) : chemins;
+
+      resultat = {
+        marque,
+        beneficiaire,
+        chemins: cheminsRetournes,
+        total_chemins: chemins.length,
+        // Énumération interrompue (chemins trouvés ou budget d'exploration), ou sous-graphe coupé par le budget de nœuds
+        tronque: tronque || troncature.reason === 'noeuds_max'
+      };
+
+      cache.set('chemin', resultat, params);
+    }
+
+    MetricsLogger.logCache(functionName, cacheHit);
+
+    return {
+      statusCode: 200,
+      headers: {
+        ...headers,
+        'X-Data-Source': cacheHit ? 'odm-api-chemin-cache-unified' : 'odm-api-chemin-fresh-unified',
+        'X-Cache': cacheHit ? 'HIT' : 'MISS',
+        'Cache-Control': 'public, s-maxage=900, stale-while-revalidate=1800'
+      },
+      body: JSON.stringify(resultat)
+    };
+
+  } catch (error) {
+    MetricsLogger.logError(functionName, error);
+    console.error('Path endpoint error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Erreur serveur lors de la recherche des chemins',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      })
+    };
+  }
+};
+
+export const handler = sentryHandler(cheminHandler);
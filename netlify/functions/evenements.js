@@ -2,6 +2,12 @@
  * Netlify Function - Events data
  */
 import { createClient } from '@supabase/supabase-js';
+import {
+  analyserPaginationCurseur,
+  appliquerPaginationCurseur,
+  decouperPage,
+  enTetesPagination
+} from './utils/pagination.js';
 
 // Configuration Supabase
 const supabaseUrl = process.env.SUPABASE_URL;
@@ -19,6 +25,13 @@ const supabase = supabaseUrl && supabaseKey ? createClient(supabaseUrl, supabase
 const cache = new Map();
 const CACHE_TTL = 15 * 60 * 1000; // 15 minutes
 
+// Pagination par curseur : plus récents d'abord, ID décroissant à date égale
+const CLES_CURSEUR = [
+  { colonne: 'date', croissant: false, nullable: true },
+  { colonne: 'id', croissant: false }
+];
+const OPTIONS_CURSEUR = { type: 'evenements', nbValeurs: CLES_CURSEUR.length, limiteDefaut: 100, limiteMax: 500 };
+
 export const handler = async (event) => {
   const headers = {
     'Access-Control-Allow-Origin': '*',
@@ -39,11 +52,24 @@ export const handler = async (event) => {
     };
   }
 
+  // Pagination par curseur sur demande (pagination=curseur ou cursor), tableau par défaut
+  const curseur = analyserPaginationCurseur(event.queryStringParameters || {}, OPTIONS_CURSEUR);
+
+  if (curseur?.erreur) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: curseur.erreur })
+    };
+  }
+
   try {
     const { limit = '100', offset = '0' } = event.queryStringParameters || {};
     
     // Check cache
-    const cacheKey = `evenements_${limit}_${offset}`;
+    const cacheKey = curseur
+      ? `evenements_curseur_${curseur.limite}_${curseur.cursor || ''}`
+      : `evenements_${limit}_${offset}`;
     const now = Date.now();
     const cached = cache.get(cacheKey);
     
@@ -53,6 +79,7 @@ export const handler = async (event) => {
         statusCode: 200,
         headers: {
           ...headers,
+          ...(curseur && enTetesPagination(event, { limite: curseur.limite, nextCursor: cached.data.next_cursor })),
           'X-Data-Source': 'odm-api-evenements-cache'
         },
         body: JSON.stringify(cached.data)
@@ -64,7 +91,7 @@ export const handler = async (event) => {
     }
 
     // Get events with all related data
-    const { data: evenements, error } = await supabase
+    const query = supabase
       .from('Evenement')
       .select(`
         *,
@@ -86,11 +113,32 @@ export const handler = async (event) => {
           couleur,
           ordre
         )
-      `)
-      .order('date', { ascending: false })
-      .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
+      `);
 
-    if (error) throw error;
+    let evenements;
+    let pageCurseur = null;
+
+    if (curseur) {
+      // Page après le curseur et total de la liste (sans le curseur)
+      const [{ data, error }, { count, error: countError }] = await Promise.all([
+        appliquerPaginationCurseur(query, CLES_CURSEUR, curseur),
+        supabase.from('Evenement').select('id', { count: 'exact', head: true })
+      ]);
+
+      if (error) throw error;
+      if (countError) throw countError;
+
+      const { lignes, nextCursor } = decouperPage(data, curseur, OPTIONS_CURSEUR.type, evt => [evt.date ?? null, evt.id]);
+      evenements = lignes;
+      pageCurseur = { total: count ?? 0, nextCursor };
+    } else {
+      const { data, error } = await query
+        .order('date', { ascending: false })
+        .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
+
+      if (error) throw error;
+      evenements = data;
+    }
 
     // Transform for frontend compatibility
     const transformedEvents = evenements?.map(evt => ({
@@ -115,9 +163,14 @@ export const handler = async (event) => {
       categorie: evt.Categorie
     })) || [];
 
+    // Enveloppe avec total et curseur suivant en pagination par curseur
+    const resultat = pageCurseur
+      ? { evenements: transformedEvents, total: pageCurseur.total, next_cursor: pageCurseur.nextCursor }
+      : transformedEvents;
+
     // Cache the result
     cache.set(cacheKey, {
-      data: transformedEvents,
+      data: resultat,
       timestamp: now
     });
 
@@ -126,9 +179,10 @@ export const handler = async (event) => {
       statusCode: 200,
       headers: {
         ...headers,
+        ...(curseur && enTetesPagination(event, { limite: curseur.limite, nextCursor: pageCurseur.nextCursor })),
         'X-Data-Source': 'odm-api-evenements-fresh'
       },
-      body: JSON.stringify(transformedEvents)
+      body: JSON.stringify(resultat)
     };
 
   } catch (error) {
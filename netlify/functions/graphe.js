@@ -0,0 +1,110 @@
+/**
+ * Netlify Function - Whole brand / beneficiary graph export
+ * GraphML, GEXF, DOT or Cytoscape.js JSON, for Gephi / Graphviz / Cytoscape
+ */
+import { createClient } from '@supabase/supabase-js';
+import { chargerGrapheComplet } from './utils/chaineBeneficiaires.js';
+import { construireGrapheComplet, exporterGraphe, FORMATS_EXPORT, negocierFormat } from './utils/grapheExport.js';
+import { MetricsLogger } from './utils/metrics.js';
+import { initSentry, sentryHandler } from './utils/sentry.js';
+import { createServerlessCache } from './utils/serverlessCache.js';
+
+// Initialiser Sentry
+initSentry();
+
+// Cache unifié : graphe neutre (`graphe_complet`), sérialisé à chaque requête
+const cache = createServerlessCache('graphe');
+
+// Configuration Supabase
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_ANON_KEY;
+
+if (!supabaseUrl || !supabaseKey) {
+  console.error('Missing Supabase configuration');
+}
+
+const supabase = supabaseUrl && supabaseKey ? createClient(supabaseUrl, supabaseKey, {
+  auth: { persistSession: false }
+}) : null;
+
+const grapheHandler = async (event) => {
+  const functionName = 'graphe';
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Accept',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  const { format } = event.queryStringParameters || {};
+  const formatExport = negocierFormat(format, event.headers?.accept || event.headers?.Accept, 'cytoscape');
+
+  if (!formatExport) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({
+        error: 'Format d\'export non supporté',
+        formats: Object.keys(FORMATS_EXPORT)
+      })
+    };
+  }
+
+  try {
+    if (!supabase) {
+      throw new Error('Supabase not configured');
+    }
+
+    let graphe = cache.get('graphe_complet');
+    const cacheHit = Boolean(graphe);
+
+    if (!graphe) {
+      graphe = construireGrapheComplet(await chargerGrapheComplet(supabase));
+      cache.set('graphe_complet', graphe);
+      console.log(`Graph loaded: ${graphe.noeuds.length} nodes, ${graphe.aretes.length} edges`);
+    }
+
+    MetricsLogger.logCache(functionName, cacheHit);
+
+    const exportGraphe = exporterGraphe(graphe, formatExport, 'odm-graphe');
+
+    return {
+      statusCode: 200,
+      headers: {
+        ...headers,
+        ...exportGraphe.headers,
+        'X-Data-Source': cacheHit ? 'odm-api-graphe-cache-unified' : 'odm-api-graphe-fresh-unified',
+        'X-Cache': cacheHit ? 'HIT' : 'MISS',
+        'Cache-Control': 'public, s-maxage=1800, stale-while-revalidate=300',
+        'Vary': 'Accept'
+      },
+      body: exportGraphe.body
+    };
+
+  } catch (error) {
+    MetricsLogger.logError(functionName, error);
+    console.error('Graph export endpoint error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Erreur serveur lors de l\'export du graphe',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      })
+    };
+  }
+};
+
+export const handler = sentryHandler(grapheHandler);
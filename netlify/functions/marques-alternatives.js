@@ -0,0 +1,278 @@
+/**
+ * Netlify Function - Alternatives to a brand
+ * Curated alternatives first (marque_alternative), then other brands of the same sector
+ * ranked by fewer events, fewer condemnations and fewer controversial beneficiaries
+ */
+import { createClient } from '@supabase/supabase-js';
+import { analyserBudgetParcours } from './utils/chaineBeneficiaires.js';
+import { MetricsLogger } from './utils/metrics.js';
+import { extraireParametreChemin } from './utils/routage.js';
+import { initSentry, sentryHandler } from './utils/sentry.js';
+import { createServerlessCache } from './utils/serverlessCache.js';
+import {
+  chargerGrapheControversesEnCache,
+  getBeneficiairesControverses,
+  SELECT_STATS_MARQUES,
+  statistiquesEvenements
+} from './utils/statistiquesMarques.js';
+
+// Initialiser Sentry
+initSentry();
+
+// Cache unifié : graphe des controverses (`graphe_controverses`) et alternatives (`marques_alternatives`)
+const cache = createServerlessCache('marques_alternatives');
+
+// Configuration Supabase
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_ANON_KEY;
+
+if (!supabaseUrl || !supabaseKey) {
+  console.error('Missing Supabase configuration');
+}
+
+const supabase = supabaseUrl && supabaseKey ? createClient(supabaseUrl, supabaseKey, {
+  auth: { persistSession: false }
+}) : null;
+
+const LIMITE_DEFAUT = 10;
+const LIMITE_MAX = 50;
+
+/**
+ * IDs de catégories du paramètre `exclureCategories` (séparés par des virgules)
+ * @returns {Array|null} IDs triés sans doublon ([] si absent), null si le paramètre est invalide
+ */
+function analyserCategoriesExclues(valeur) {
+  const morceaux = (valeur || '').split(',').map(morceau => morceau.trim()).filter(Boolean);
+  if (morceaux.some(morceau => !/^\d+$/.test(morceau))) return null;
+
+  return Array.from(new Set(morceaux.map(Number))).sort((a, b) => a - b);
+}
+
+/**
+ * Marque candidate avec ses statistiques d'événements et ses bénéficiaires controversés
+ */
+function decrireAlternative(marque, graphe, budget) {
+  const stats = statistiquesEvenements(marque.Evenement || []);
+  const controverses = getBeneficiairesControverses(graphe, marque.id, budget);
+
+  return {
+    id: marque.id,
+    nom: marque.nom,
+    secteur: marque.secteur_marque ? {
+      id: marque.secteur_marque.id,
+      nom: marque.secteur_marque.nom
+    } : null,
+    nb_evenements: stats.nbControverses,
+    nb_condamnations: stats.nbCondamnations,
+    categories: stats.categories,
+    nb_beneficiaires_controverses: controverses.count,
+    beneficiaires_controverses: controverses.beneficiaires.map(b => ({ id: b.id, nom: b.nom })),
+    troncature: controverses.troncature
+  };
+}
+
+// Moins d'événements, puis moins de condamnations, puis moins de bénéficiaires controversés
+function comparerAlternatives(a, b) {
+  return a.nb_evenements - b.nb_evenements ||
+    a.nb_condamnations - b.nb_condamnations ||
+    a.nb_beneficiaires_controverses - b.nb_beneficiaires_controverses ||
+    a.nom.localeCompare(b.nom);
+}
+
+const marquesAlternativesHandler = async (event) => {
+  const functionName = 'marques-alternatives';
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  const marqueId = parseInt(extraireParametreChemin(event, /\/marques\/([^/]+)\/alternatives\/?$/, 'id'));
+  const { exclureCategories, limit, profondeur, maxNoeuds } = event.queryStringParameters || {};
+  const categoriesExclues = analyserCategoriesExclues(exclureCategories);
+  const limite = parseInt(limit || String(LIMITE_DEFAUT));
+  const { budget, erreur: erreurBudget } = analyserBudgetParcours({ profondeur, maxNoeuds });
+
+  if (!Number.isInteger(marqueId) || marqueId <= 0) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'ID de marque requis' })
+    };
+  }
+
+  if (!categoriesExclues) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Le paramètre exclureCategories doit être une liste d\'IDs de catégories séparés par des virgules' })
+    };
+  }
+
+  if (!Number.isInteger(limite) || limite < 1 || limite > LIMITE_MAX) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: `Le paramètre limit doit être compris entre 1 et ${LIMITE_MAX}` })
+    };
+  }
+
+  if (erreurBudget) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: erreurBudget })
+    };
+  }
+
+  try {
+    if (!supabase) {
+      throw new Error('Supabase not configured');
+    }
+
+    const params = { marqueId, exclureCategories: categoriesExclues.join(','), limite, ...budget };
+    let resultat = cache.get('marques_alternatives', params);
+    const cacheHit = Boolean(resultat);
+
+    if (!resultat) {
+      const { data: marque, error: marqueError } = await supabase
+        .from('Marque')
+        .select(`
+          id,
+          nom,
+          secteur_marque_id,
+          secteur_marque:SecteurMarque!Marque_secteur_marque_id_fkey (
+            id,
+            nom,
+            message_boycott_tips
+          )
+        `)
+        .eq('id', marqueId)
+        .maybeSingle();
+
+      if (marqueError) throw marqueError;
+
+      if (!marque) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Marque non trouvée' })
+        };
+      }
+
+      // Alternatives choisies à la main (table marque_alternative absente : classement automatique seul) et marques du même secteur
+      const [curation, { data: marquesSecteur, error: secteurError }, graphe] = await Promise.all([
+        supabase
+          .from('marque_alternative')
+          .select('alternative_marque_id, rang, commentaire')
+          .eq('marque_id', marqueId)
+          .order('rang', { ascending: true })
+          .then(({ data, error }) => {
+            if (error) throw error;
+            return data || [];
+          })
+          .catch((error) => {
+            console.warn('[marques-alternatives] Table marque_alternative indisponible:', error.message);
+            return [];
+          }),
+        marque.secteur_marque_id
+          ? supabase
+            .from('Marque')
+            .select(SELECT_STATS_MARQUES)
+            .eq('secteur_marque_id', marque.secteur_marque_id)
+            .neq('id', marqueId)
+          : Promise.resolve({ data: [], error: null }),
+        chargerGrapheControversesEnCache(supabase, cache)
+      ]);
+
+      if (secteurError) throw secteurError;
+
+      // Alternatives choisies hors du secteur de la marque
+      const marquesParId = new Map((marquesSecteur || []).map(m => [m.id, m]));
+      const idsHorsSecteur = curation
+        .map(c => c.alternative_marque_id)
+        .filter(id => id !== marqueId && !marquesParId.has(id));
+
+      if (idsHorsSecteur.length > 0) {
+        const { data: marquesHorsSecteur, error: horsSecteurError } = await supabase
+          .from('Marque')
+          .select(SELECT_STATS_MARQUES)
+          .in('id', idsHorsSecteur);
+
+        if (horsSecteurError) throw horsSecteurError;
+        (marquesHorsSecteur || []).forEach(m => marquesParId.set(m.id, m));
+      }
+
+      // Une marque ayant un événement dans une catégorie exclue n'est jamais proposée
+      const exclues = new Set(categoriesExclues);
+      const retenue = alternative => !alternative.categories.some(categorie => exclues.has(categorie.id));
+
+      const idsChoisis = new Set();
+      const alternativesChoisies = [];
+      for (const { alternative_marque_id: id, rang, commentaire } of curation) {
+        if (id === marqueId || idsChoisis.has(id) || !marquesParId.has(id)) continue;
+        idsChoisis.add(id);
+        alternativesChoisies.push({ ...decrireAlternative(marquesParId.get(id), graphe, budget), source: 'curation', rang, commentaire });
+      }
+
+      const alternativesClassees = (marquesSecteur || [])
+        .filter(m => !idsChoisis.has(m.id))
+        .map(m => ({ ...decrireAlternative(m, graphe, budget), source: 'classement' }))
+        .sort(comparerAlternatives);
+
+      const alternatives = [...alternativesChoisies, ...alternativesClassees].filter(retenue);
+
+      resultat = {
+        marque: {
+          id: marque.id,
+          nom: marque.nom,
+          secteur: marque.secteur_marque || null
+        },
+        alternatives: alternatives.slice(0, limite),
+        total: alternatives.length,
+        exclure_categories: categoriesExclues
+      };
+      cache.set('marques_alternatives', resultat, params);
+    }
+
+    MetricsLogger.logCache(functionName, cacheHit);
+
+    return {
+      statusCode: 200,
+      headers: {
+        ...headers,
+        'X-Data-Source': cacheHit ? 'odm-api-marques-alternatives-cache-unified' : 'odm-api-marques-alternatives-fresh-unified',
+        'X-Cache': cacheHit ? 'HIT' : 'MISS',
+        'Cache-Control': 'public, s-maxage=900, stale-while-revalidate=1800'
+      },
+      body: JSON.stringify(resultat)
+    };
+
+  } catch (error) {
+    MetricsLogger.logError(functionName, error);
+    console.error('Brand alternatives endpoint error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Erreur serveur lors de la recherche d\'alternatives',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      })
+    };
+  }
+};
+
+export const handler = sentryHandler(marquesAlternativesHandler);
@@ -0,0 +1,239 @@
+/**
+ * Netlify Function - Batch brand lookup by names or IDs
+ * One request for all the brands mentioned on a page (extension): names are matched
+ * like the brand index (accents, punctuation and aliases ignored), unmatched inputs are reported
+ */
+import { createClient } from '@supabase/supabase-js';
+import { analyserBudgetParcours } from './utils/chaineBeneficiaires.js';
+import { chargerIndexNomsEnCache, correspondanceExacte } from './utils/correspondanceNoms.js';
+import { MetricsLogger } from './utils/metrics.js';
+import { initSentry, sentryHandler } from './utils/sentry.js';
+import { createServerlessCache } from './utils/serverlessCache.js';
+import { construireRequeteMarques, transformerMarques } from './utils/transformationMarques.js';
+import { enTetesVersion, versionDemandee } from './utils/versionApi.js';
+
+// Initialiser Sentry
+initSentry();
+
+// Cache unifié : index des noms (`index_noms`), marques transformées (`marques_batch`) et `graphe_controverses`
+const cache = createServerlessCache('marques_batch');
+
+// Configuration Supabase
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_ANON_KEY;
+
+if (!supabaseUrl || !supabaseKey) {
+  console.error('Missing Supabase configuration');
+}
+
+const supabase = supabaseUrl && supabaseKey ? createClient(supabaseUrl, supabaseKey, {
+  auth: { persistSession: false }
+}) : null;
+
+const MAX_ENTREES_BATCH = 50;
+
+// leger : bénéficiaires directs (format liste de /api/marques) / complet : chaîne complète (format recherche)
+const NIVEAUX_DETAIL = ['leger', 'complet'];
+
+/**
+ * Noms et IDs du corps de la requête
+ * @returns {Object} { noms, ids, detail } ou { erreur }
+ */
+function analyserCorps(body) {
+  const { noms = [], ids = [], detail = 'leger' } = body || {};
+
+  if (!Array.isArray(noms) || noms.some(nom => typeof nom !== 'string')) {
+    return { erreur: 'Le champ noms doit être un tableau de chaînes' };
+  }
+
+  if (!Array.isArray(ids) || ids.some(id => !Number.isInteger(id) || id <= 0)) {
+    return { erreur: 'Le champ ids doit être un tableau d\'IDs de marques (entiers positifs)' };
+  }
+
+  const total = noms.length + ids.length;
+  if (total === 0 || total > MAX_ENTREES_BATCH) {
+    return { erreur: `Le corps doit contenir de 1 à ${MAX_ENTREES_BATCH} noms ou IDs (noms et ids cumulés)` };
+  }
+
+  if (!NIVEAUX_DETAIL.includes(detail)) {
+    return { erreur: `Le champ detail doit valoir ${NIVEAUX_DETAIL.join(' ou ')}` };
+  }
+
+  return { noms, ids, detail };
+}
+
+/**
+ * Marques transformées pour les IDs demandés : cache par marque, une seule requête pour les manquantes
+ * @returns {Object} { marquesParId: Map, nbEnCache }
+ */
+async function chargerMarques(ids, { detail, version, budget }) {
+  const paramsMarque = id => detail === 'complet'
+    ? { id, detail, version, ...budget }
+    : { id, detail, version };
+
+  const marquesParId = new Map();
+  const manquants = [];
+  for (const id of ids) {
+    const enCache = cache.get('marques_batch', paramsMarque(id));
+    if (enCache) {
+      marquesParId.set(id, enCache);
+    } else {
+      manquants.push(id);
+    }
+  }
+
+  if (manquants.length > 0) {
+    const { data: marques, error } = await construireRequeteMarques(supabase).in('id', manquants);
+    if (error) throw error;
+
+    // Même transformation que /api/marques : liste (leger) ou recherche (complet)
+    const transformees = await transformerMarques(supabase, marques || [], {
+      avecChaine: detail === 'complet',
+      version,
+      budget: detail === 'complet' ? budget : undefined,
+      cache
+    });
+
+    for (const marque of transformees) {
+      marquesParId.set(marque.id, marque);
+      cache.set('marques_batch', marque, paramsMarque(marque.id));
+    }
+  }
+
+  return { marquesParId, nbEnCache: ids.length - manquants.length };
+}
+
+const marquesBatchHandler = async (event) => {
+  const functionName = 'marques-batch';
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  // Format v2 (marques_indirectes en arbre) sur demande, comme /api/marques
+  const version = versionDemandee(event);
+
+  if (!version) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Version non supportée (v=1 ou v=2)' })
+    };
+  }
+
+  // Budget de parcours de la chaîne (detail=complet)
+  const { profondeur, maxNoeuds } = event.queryStringParameters || {};
+  const { budget, erreur: erreurBudget } = analyserBudgetParcours({ profondeur, maxNoeuds });
+
+  if (erreurBudget) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: erreurBudget })
+    };
+  }
+
+  let body;
+  try {
+    body = JSON.parse(event.body || '{}');
+  } catch {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Corps JSON invalide' })
+    };
+  }
+
+  const { noms, ids, detail, erreur } = analyserCorps(body);
+
+  if (erreur) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: erreur })
+    };
+  }
+
+  try {
+    if (!supabase) {
+      throw new Error('Supabase not configured');
+    }
+
+    // Noms → IDs sur l'index des noms et alias (pas de chargement si seuls des IDs sont demandés)
+    const index = noms.length > 0 ? await chargerIndexNomsEnCache(supabase, cache) : [];
+    const correspondancesNoms = noms.map(nom => ({ nom, correspondance: correspondanceExacte(index, nom) }));
+
+    const idsDemandes = Array.from(new Set([
+      ...correspondancesNoms.filter(c => c.correspondance).map(c => c.correspondance.id),
+      ...ids
+    ]));
+    const { marquesParId, nbEnCache } = await chargerMarques(idsDemandes, { detail, version, budget });
+    const cacheHit = idsDemandes.length > 0 && nbEnCache === idsDemandes.length;
+
+    // Un résultat par entrée, dans l'ordre de la requête
+    const resultats = [
+      ...correspondancesNoms.map(({ nom, correspondance }) => ({
+        entree: nom,
+        type: 'nom',
+        marque_id: correspondance && marquesParId.has(correspondance.id) ? correspondance.id : null,
+        ...(correspondance?.alias && { alias: correspondance.alias })
+      })),
+      ...ids.map(id => ({
+        entree: id,
+        type: 'id',
+        marque_id: marquesParId.has(id) ? id : null
+      }))
+    ];
+
+    const nonTrouves = resultats.filter(r => r.marque_id === null);
+
+    MetricsLogger.logCache(functionName, cacheHit);
+
+    return {
+      statusCode: 200,
+      headers: {
+        ...headers,
+        ...enTetesVersion(version),
+        'X-Data-Source': cacheHit ? 'odm-api-marques-batch-cache-unified' : 'odm-api-marques-batch-fresh-unified',
+        'X-Cache': cacheHit ? 'HIT' : 'MISS'
+      },
+      body: JSON.stringify({
+        detail,
+        marques: idsDemandes.filter(id => marquesParId.has(id)).map(id => marquesParId.get(id)),
+        resultats,
+        non_trouves: {
+          noms: nonTrouves.filter(r => r.type === 'nom').map(r => r.entree),
+          ids: nonTrouves.filter(r => r.type === 'id').map(r => r.entree)
+        }
+      })
+    };
+
+  } catch (error) {
+    MetricsLogger.logError(functionName, error);
+    console.error('Brand batch endpoint error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Erreur serveur lors de la recherche groupée de marques',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      })
+    };
+  }
+};
+
+export const handler = sentryHandler(marquesBatchHandler);
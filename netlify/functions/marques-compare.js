@@ -0,0 +1,230 @@
+/**
+ * Netlify Function - Side-by-side brand comparison
+ * Events per category, condemnations, sector, shared / unique beneficiaries
+ * and reachable controversial beneficiaries for 2 to 5 brands
+ */
+import { createClient } from '@supabase/supabase-js';
+import { analyserBudgetParcours } from './utils/chaineBeneficiaires.js';
+import { MetricsLogger } from './utils/metrics.js';
+import { initSentry, sentryHandler } from './utils/sentry.js';
+import { createServerlessCache } from './utils/serverlessCache.js';
+import {
+  chargerGrapheControversesEnCache,
+  getBeneficiairesControverses,
+  SELECT_STATS_MARQUES,
+  statistiquesEvenements
+} from './utils/statistiquesMarques.js';
+
+// Initialiser Sentry
+initSentry();
+
+// Cache unifié : graphe des controverses (`graphe_controverses`) et comparaisons (`marques_compare`)
+const cache = createServerlessCache('marques_compare');
+
+// Configuration Supabase
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_ANON_KEY;
+
+if (!supabaseUrl || !supabaseKey) {
+  console.error('Missing Supabase configuration');
+}
+
+const supabase = supabaseUrl && supabaseKey ? createClient(supabaseUrl, supabaseKey, {
+  auth: { persistSession: false }
+}) : null;
+
+const MIN_MARQUES = 2;
+const MAX_MARQUES = 5;
+
+/**
+ * IDs de marques du paramètre `ids` (séparés par des virgules, sans doublon)
+ * @returns {Array|null} IDs dans l'ordre demandé, null si le paramètre est invalide
+ */
+function analyserIds(valeur) {
+  const morceaux = (valeur || '').split(',').map(morceau => morceau.trim()).filter(Boolean);
+  if (morceaux.some(morceau => !/^\d+$/.test(morceau))) return null;
+
+  const ids = Array.from(new Set(morceaux.map(Number))).filter(id => id > 0);
+  return ids.length >= MIN_MARQUES && ids.length <= MAX_MARQUES ? ids : null;
+}
+
+/**
+ * Comparaison des marques, dans l'ordre demandé
+ * @param {Array} marques - Marques (SELECT_STATS_MARQUES)
+ * @param {Object} graphe - Graphe des controverses (chargerGrapheControverses)
+ * @param {Object} budget - { profondeurMax, noeudsMax }
+ */
+function comparerMarques(marques, graphe, budget) {
+  const chaines = marques.map(marque => getBeneficiairesControverses(graphe, marque.id, budget));
+
+  // Marques qui atteignent chaque bénéficiaire de leur chaîne
+  const marquesParBeneficiaire = new Map();
+  chaines.forEach(({ niveaux }, index) => {
+    for (const id of niveaux.keys()) {
+      marquesParBeneficiaire.set(id, [...(marquesParBeneficiaire.get(id) || []), index]);
+    }
+  });
+
+  const beneficiaireAtteint = (id, chaine) => ({
+    id,
+    nom: graphe.beneficiairesParId.get(id).nom,
+    niveau: chaine.niveaux.get(id),
+    participation_effective: chaine.participations.get(id) || null
+  });
+
+  const comparaison = marques.map((marque, index) => {
+    const chaine = chaines[index];
+    const stats = statistiquesEvenements(marque.Evenement || []);
+
+    return {
+      id: marque.id,
+      nom: marque.nom,
+      secteur: marque.secteur_marque ? {
+        id: marque.secteur_marque.id,
+        nom: marque.secteur_marque.nom
+      } : null,
+      nb_evenements: stats.nbControverses,
+      nb_condamnations: stats.nbCondamnations,
+      evenements_par_categorie: stats.parCategorie.map(c => ({
+        categorie: c.categorie,
+        nb_evenements: c.nbEvenements,
+        nb_condamnations: c.nbCondamnations
+      })),
+      nb_beneficiaires: chaine.niveaux.size,
+      // Bénéficiaires de la chaîne qu'aucune autre marque comparée n'atteint
+      beneficiaires_uniques: Array.from(chaine.niveaux.keys())
+        .filter(id => marquesParBeneficiaire.get(id).length === 1)
+        .map(id => beneficiaireAtteint(id, chaine))
+        .sort((a, b) => a.niveau - b.niveau || a.nom.localeCompare(b.nom)),
+      beneficiaires_controverses: chaine.beneficiaires.map(b => beneficiaireAtteint(b.id, chaine)),
+      participation_controversee_max: chaine.participationMax,
+      troncature: chaine.troncature
+    };
+  });
+
+  // Bénéficiaires atteints par au moins deux des marques comparées
+  const beneficiairesCommuns = Array.from(marquesParBeneficiaire.entries())
+    .filter(([, indices]) => indices.length > 1)
+    .map(([id, indices]) => ({
+      id,
+      nom: graphe.beneficiairesParId.get(id).nom,
+      controverse: graphe.idsControverses.has(id),
+      marques: indices.map(index => ({
+        marque_id: marques[index].id,
+        niveau: chaines[index].niveaux.get(id),
+        participation_effective: chaines[index].participations.get(id) || null
+      }))
+    }))
+    // Partagés par le plus de marques d'abord
+    .sort((a, b) => b.marques.length - a.marques.length || a.nom.localeCompare(b.nom));
+
+  return {
+    marques: comparaison,
+    beneficiaires_communs: beneficiairesCommuns
+  };
+}
+
+const marquesCompareHandler = async (event) => {
+  const functionName = 'marques-compare';
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  const { ids: idsParam, profondeur, maxNoeuds } = event.queryStringParameters || {};
+  const ids = analyserIds(idsParam);
+  const { budget, erreur: erreurBudget } = analyserBudgetParcours({ profondeur, maxNoeuds });
+
+  if (!ids) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: `Le paramètre ids doit contenir de ${MIN_MARQUES} à ${MAX_MARQUES} IDs de marques distincts, séparés par des virgules` })
+    };
+  }
+
+  if (erreurBudget) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: erreurBudget })
+    };
+  }
+
+  try {
+    if (!supabase) {
+      throw new Error('Supabase not configured');
+    }
+
+    const params = { ids: ids.join(','), ...budget };
+    let resultat = cache.get('marques_compare', params);
+    const cacheHit = Boolean(resultat);
+
+    if (!resultat) {
+      const [{ data: marques, error: marquesError }, graphe] = await Promise.all([
+        supabase
+          .from('Marque')
+          .select(SELECT_STATS_MARQUES)
+          .in('id', ids),
+        chargerGrapheControversesEnCache(supabase, cache)
+      ]);
+
+      if (marquesError) throw marquesError;
+
+      const marquesParId = new Map((marques || []).map(m => [m.id, m]));
+      const idsInconnus = ids.filter(id => !marquesParId.has(id));
+
+      if (idsInconnus.length > 0) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Marque(s) non trouvée(s)', ids_inconnus: idsInconnus })
+        };
+      }
+
+      resultat = comparerMarques(ids.map(id => marquesParId.get(id)), graphe, budget);
+      cache.set('marques_compare', resultat, params);
+    }
+
+    MetricsLogger.logCache(functionName, cacheHit);
+
+    return {
+      statusCode: 200,
+      headers: {
+        ...headers,
+        'X-Data-Source': cacheHit ? 'odm-api-marques-compare-cache-unified' : 'odm-api-marques-compare-fresh-unified',
+        'X-Cache': cacheHit ? 'HIT' : 'MISS',
+        'Cache-Control': 'public, s-maxage=600, stale-while-revalidate=60'
+      },
+      body: JSON.stringify(resultat)
+    };
+
+  } catch (error) {
+    MetricsLogger.logError(functionName, error);
+    console.error('Brand comparison endpoint error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Erreur serveur lors de la comparaison des marques',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      })
+    };
+  }
+};
+
+export const handler = sentryHandler(marquesCompareHandler);
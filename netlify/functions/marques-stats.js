@@ -3,6 +3,14 @@
  */
 import { createClient } from '@supabase/supabase-js';
 import { createHash } from 'node:crypto';
+import { analyserBudgetParcours } from './utils/chaineBeneficiaires.js';
+import {
+  chargerGrapheControverses,
+  getBeneficiairesControverses,
+  scoreRisqueMarque,
+  SELECT_STATS_MARQUES,
+  statistiquesEvenements
+} from './utils/statistiquesMarques.js';
 
 // Configuration Supabase
 const supabaseUrl = process.env.SUPABASE_URL;
@@ -19,100 +27,31 @@ const supabase = supabaseUrl && supabaseKey ? createClient(supabaseUrl, supabase
 // Cache
 const cache = new Map();
 const CACHE_TTL = 10 * 60 * 1000; // 10 minutes
+const MAX_VARIANTES_CACHE = 5; // Une entrée par budget de parcours demandé
 const MAX_CATEGORIES = 7;
 const MAX_BENEFICIAIRES = 5;
 
-// Fonction pour récupérer les bénéficiaires controversés sur plusieurs niveaux
-async function getBeneficiairesControverses(supabase, marqueId) {
-  try {
-    // 1. Récupérer les bénéficiaires directs de cette marque
-    const { data: liaisonsBeneficiaires } = await supabase
-      .from('Marque_beneficiaire')
-      .select('beneficiaire_id')
-      .eq('marque_id', marqueId);
-
-    if (!liaisonsBeneficiaires || liaisonsBeneficiaires.length === 0) {
-      return { count: 0, beneficiaires: [] };
-    }
+const TRIS = ['alphabetique', 'participation', 'score'];
 
-    // 2. Pour chaque bénéficiaire direct, construire sa chaîne et collecter les controversés
-    const beneficiairesControversesMap = new Map();
-    
-    for (const liaison of liaisonsBeneficiaires) {
-      if (!liaison.beneficiaire_id) continue;
-      
-      const controversesDeChaine = await getBeneficiairesControversesRecursif(
-        supabase,
-        liaison.beneficiaire_id,
-        new Set(),
-        5 // profondeur max
-      );
-      
-      controversesDeChaine.forEach(beneficiaire => {
-        beneficiairesControversesMap.set(beneficiaire.id, beneficiaire);
-      });
-    }
-    
-    const beneficiaires = Array.from(beneficiairesControversesMap.values());
-    return { count: beneficiaires.length, beneficiaires };
-  } catch (error) {
-    console.error(`Erreur lors de la récupération des bénéficiaires controversés pour la marque ${marqueId}:`, error);
-    return { count: 0, beneficiaires: [] };
+/**
+ * Filtre et tri demandés, appliqués à la liste en cache (triée alphabétiquement)
+ */
+function filtrerEtTrier(marques, { tri, participationMin }) {
+  const resultat = participationMin === null
+    ? marques
+    : marques.filter(m => m.participationControverseeMax !== null && m.participationControverseeMax >= participationMin);
+
+  if (tri === 'score') {
+    // Score de risque décroissant, ordre alphabétique conservé à score égal
+    return [...resultat].sort((a, b) => b.scoreRisque.total - a.scoreRisque.total);
   }
-}
 
-// Fonction récursive pour parcourir la chaîne et trouver les bénéficiaires controversés
-async function getBeneficiairesControversesRecursif(supabase, beneficiaireId, visited, profondeurRestante) {
-  const result = new Set();
-  
-  // Éviter les cycles et limiter la profondeur
-  if (profondeurRestante <= 0 || visited.has(beneficiaireId)) {
-    return result;
-  }
-  
-  visited.add(beneficiaireId);
-  
-  // Vérifier si ce bénéficiaire a des controverses et récupérer son nom
-  const { data: controverses } = await supabase
-    .from('controverse_beneficiaire')
-    .select('id')
-    .eq('beneficiaire_id', beneficiaireId)
-    .limit(1);
-    
-  if (controverses && controverses.length > 0) {
-    // Récupérer le nom du bénéficiaire
-    const { data: beneficiaire } = await supabase
-      .from('Beneficiaires')
-      .select('id, nom')
-      .eq('id', beneficiaireId)
-      .single();
-      
-    if (beneficiaire) {
-      result.add({ id: beneficiaire.id, nom: beneficiaire.nom });
-    }
-  }
-  
-  // Récupérer les relations suivantes
-  const { data: relations } = await supabase
-    .from('beneficiaire_relation')
-    .select('beneficiaire_cible_id')
-    .eq('beneficiaire_source_id', beneficiaireId);
-    
-  if (relations && relations.length > 0) {
-    for (const relation of relations) {
-      if (relation.beneficiaire_cible_id && !visited.has(relation.beneficiaire_cible_id)) {
-        const sousResult = await getBeneficiairesControversesRecursif(
-          supabase,
-          relation.beneficiaire_cible_id,
-          new Set(visited), // Nouvelle copie pour chaque branche
-          profondeurRestante - 1
-        );
-        sousResult.forEach(beneficiaire => result.add(beneficiaire));
-      }
-    }
+  if (tri === 'participation') {
+    // Tri stable : ordre alphabétique conservé à participation égale, non renseignées en dernier
+    return [...resultat].sort((a, b) => (b.participationControverseeMax ?? -1) - (a.participationControverseeMax ?? -1));
   }
-  
-  return result;
+
+  return resultat;
 }
 
 export const handler = async (event) => {
@@ -135,164 +74,119 @@ export const handler = async (event) => {
     };
   }
 
+  const { tri = 'alphabetique', participationMin, profondeur, maxNoeuds } = event.queryStringParameters || {};
+  const { budget, erreur: erreurBudget } = analyserBudgetParcours({ profondeur, maxNoeuds });
+  const seuilParticipation = participationMin === undefined ? null : Number(participationMin);
+
+  if (!TRIS.includes(tri)) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: `Le paramètre tri doit valoir ${TRIS.join(' ou ')}` })
+    };
+  }
+
+  if (seuilParticipation !== null && (participationMin === '' || !Number.isFinite(seuilParticipation) || seuilParticipation < 0 || seuilParticipation > 100)) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Le paramètre participationMin doit être compris entre 0 et 100' })
+    };
+  }
+
+  if (erreurBudget) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: erreurBudget })
+    };
+  }
+
   try {
     const ifNoneMatch = (event.headers && (event.headers['if-none-match'] || event.headers['If-None-Match'])) || undefined;
     // Check cache
-    const cacheKey = 'marques_stats';
+    const cacheKey = `marques_stats:${budget.profondeurMax}:${budget.noeudsMax}`;
     const now = Date.now();
-    const cached = cache.get(cacheKey);
-    
-    if (cached && (now - cached.timestamp) < CACHE_TTL) {
-      if (ifNoneMatch && cached.etag && ifNoneMatch === cached.etag) {
-        return {
-          statusCode: 304,
-          headers: {
-            ...headers,
-            'ETag': cached.etag,
-            'Cache-Control': 'public, s-maxage=600, stale-while-revalidate=60',
-            'X-Data-Source': 'odm-api-cache',
-            'X-Cache': 'HIT'
-          },
-          body: ''
-        };
-      }
+    let cached = cache.get(cacheKey);
+    const cacheHit = Boolean(cached && (now - cached.timestamp) < CACHE_TTL);
+
+    if (cacheHit) {
       console.log('Cache hit for brand stats');
-      return {
-        statusCode: 200,
-        headers: {
-          ...headers,
-          'ETag': cached.etag,
-          'Cache-Control': 'public, s-maxage=600, stale-while-revalidate=60',
-          'X-Data-Source': 'odm-api-cache',
-          'X-Cache': 'HIT'
-        },
-        body: cached.bodyStr || JSON.stringify(cached.data)
-      };
-    }
+    } else {
+      if (!supabase) {
+        throw new Error('Supabase not configured');
+      }
 
-    if (!supabase) {
-      throw new Error('Supabase not configured');
-    }
+      // Récupérer toutes les marques avec leurs événements, et le graphe des bénéficiaires
+      const [{ data: marques, error: marquesError }, graphe] = await Promise.all([
+        supabase
+          .from('Marque')
+          .select(SELECT_STATS_MARQUES),
+        chargerGrapheControverses(supabase)
+      ]);
+
+      if (marquesError) throw marquesError;
 
-    // Récupérer toutes les marques avec leurs événements et bénéficiaires
-    const { data: marques, error: marquesError } = await supabase
-      .from('Marque')
-      .select(`
-        id,
-        nom,
-        secteur_marque_id,
-        secteur_marque:SecteurMarque!Marque_secteur_marque_id_fkey (
-          id,
-          nom
-        ),
-        Evenement (
-          id,
-          categorie_id,
-          condamnation_judiciaire,
-          Categorie!Evenement_categorie_id_fkey (
-            id,
-            nom,
-            emoji,
-            couleur
-          )
-        ),
-        Marque_beneficiaire!marque_id (
-          id,
-          beneficiaire_id,
-          lien_financier,
-          beneficiaire:Beneficiaires!marque_beneficiaire_beneficiaire_id_fkey (
-            id,
-            nom,
-            type_beneficiaire
-          )
-        )
-      `);
+      // Calculer les statistiques pour chaque marque
+      const marquesWithStats = (marques || []).map((marque) => {
+        // Controverses, catégories uniques et condamnations judiciaires
+        const { nbControverses, nbCondamnations, categories: toutesCategories } = statistiquesEvenements(marque.Evenement || []);
+        const categories = toutesCategories.slice(0, MAX_CATEGORIES);
 
-    if (marquesError) throw marquesError;
+        // Bénéficiaires controversés (multi-niveaux)
+        const beneficiairesData = getBeneficiairesControverses(graphe, marque.id, budget);
+        const beneficiairesLimited = beneficiairesData.beneficiaires.slice(0, MAX_BENEFICIAIRES);
 
-    // Calculer les statistiques pour chaque marque
-    const marquesWithStats = await Promise.all((marques || []).map(async (marque) => {
-      const evenements = marque.Evenement || [];
-      
-      // Nombre total de controverses
-      const nbControverses = evenements.length;
-      
-      // Catégories uniques (filtrer les null et undefined)
-      const categoriesMap = new Map();
-      evenements.forEach((e) => {
-        const categorie = e.Categorie;
-        let cat = null;
-        if (Array.isArray(categorie) && categorie.length > 0) {
-          cat = categorie[0];
-        } else if (categorie && 'nom' in categorie) {
-          cat = categorie;
-        }
-        if (cat && cat.id) {
-          categoriesMap.set(cat.id, cat);
-        }
+        return {
+          id: marque.id,
+          nom: marque.nom,
+          secteur: marque.secteur_marque ? {
+            id: marque.secteur_marque.id,
+            nom: marque.secteur_marque.nom
+          } : null,
+          nbControverses,
+          categories,
+          nbCondamnations,
+          nbBeneficiairesControverses: beneficiairesData.count,
+          beneficiairesControverses: beneficiairesLimited,
+          // Plus forte participation effective dans un bénéficiaire controversé (null si aucun pourcentage)
+          participationControverseeMax: beneficiairesData.participationMax,
+          // false si un pourcentage manque sur un chemin vers un bénéficiaire controversé
+          participationControverseeComplete: beneficiairesData.participationComplete,
+          // Chaîne coupée par le budget de parcours (profondeur / maxNoeuds)
+          troncature: beneficiairesData.troncature,
+          // Score de risque détaillé par composante (utils/scoreRisque.js)
+          scoreRisque: scoreRisqueMarque(marque.Evenement || [], beneficiairesData)
+        };
       });
-      const categories = Array.from(categoriesMap.values()).slice(0, MAX_CATEGORIES);
-      
-      // Nombre de condamnations judiciaires
-      const nbCondamnations = evenements.filter((e) => e.condamnation_judiciaire === true).length;
-      
-      // Bénéficiaires controversés (multi-niveaux)
-      const beneficiairesData = await getBeneficiairesControverses(supabase, marque.id);
-      const beneficiairesLimited = (beneficiairesData.beneficiaires || []).slice(0, MAX_BENEFICIAIRES);
-      
-      return {
-        id: marque.id,
-        nom: marque.nom,
-        secteur: marque.secteur_marque ? {
-          id: marque.secteur_marque.id,
-          nom: marque.secteur_marque.nom
-        } : null,
-        nbControverses,
-        categories,
-        nbCondamnations,
-        nbBeneficiairesControverses: beneficiairesData.count,
-        beneficiairesControverses: beneficiairesLimited
-      };
-    }));
 
-    // Tri alphabétique côté API pour éviter un tri duplicatif côté front
-    marquesWithStats.sort((a, b) => a.nom.localeCompare(b.nom, 'fr', { sensitivity: 'base' }));
+      // Tri alphabétique côté API pour éviter un tri duplicatif côté front
+      marquesWithStats.sort((a, b) => a.nom.localeCompare(b.nom, 'fr', { sensitivity: 'base' }));
+
+      cached = { data: marquesWithStats, timestamp: now };
+      if (!cache.has(cacheKey) && cache.size >= MAX_VARIANTES_CACHE) {
+        cache.delete(cache.keys().next().value); // Variante la plus ancienne
+      }
+      cache.set(cacheKey, cached);
+      console.log(`Brand stats loaded: ${marquesWithStats.length} brands`);
+    }
 
-    // Préparer ETag et mise en cache
-    const bodyStr = JSON.stringify(marquesWithStats);
+    // ETag par variante (tri / filtre)
+    const bodyStr = JSON.stringify(filtrerEtTrier(cached.data, { tri, participationMin: seuilParticipation }));
     const etag = createHash('sha1').update(bodyStr).digest('hex');
-    cache.set(cacheKey, {
-      data: marquesWithStats,
-      timestamp: now,
-      etag,
-      bodyStr
-    });
+    const responseHeaders = {
+      ...headers,
+      'ETag': etag,
+      'Cache-Control': 'public, s-maxage=600, stale-while-revalidate=60',
+      'X-Data-Source': cacheHit ? 'odm-api-cache' : 'odm-api-fresh',
+      'X-Cache': cacheHit ? 'HIT' : 'MISS'
+    };
 
-    console.log(`Brand stats loaded: ${marquesWithStats.length} brands`);
-    if (ifNoneMatch && etag && ifNoneMatch === etag) {
-      return {
-        statusCode: 304,
-        headers: {
-          ...headers,
-          'ETag': etag,
-          'Cache-Control': 'public, s-maxage=600, stale-while-revalidate=60',
-          'X-Data-Source': 'odm-api-fresh',
-          'X-Cache': 'MISS'
-        },
-        body: ''
-      };
+    if (ifNoneMatch && ifNoneMatch === etag) {
+      return { statusCode: 304, headers: responseHeaders, body: '' };
     }
-    return {
-      statusCode: 200,
-      headers: {
-        ...headers,
-        'ETag': etag,
-        'Cache-Control': 'public, s-maxage=600, stale-while-revalidate=60',
-        'X-Data-Source': 'odm-api-fresh',
-        'X-Cache': 'MISS'
-      },
-      body: bodyStr
-    };
+
+    return { statusCode: 200, headers: responseHeaders, body: bodyStr };
 
   } catch (error) {
     console.error('Brand stats endpoint error:', error);
@@ -305,4 +199,4 @@ export const handler = async (event) => {
       })
     };
   }
-};
\ No newline at end of file
+};
@@ -2,10 +2,34 @@
  * Netlify Function - Brands data with search capabilities
  */
 import { createClient } from '@supabase/supabase-js';
-import { recupererToutesMarquesTransitives } from './utils/marquesTransitives.js';
+import { analyserBudgetParcours } from './utils/chaineBeneficiaires.js';
 import { MetricsLogger } from './utils/metrics.js';
 import { initSentry, sentryHandler } from './utils/sentry.js';
+import {
+  analyserFiltresMarques,
+  cleFiltres,
+  filtrerMarques,
+  filtresDemandes,
+  nbValeursCurseur,
+  positionApresCurseur,
+  valeursCurseur
+} from './utils/facettesMarques.js';
+import {
+  analyserPaginationCurseur,
+  appliquerPaginationCurseur,
+  decouperPage,
+  encoderCurseur,
+  enTetesPagination
+} from './utils/pagination.js';
 import { createServerlessCache } from './utils/serverlessCache.js';
+import {
+  chargerGrapheControversesEnCache,
+  getBeneficiairesControverses,
+  scoreRisqueMarque,
+  SELECT_STATS_MARQUES
+} from './utils/statistiquesMarques.js';
+import { construireRequeteMarques, transformerMarques } from './utils/transformationMarques.js';
+import { enTetesVersion, versionDemandee } from './utils/versionApi.js';
 import { createHash } from 'node:crypto';
 
 // Initialiser Sentry
@@ -27,248 +51,110 @@ const supabase = supabaseUrl && supabaseKey ? createClient(supabaseUrl, supabase
 }) : null;
 
 // Utilisation du cache unifié
-// TTL adapté automatiquement : 10min (recherche) ou 20min (liste complète)
+// TTL adapté automatiquement : 10min (recherche, filtres) ou 20min (liste complète)
 
-// Algorithme récursif pour construire la chaîne de bénéficiaires
-async function construireChaineRecursive(beneficiaireId, niveauActuel, visitedIds, profondeurMax = 5, lienFinancierParent = '') {
-  // Éviter les cycles infinis et limiter la profondeur
-  if (niveauActuel >= profondeurMax || visitedIds.has(beneficiaireId)) {
-    return [];
-  }
-
-  // Marquer ce bénéficiaire comme visité
-  visitedIds.add(beneficiaireId);
+// Pagination par curseur : 50 marques par page par défaut (transformation complète de chaque marque)
+const LIMITE_CURSEUR_DEFAUT = 50;
+const LIMITE_CURSEUR_MAX = 200;
 
-  try {
-    // Récupérer le bénéficiaire actuel
-    const { data: beneficiaire, error: beneficiaireError } = await supabase
-      .from('Beneficiaires')
-      .select(`
-        id,
-        nom,
-        impact_generique,
-        type_beneficiaire,
-        created_at,
-        updated_at,
-        controverses:controverse_beneficiaire(*,Categorie!controverse_beneficiaire_categorie_id_fkey(*))
-      `)
-      .eq('id', beneficiaireId)
-      .single();
-
-    if (beneficiaireError || !beneficiaire) {
-      visitedIds.delete(beneficiaireId);
-      return [];
-    }
+// Liste sans filtres : ordre alphabétique, ID croissant à nom égal
+const CLES_CURSEUR = [
+  { colonne: 'nom', croissant: true },
+  { colonne: 'id', croissant: true }
+];
 
-    // Récupérer les relations suivantes
-    const { data: relations } = await supabase
-      .from('beneficiaire_relation')
-      .select(`
-        id,
-        beneficiaire_source_id,
-        beneficiaire_cible_id,
-        description_relation,
-        created_at,
-        updated_at
-      `)
-      .eq('beneficiaire_source_id', beneficiaireId);
-
-    const relationsSuivantes = (relations || []).map(rel => ({
-      id: rel.id,
-      beneficiaire_source_id: rel.beneficiaire_source_id,
-      beneficiaire_cible_id: rel.beneficiaire_cible_id,
-      type_relation: 'actionnaire', // Valeur par défaut
-      description_relation: rel.description_relation,
-      created_at: rel.created_at,
-      updated_at: rel.updated_at
-    }));
-
-    // Créer le nœud actuel
-    const nodeActuel = {
-      beneficiaire: {
-        id: beneficiaire.id,
-        nom: beneficiaire.nom,
-        controverses: beneficiaire.controverses || [],
-        impact_generique: beneficiaire.impact_generique,
-        type_beneficiaire: beneficiaire.type_beneficiaire,
-        created_at: beneficiaire.created_at,
-        updated_at: beneficiaire.updated_at
-      },
-      niveau: niveauActuel,
-      relations_suivantes: relationsSuivantes,
-      lien_financier: lienFinancierParent || 'Lien financier non défini',
-      marques_directes: [],
-      marques_indirectes: {}
-    };
+/**
+ * Lignes SELECT_MARQUES des marques d'une page, dans l'ordre des IDs
+ */
+async function chargerPageMarques(idsPage) {
+  if (idsPage.length === 0) return [];
 
-    // Résultat de la chaîne commençant par ce nœud
-    const resultat = [nodeActuel];
-
-    // Récursivement construire les chaînes suivantes
-    for (const relation of relationsSuivantes) {
-      if (relation.beneficiaire_cible_id && !visitedIds.has(relation.beneficiaire_cible_id)) {
-        const chainesSuivantes = await construireChaineRecursive(
-          relation.beneficiaire_cible_id,
-          niveauActuel + 1,
-          new Set(visitedIds), // Nouvelle copie pour chaque branche
-          profondeurMax,
-          relation.description_relation || 'Participation financière'
-        );
-        resultat.push(...chainesSuivantes);
-      }
-    }
+  const { data, error } = await construireRequeteMarques(supabase).in('id', idsPage);
+  if (error) throw error;
 
-    visitedIds.delete(beneficiaireId);
-    return resultat;
-  } catch (error) {
-    console.error(`Erreur lors de la construction de la chaîne pour bénéficiaire ${beneficiaireId}:`, error);
-    visitedIds.delete(beneficiaireId);
-    return [];
-  }
+  const parId = new Map((data || []).map(marque => [marque.id, marque]));
+  return idsPage.filter(id => parId.has(id)).map(id => parId.get(id));
 }
 
-// Fonction pour enrichir la chaîne avec les marques liées
-async function enrichirAvecMarquesLiees(chaineNodes, marqueId) {
-  try {
-    // Créer un map des bénéficiaires avec leurs marques liées
-    const beneficiairesEnrichis = new Map();
-
-    // Traiter chaque bénéficiaire de la chaîne
-    for (const node of chaineNodes) {
-      const beneficiaireId = node.beneficiaire.id;
-
-      // Récupérer toutes les marques pour ce bénéficiaire
-      const { data: toutesMarquesDuBeneficiaire, error: marquesError } = await supabase
-        .from('Marque_beneficiaire')
-        .select(`
-          Marque!marque_id (id, nom)
-        `)
-        .eq('beneficiaire_id', beneficiaireId);
-
-      if (marquesError) {
-        console.error(`Erreur récupération marques pour bénéficiaire ${beneficiaireId}:`, marquesError);
-        continue;
-      }
-
-      const toutesMarques = toutesMarquesDuBeneficiaire?.map(m => ({
-        id: m.Marque.id,
-        nom: m.Marque.nom
-      })) || [];
-
-      // Calculer les marques directes (exclure la marque actuelle de recherche)
-      const marques_directes = toutesMarques.filter(m => m.id !== marqueId);
-
-      // Utiliser la fonction récursive partagée
-      const marquesTransitives = await recupererToutesMarquesTransitives(
-        supabase,
-        beneficiaireId,
-        marqueId,
-        new Set(),
-        5
-      );
-
-      const marques_indirectes = marquesTransitives.marquesIndirectes;
-
-      beneficiairesEnrichis.set(beneficiaireId, {
-        marques_directes,
-        marques_indirectes
-      });
-    }
-
-    // Enrichir chaque node de la chaîne avec les marques liées
-    return chaineNodes.map(node => {
-      const enrichissement = beneficiairesEnrichis.get(node.beneficiaire.id);
-      if (enrichissement) {
-        return {
-          ...node,
-          marques_directes: enrichissement.marques_directes,
-          marques_indirectes: enrichissement.marques_indirectes
-        };
-      }
-      // Fallback avec tableaux vides
-      return {
-        ...node,
-        marques_directes: [],
-        marques_indirectes: {}
-      };
-    });
+/**
+ * Page de marques filtrée et triée (utils/facettesMarques.js), avec le total et les facettes
+ * Filtres appliqués en mémoire sur la liste légère, seule la page est chargée avec SELECT_MARQUES
+ * @param {Object} options - { search, analyse, budget, limit, offset, curseur: pagination par curseur (prioritaire sur limit / offset) }
+ * @returns {Object} { marques: lignes SELECT_MARQUES de la page dans l'ordre du tri, total, facettes, nextCursor }
+ */
+async function chargerMarquesFiltrees({ search, analyse, budget, limit, offset, curseur }) {
+  let query = supabase
+    .from('Marque')
+    .select(SELECT_STATS_MARQUES);
 
-  } catch (error) {
-    console.error('Erreur lors de l\'enrichissement avec les marques liées:', error);
-    return chaineNodes.map(node => ({
-      ...node,
-      marques_directes: [],
-      marques_indirectes: {}
-    }));
+  if (search) {
+    query = query.ilike('nom', search);
   }
-}
-
-// Fonction pour construire la chaîne complète de bénéficiaires pour une marque
-async function construireChaineCompletePourMarque(marqueId, profondeurMax = 5) {
-  try {
-    // Récupérer les bénéficiaires directs de cette marque
-    const { data: liaisonsBeneficiaires, error: liaisonsError } = await supabase
-      .from('Marque_beneficiaire')
-      .select(`
-        beneficiaire_id,
-        lien_financier,
-        impact_specifique
-      `)
-      .eq('marque_id', parseInt(marqueId));
-
-    if (liaisonsError || !liaisonsBeneficiaires || liaisonsBeneficiaires.length === 0) {
-      return {
-        chaine_beneficiaires: [],
-        total_beneficiaires_chaine: 0,
-        profondeur_max_chaine: 0
-      };
-    }
-
-    // Construire les chaînes complètes
-    const chaineFusionnee = [];
 
-    for (const liaison of liaisonsBeneficiaires) {
-      if (!liaison.beneficiaire_id) continue;
-
-      const chaine = await construireChaineRecursive(
-        liaison.beneficiaire_id,
-        0, // Niveau 0 pour le bénéficiaire direct
-        new Set(),
-        profondeurMax,
-        liaison.lien_financier || 'Lien financier direct'
-      );
+  // Graphe des controverses seulement pour le filtre, la facette ou le tri qui l'utilisent
+  const avecControverses = analyse.filtres.beneficiairesControverses || analyse.facettes || analyse.tri === 'score';
+  const [{ data: marquesLegeres, error }, graphe] = await Promise.all([
+    query,
+    avecControverses ? chargerGrapheControversesEnCache(supabase, cache) : Promise.resolve(null)
+  ]);
+
+  if (error) throw error;
+
+  const { retenues, facettes } = filtrerMarques(
+    marquesLegeres || [],
+    analyse,
+    marqueId => Boolean(graphe) && getBeneficiairesControverses(graphe, marqueId, budget).count > 0,
+    analyse.tri === 'score'
+      ? marque => scoreRisqueMarque(marque.Evenement || [], getBeneficiairesControverses(graphe, marque.id, budget)).total
+      : null
+  );
+
+  // Curseur : keyset en mémoire sur les valeurs de tri de la dernière marque de la page précédente
+  const debut = curseur
+    ? (curseur.valeurs ? positionApresCurseur(retenues, analyse.tri, curseur.valeurs) : 0)
+    : offset;
+  const taille = curseur ? curseur.limite : limit;
+  const page = retenues.slice(debut, debut + taille);
+  const nextCursor = curseur && debut + taille < retenues.length && page.length > 0
+    ? encoderCurseur(`marques_${analyse.tri}`, valeursCurseur(page[page.length - 1], analyse.tri))
+    : null;
+
+  return {
+    marques: await chargerPageMarques(page.map(marque => marque.id)),
+    total: retenues.length,
+    facettes,
+    nextCursor
+  };
+}
 
-      chaineFusionnee.push(...chaine);
-    }
+/**
+ * Page de la liste (ou de la recherche) par curseur : keyset SQL sur (nom, id), puis page complète
+ * @returns {Object} { marques: lignes SELECT_MARQUES de la page, total, nextCursor }
+ */
+async function chargerMarquesCurseur({ search, curseur }) {
+  let query = supabase.from('Marque').select('id, nom');
+  let countQuery = supabase.from('Marque').select('id', { count: 'exact', head: true });
 
-    // Supprimer les doublons par ID de bénéficiaire
-    const chaineUnique = chaineFusionnee.filter((node, index, array) =>
-      array.findIndex(n => n.beneficiaire.id === node.beneficiaire.id) === index
-    );
+  if (search) {
+    query = query.ilike('nom', search);
+    countQuery = countQuery.ilike('nom', search);
+  }
 
-    // Trier par niveau puis par nom
-    chaineUnique.sort((a, b) => {
-      if (a.niveau !== b.niveau) return a.niveau - b.niveau;
-      return a.beneficiaire.nom.localeCompare(b.beneficiaire.nom);
-    });
+  const [{ data, error }, { count, error: countError }] = await Promise.all([
+    appliquerPaginationCurseur(query, CLES_CURSEUR, curseur),
+    countQuery
+  ]);
 
-    // Enrichir avec les marques liées
-    const chaineEnrichie = await enrichirAvecMarquesLiees(chaineUnique, marqueId);
+  if (error) throw error;
+  if (countError) throw countError;
 
-    return {
-      chaine_beneficiaires: chaineEnrichie,
-      total_beneficiaires_chaine: chaineEnrichie.length,
-      profondeur_max_chaine: chaineEnrichie.length > 0 ? Math.max(...chaineEnrichie.map(node => node.niveau)) : 0
-    };
+  const { lignes, nextCursor } = decouperPage(data, curseur, 'marques', marque => [marque.nom, marque.id]);
 
-  } catch (error) {
-    console.error('Erreur lors de la construction de la chaîne complète:', error);
-    return {
-      chaine_beneficiaires: [],
-      total_beneficiaires_chaine: 0,
-      profondeur_max_chaine: 0
-    };
-  }
+  return {
+    marques: await chargerPageMarques(lignes.map(marque => marque.id)),
+    total: count ?? 0,
+    nextCursor
+  };
 }
 
 const marquesHandler = async (event) => {
@@ -293,25 +179,110 @@ const marquesHandler = async (event) => {
     };
   }
 
+  // Format v2 (marques_indirectes en arbre) sur demande, v1 par défaut pour l'extension
+  const version = versionDemandee(event);
+
+  if (!version) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Version non supportée (v=1 ou v=2)' })
+    };
+  }
+
+  // Budget de parcours de la chaîne (mode recherche) : profondeur et nombre de bénéficiaires
+  const { profondeur, maxNoeuds } = event.queryStringParameters || {};
+  const { budget, erreur: erreurBudget } = analyserBudgetParcours({ profondeur, maxNoeuds });
+
+  if (erreurBudget) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: erreurBudget })
+    };
+  }
+
+  // Filtres, tri et facettes (mode filtré) : liste triée par nom sans ces paramètres
+  const analyse = filtresDemandes(event.queryStringParameters || {})
+    ? analyserFiltresMarques(event.queryStringParameters)
+    : null;
+
+  if (analyse?.erreur) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: analyse.erreur })
+    };
+  }
+
+  // Score de risque sur demande (score=true ou tri=score) : il décroît chaque jour, et changerait
+  // sinon l'ETag de la liste par défaut et le snapshot de /api/brands/diff
+  const { score } = event.queryStringParameters || {};
+
+  if (score !== undefined && score !== 'true') {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Le paramètre score ne peut valoir que true' })
+    };
+  }
+
+  const avecScore = score === 'true' || analyse?.tri === 'score';
+
+  // Pagination par curseur sur demande (pagination=curseur ou cursor), tableau par défaut pour l'extension
+  // Un curseur n'est valable que pour le tri qui l'a produit
+  const curseur = analyserPaginationCurseur(event.queryStringParameters || {}, {
+    type: analyse ? `marques_${analyse.tri}` : 'marques',
+    nbValeurs: analyse ? nbValeursCurseur(analyse.tri) : CLES_CURSEUR.length,
+    limiteDefaut: LIMITE_CURSEUR_DEFAUT,
+    limiteMax: LIMITE_CURSEUR_MAX
+  });
+
+  if (curseur?.erreur) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: curseur.erreur })
+    };
+  }
+
+  const responseHeaders = { ...headers, ...enTetesVersion(version) };
+  // En-tête Link (RFC 8288) des réponses paginées par curseur
+  const enTetesCurseur = resultat => (curseur
+    ? enTetesPagination(event, { limite: curseur.limite, nextCursor: resultat.next_cursor })
+    : {});
+
   try {
     const { search, limit = '999', offset = '0' } = event.queryStringParameters || {};
     const ifNoneMatch = (event.headers && (event.headers['if-none-match'] || event.headers['If-None-Match'])) || undefined;
     
     // Déterminer le type de cache selon la requête
-    const endpointType = search ? 'marques_search' : 'marques_all';
-    const params = { search: search || null, limit, offset };
+    let endpointType = search ? 'marques_search' : 'marques_all';
+    let params = search
+      ? { search, limit, offset, version, avecScore, ...budget }
+      : { search: null, limit, offset, version, avecScore };
+
+    if (analyse) {
+      endpointType = 'marques_filtres';
+      params = { search: search || null, limit, offset, version, avecScore, ...budget, ...cleFiltres(analyse) };
+    }
+
+    if (curseur) {
+      params = { ...params, limit: curseur.limite, offset: null, cursor: curseur.cursor };
+    }
     const cached = cache.get(endpointType, params);
 
     if (cached) {
       const bodyStr = JSON.stringify(cached);
       const etag = createHash('sha1').update(bodyStr).digest('hex');
-      const maxAge = endpointType === 'marques_search' ? 600 : 1200; // 10min vs 20min
+      const maxAge = endpointType === 'marques_all' ? 1200 : 600; // 20min vs 10min
       if (ifNoneMatch && etag && ifNoneMatch === etag) {
         MetricsLogger.logCache(functionName, true);
         return {
           statusCode: 304,
           headers: {
-            ...headers,
+            ...responseHeaders,
+            ...enTetesCurseur(cached),
             'X-Data-Source': 'odm-api-marques-cache-unified',
             'X-Cache': 'HIT',
             'X-Cache-Type': endpointType,
@@ -325,7 +296,8 @@ const marquesHandler = async (event) => {
       return {
         statusCode: 200,
         headers: {
-          ...headers,
+          ...responseHeaders,
+          ...enTetesCurseur(cached),
           'X-Data-Source': 'odm-api-marques-cache-unified',
           'X-Cache': 'HIT',
           'X-Cache-Type': endpointType,
@@ -340,190 +312,80 @@ const marquesHandler = async (event) => {
       throw new Error('Supabase not configured');
     }
 
-    let query = supabase
-      .from('Marque')
-      .select(`
-        *,
-        Evenement!marque_id (
-          id,
-          marque_id,
-          titre,
-          date,
-          source_url,
-          reponse,
-          condamnation_judiciaire,
-          Categorie!categorie_id (
-            id,
-            nom,
-            emoji,
-            couleur,
-            ordre
-          )
-        ),
-        Marque_beneficiaire!marque_id (
-          id,
-          beneficiaire_id,
-          lien_financier,
-          impact_specifique,
-          created_at,
-          updated_at,
-          Beneficiaires!marque_beneficiaire_beneficiaire_id_fkey (
-            id,
-            nom,
-            impact_generique,
-            type_beneficiaire,
-            created_at,
-            updated_at,
-            controverse_beneficiaire!beneficiaire_id (
-              id,
-              titre,
-              date,
-              source_url,
-              created_at,
-              Categorie!controverse_beneficiaire_categorie_id_fkey (
-                id,
-                nom,
-                emoji,
-                couleur,
-                ordre
-              )
-            ),
-            autres_marques:Marque_beneficiaire!marque_beneficiaire_beneficiaire_id_fkey (
-              Marque!marque_id (id, nom)
-            )
-          )
-        ),
-        SecteurMarque!secteur_marque_id (
-          id,
-          nom,
-          description,
-          message_boycott_tips,
-          created_at,
-          updated_at
-        )
-      `)
-      // Order embedded events by their event date (newest first)
-      .order('date', { ascending: false, referencedTable: 'Evenement' })
-      .order('nom');
-
-    // Apply search filter if provided
-    if (search) {
-      // Exact brand match (case-insensitive) - no wildcards
-      query = query.ilike('nom', search);
-    }
+    let marques;
+    let filtrage = null;
+
+    if (analyse) {
+      const { marques: page, total, facettes, nextCursor } = await chargerMarquesFiltrees({
+        search,
+        analyse,
+        budget,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        curseur
+      });
+      marques = page;
+      filtrage = { total, facettes, nextCursor };
+    } else if (curseur) {
+      const { marques: page, total, nextCursor } = await chargerMarquesCurseur({ search, curseur });
+      marques = page;
+      filtrage = { total, facettes: null, nextCursor };
+    } else {
+      let query = construireRequeteMarques(supabase);
+
+      // Apply search filter if provided
+      if (search) {
+        // Exact brand match (case-insensitive) - no wildcards
+        query = query.ilike('nom', search);
+      }
 
-    // Apply pagination
-    const { data: marques, error } = await query
-      .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
+      // Apply pagination
+      const { data, error } = await query
+        .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
 
-    if (error) throw error;
+      if (error) throw error;
+      marques = data;
+    }
 
     // Transformation simplifiée utilisant les données des JOINs
-    const transformedBrands = await Promise.all(
-      (marques || []).map(async (marque) => {
-        const liaisonsDirectes = marque.Marque_beneficiaire || [];
-
-        // Construire les données selon le type de requête
-        let donneesChaine = {
-          chaine_beneficiaires: [],
-          total_beneficiaires_chaine: 0,
-          profondeur_max_chaine: 0
-        };
-        let beneficiaires_marque = [];
-
-        if (search) {
-          // Pour les recherches : utiliser la nouvelle logique de chaîne complète
-          donneesChaine = await construireChaineCompletePourMarque(marque.id, 5);
-        } else {
-          // Pour les listes : utiliser l'ancienne logique simplifiée (compatible avec l'extension)
-          for (const liaison of liaisonsDirectes) {
-            if (liaison.Beneficiaires) {
-              // Utiliser les données déjà récupérées par les JOINs
-              const controverses = liaison.Beneficiaires.controverse_beneficiaire || [];
-              const autres_marques_raw = liaison.Beneficiaires.autres_marques || [];
-
-              // Calculer les marques directes (exclure la marque actuelle)
-              const marques_directes = autres_marques_raw
-                .map(m => ({ id: m.Marque.id, nom: m.Marque.nom }))
-                .filter(m => m.id !== marque.id);
-
-              // Calculer les marques transitives (gardé pour compatibilité complexe)
-              const marquesTransitives = await recupererToutesMarquesTransitives(
-                supabase,
-                liaison.Beneficiaires.id,
-                marque.id,
-                new Set(),
-                5
-              );
-
-              const marques_indirectes = marquesTransitives.marquesIndirectes;
-
-              // Nettoyer les données bénéficiaire pour éviter duplication
-              const { controverse_beneficiaire, autres_marques, ...beneficiaireClean } = liaison.Beneficiaires;
-
-              beneficiaires_marque.push({
-                id: liaison.id,
-                lien_financier: liaison.lien_financier,
-                impact_specifique: liaison.impact_specifique,
-                beneficiaire: {
-                  ...beneficiaireClean,
-                  controverses: controverses,
-                  marques_directes: marques_directes,
-                  marques_indirectes: marques_indirectes
-                }
-              });
-            }
-          }
-        }
-
-        // Traitement des événements
-        const evenements = marque.Evenement || [];
-        
-        // Nettoyer les données pour éviter duplication
-        const { SecteurMarque, Marque_beneficiaire, Evenement, ...marqueClean } = marque;
-
-        // Simplifier les événements (supprimer redondances)
-        const evenementsTransformed = evenements.map(ev => ({
-          id: ev.id,
-          titre: ev.titre ?? ev.description,
-          date: ev.date,
-          source_url: ev.source_url,
-          reponse: ev.reponse,
-          condamnation_judiciaire: ev.condamnation_judiciaire === true,
-          categorie: ev.Categorie || null
-        }));
+    // Mode recherche : chaîne complète / mode liste : bénéficiaires directs (compatible extension)
+    // Budget par défaut en mode liste (score de risque), comme la clé de cache
+    const transformedBrands = await transformerMarques(supabase, marques || [], {
+      avecChaine: Boolean(search),
+      avecScore,
+      version,
+      budget: search ? budget : undefined,
+      cache
+    });
 
-        return {
-          id: marqueClean.id,
-          nom: marqueClean.nom,
-          // Événements simplifiés
-          evenements: evenementsTransformed,
-          // Secteur (seulement si nécessaire pour BoycottTips)
-          message_boycott_tips: marqueClean.message_boycott_tips,
-          secteur_marque: SecteurMarque ? {
-            nom: SecteurMarque.nom,
-            message_boycott_tips: SecteurMarque.message_boycott_tips
-          } : null,
-          // Données de chaîne (seulement pour recherche)
-          ...donneesChaine
-        };
-      })
-    );
+    // Enveloppe seulement sur demande (pagination par curseur ou facettes=true) : tableau par défaut
+    let resultat = transformedBrands;
+    if (curseur) {
+      resultat = {
+        marques: transformedBrands,
+        total: filtrage.total,
+        next_cursor: filtrage.nextCursor,
+        ...(analyse?.facettes && { facettes: filtrage.facettes })
+      };
+    } else if (analyse?.facettes) {
+      resultat = { marques: transformedBrands, total: filtrage.total, facettes: filtrage.facettes };
+    }
 
     // Cache unifié avec TTL automatique
-    cache.set(endpointType, transformedBrands, params);
+    cache.set(endpointType, resultat, params);
 
     MetricsLogger.logCache(functionName, false);
 
     console.log(`Brands loaded: ${transformedBrands.length} brands (search: ${search || 'none'})`);
-    const bodyStr = JSON.stringify(transformedBrands);
+    const bodyStr = JSON.stringify(resultat);
     const etag = createHash('sha1').update(bodyStr).digest('hex');
-    const maxAge = endpointType === 'marques_search' ? 600 : 1200; // 10min vs 20min
+    const maxAge = endpointType === 'marques_all' ? 1200 : 600; // 20min vs 10min
     if (ifNoneMatch && etag && ifNoneMatch === etag) {
       return {
         statusCode: 304,
         headers: {
-          ...headers,
+          ...responseHeaders,
+          ...enTetesCurseur(resultat),
           'X-Data-Source': 'odm-api-marques-fresh-unified',
           'X-Cache': 'MISS',
           'X-Cache-Type': endpointType,
@@ -537,7 +399,8 @@ const marquesHandler = async (event) => {
     return {
       statusCode: 200,
       headers: {
-        ...headers,
+        ...responseHeaders,
+        ...enTetesCurseur(resultat),
         'X-Data-Source': 'odm-api-marques-fresh-unified',
         'X-Cache': 'MISS',
         'X-Cache-Type': endpointType,
@@ -0,0 +1,263 @@
+/**
+ * Netlify Function - URL/domain to brand matching for the extension
+ * GET ?url= for a single page, POST { urls: [...] } for a whole shopping page
+ */
+import { createClient } from '@supabase/supabase-js';
+import { candidatsDomaine, normaliserUrl } from './utils/domaines.js';
+import { MetricsLogger } from './utils/metrics.js';
+import { initSentry, sentryHandler } from './utils/sentry.js';
+import { createServerlessCache } from './utils/serverlessCache.js';
+
+// Initialiser Sentry
+initSentry();
+
+// Cache unifié : index domaines → marques (TTL `domaines` : 30 minutes)
+const cache = createServerlessCache('match');
+
+// Configuration Supabase
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_ANON_KEY;
+
+if (!supabaseUrl || !supabaseKey) {
+  console.error('Missing Supabase configuration');
+}
+
+const supabase = supabaseUrl && supabaseKey ? createClient(supabaseUrl, supabaseKey, {
+  auth: { persistSession: false }
+}) : null;
+
+const MAX_URLS_BATCH = 100;
+
+/**
+ * Résumé des événements d'une marque (payload minimal pour l'extension)
+ */
+function resumerMarque(marque) {
+  const evenements = marque.Evenement || [];
+
+  const categoriesMap = new Map();
+  evenements.forEach(ev => {
+    if (ev.Categorie && ev.Categorie.id) {
+      categoriesMap.set(ev.Categorie.id, ev.Categorie);
+    }
+  });
+
+  const dates = evenements.map(ev => ev.date).filter(Boolean).sort();
+
+  return {
+    id: marque.id,
+    nom: marque.nom,
+    secteur_marque: marque.SecteurMarque ? {
+      nom: marque.SecteurMarque.nom,
+      message_boycott_tips: marque.SecteurMarque.message_boycott_tips
+    } : null,
+    evenements_resume: {
+      nbControverses: evenements.length,
+      nbCondamnations: evenements.filter(ev => ev.condamnation_judiciaire === true).length,
+      categories: Array.from(categoriesMap.values()),
+      dernier_evenement: dates.length > 0 ? dates[dates.length - 1] : null
+    }
+  };
+}
+
+/**
+ * Charge l'index domaine → marques (une requête pour les domaines, une pour les marques)
+ */
+async function chargerIndexDomaines() {
+  const cached = cache.get('domaines');
+  if (cached) {
+    return { index: cached, cacheHit: true };
+  }
+
+  const { data: domaines, error } = await supabase
+    .from('marque_domaine')
+    .select('marque_id, domaine, inclure_sous_domaines');
+
+  if (error) throw error;
+
+  const parDomaine = new Map();
+  for (const ligne of domaines || []) {
+    const normalise = normaliserUrl(ligne.domaine);
+    if (!normalise || !ligne.marque_id) continue;
+
+    const entrees = parDomaine.get(normalise.hote) || [];
+    entrees.push({
+      marque_id: ligne.marque_id,
+      domaine: normalise.hote,
+      inclure_sous_domaines: ligne.inclure_sous_domaines !== false
+    });
+    parDomaine.set(normalise.hote, entrees);
+  }
+
+  const idsMarques = Array.from(new Set((domaines || []).map(ligne => ligne.marque_id).filter(Boolean)));
+  const marques = new Map();
+
+  if (idsMarques.length > 0) {
+    const { data, error: marquesError } = await supabase
+      .from('Marque')
+      .select(`
+        id,
+        nom,
+        SecteurMarque!secteur_marque_id (
+          nom,
+          message_boycott_tips
+        ),
+        Evenement!marque_id (
+          id,
+          date,
+          condamnation_judiciaire,
+          Categorie!categorie_id (
+            id,
+            nom,
+            emoji,
+            couleur,
+            ordre
+          )
+        )
+      `)
+      .in('id', idsMarques);
+
+    if (marquesError) throw marquesError;
+    (data || []).forEach(marque => marques.set(marque.id, resumerMarque(marque)));
+  }
+
+  const index = { parDomaine, marques };
+  cache.set('domaines', index);
+  return { index, cacheHit: false };
+}
+
+/**
+ * Cherche la marque d'une URL : hôte exact d'abord, puis domaines parents jusqu'à l'eTLD+1
+ */
+function matcherUrl(index, url) {
+  const normalise = normaliserUrl(url);
+  if (!normalise) {
+    return { url, error: 'URL invalide' };
+  }
+
+  const resultat = { url, hote: normalise.hote, domaine_racine: normalise.domaine_racine, marque: null, correspondance: null };
+  const candidats = candidatsDomaine(normalise.hote);
+
+  for (let i = 0; i < candidats.length; i++) {
+    const entrees = (index.parDomaine.get(candidats[i]) || [])
+      .filter(entree => i === 0 || entree.inclure_sous_domaines);
+    const entree = entrees.find(e => index.marques.has(e.marque_id));
+
+    if (entree) {
+      resultat.marque = index.marques.get(entree.marque_id);
+      resultat.correspondance = {
+        type: i === 0 ? 'exact' : 'sous_domaine',
+        domaine: entree.domaine
+      };
+      break;
+    }
+  }
+
+  return resultat;
+}
+
+const matchHandler = async (event) => {
+  const functionName = 'match';
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  // Validation des entrées avant tout accès base
+  let urls;
+  if (event.httpMethod === 'GET') {
+    const { url } = event.queryStringParameters || {};
+    if (!url || !normaliserUrl(url)) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Paramètre url requis et valide (ex: https://www.nike.com/fr)' })
+      };
+    }
+    urls = [url];
+  } else {
+    let body;
+    try {
+      body = JSON.parse(event.body || '{}');
+    } catch {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Corps JSON invalide' })
+      };
+    }
+
+    if (!Array.isArray(body.urls) || body.urls.length === 0 || body.urls.length > MAX_URLS_BATCH) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: `Le corps doit contenir un tableau urls de 1 à ${MAX_URLS_BATCH} éléments` })
+      };
+    }
+    urls = body.urls;
+  }
+
+  try {
+    if (!supabase) {
+      throw new Error('Supabase not configured');
+    }
+
+    const { index, cacheHit } = await chargerIndexDomaines();
+    MetricsLogger.logCache(functionName, cacheHit);
+
+    const resultats = urls.map(url => matcherUrl(index, url));
+    const responseHeaders = {
+      ...headers,
+      'X-Data-Source': cacheHit ? 'odm-api-match-cache-unified' : 'odm-api-match-fresh-unified',
+      'X-Cache': cacheHit ? 'HIT' : 'MISS'
+    };
+
+    if (event.httpMethod === 'GET') {
+      return {
+        statusCode: 200,
+        headers: {
+          ...responseHeaders,
+          'Cache-Control': 'public, s-maxage=1800, stale-while-revalidate=60'
+        },
+        body: JSON.stringify(resultats[0])
+      };
+    }
+
+    return {
+      statusCode: 200,
+      headers: responseHeaders,
+      body: JSON.stringify({
+        resultats,
+        total: resultats.length,
+        nbCorrespondances: resultats.filter(r => r.marque).length
+      })
+    };
+
+  } catch (error) {
+    MetricsLogger.logError(functionName, error);
+    console.error('Match endpoint error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Erreur serveur lors de la correspondance URL → marque',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      })
+    };
+  }
+};
+
+export const handler = sentryHandler(matchHandler);
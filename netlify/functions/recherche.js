@@ -0,0 +1,480 @@
+/**
+ * Netlify Function - Full-text search across brands, events and beneficiaries
+ * Matches brand names, event titles / descriptions / category names,
+ * beneficiary names and controversy titles with Postgres full-text search (accent-insensitive, French stemming);
+ * results ranked and grouped by type with highlighted snippets
+ */
+import { createClient } from '@supabase/supabase-js';
+import { MetricsLogger } from './utils/metrics.js';
+import { normaliserTexte } from './utils/normalisation.js';
+import { initSentry, sentryHandler } from './utils/sentry.js';
+import { createServerlessCache } from './utils/serverlessCache.js';
+
+// Initialiser Sentry
+initSentry();
+
+// Cache unifié : TTL `recherche`
+const cache = createServerlessCache('recherche');
+
+// Configuration Supabase
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_ANON_KEY;
+
+if (!supabaseUrl || !supabaseKey) {
+  console.error('Missing Supabase configuration');
+}
+
+const supabase = supabaseUrl && supabaseKey ? createClient(supabaseUrl, supabaseKey, {
+  auth: { persistSession: false }
+}) : null;
+
+const TYPES_RECHERCHE = ['marque', 'evenement', 'beneficiaire'];
+const LONGUEUR_MIN = 2;
+const LIMITE_DEFAUT = 10;
+const LIMITE_MAX = 50;
+const LONGUEUR_EXTRAIT = 80;
+const MAX_CONTROVERSES_EXTRAITS = 3;
+
+// Recherche plein texte Postgres : colonne `recherche` (tsvector généré) et configuration
+// française sans accents (voir ARCHITECTURE.md, « Recherche plein texte »)
+const COLONNE_RECHERCHE = 'recherche';
+const CONFIG_RECHERCHE = 'fr_unaccent';
+
+// Toutes les correspondances d'un groupe sont chargées par pages puis classées par pertinence en mémoire :
+// chaque page de résultats découpe le même classement
+const TAILLE_PAGE_CANDIDATS = 1000;
+
+/**
+ * Mots recherchés, normalisés comme les noms (minuscules, sans accents ni ponctuation)
+ */
+function analyserMots(q) {
+  const texte = normaliserTexte(q);
+  return texte ? Array.from(new Set(texte.split(' '))) : [];
+}
+
+/**
+ * Requête tsquery : tous les mots, chacun en préfixe (`nestl` trouve « Nestlé »)
+ * Les mots normalisés ne contiennent que [a-z0-9] : aucun caractère réservé de tsquery
+ */
+function requeteTexte(mots) {
+  return mots.map(mot => `${mot}:*`).join(' & ');
+}
+
+/**
+ * Filtre PostgREST `.or()` de la recherche plein texte
+ */
+function filtreTexte(mots) {
+  return `${COLONNE_RECHERCHE}.fts(${CONFIG_RECHERCHE})."${requeteTexte(mots)}"`;
+}
+
+/**
+ * Types demandés par le paramètre `type` (séparés par des virgules), tous par défaut
+ * @returns {Array|null} null si un type est inconnu
+ */
+function analyserTypes(valeur) {
+  if (!valeur) return TYPES_RECHERCHE;
+
+  const types = Array.from(new Set(valeur.split(',').map(type => type.trim()).filter(Boolean)));
+  return types.length > 0 && types.every(type => TYPES_RECHERCHE.includes(type)) ? types : null;
+}
+
+function echapperHtml(texte) {
+  return texte
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Texte normalisé caractère par caractère (comme normaliserTexte, ponctuation → espace),
+ * avec la position d'origine de chaque caractère normalisé
+ */
+function replier(texte) {
+  let replie = '';
+  const positions = [];
+
+  Array.from(texte).reduce((position, caractere) => {
+    for (const lettre of normaliserTexte(caractere) || ' ') {
+      replie += lettre;
+      positions.push(position);
+    }
+    return position + caractere.length;
+  }, 0);
+
+  return { replie, positions };
+}
+
+/**
+ * Occurrences des mots dans le texte (début de mot, accents et casse ignorés)
+ * @returns {Array} [[début, fin]] dans le texte d'origine, triées et fusionnées
+ */
+function occurrences(texte, mots) {
+  const { replie, positions } = replier(texte);
+  const motif = new RegExp(`(?<![a-z0-9])(?:${mots.join('|')})`, 'g');
+
+  const plages = [];
+  for (const correspondance of replie.matchAll(motif)) {
+    const debut = positions[correspondance.index];
+    const dernier = positions[correspondance.index + correspondance[0].length - 1];
+    const fin = dernier + (texte.codePointAt(dernier) > 0xffff ? 2 : 1);
+
+    const precedente = plages[plages.length - 1];
+    if (precedente && debut <= precedente[1]) {
+      precedente[1] = Math.max(precedente[1], fin);
+    } else {
+      plages.push([debut, fin]);
+    }
+  }
+
+  return plages;
+}
+
+/**
+ * Extrait autour de la première occurrence des mots, occurrences entourées de <mark>
+ * Le texte est échappé (HTML) : l'extrait peut être inséré tel quel
+ * @returns {string|null} null si aucun mot n'apparaît dans le texte
+ */
+function surligner(texte, mots) {
+  if (!texte || mots.length === 0) return null;
+
+  const plages = occurrences(texte, mots);
+  if (plages.length === 0) return null;
+
+  // Fenêtre centrée sur la première occurrence, qui est toujours entière
+  const [premierDebut, premiereFin] = plages[0];
+  const debut = Math.max(0, premierDebut - Math.floor((LONGUEUR_EXTRAIT - (premiereFin - premierDebut)) / 2));
+  const fin = Math.min(texte.length, Math.max(debut + LONGUEUR_EXTRAIT, premiereFin));
+
+  let resultat = '';
+  let position = debut;
+  for (const [debutPlage, finPlage] of plages) {
+    if (debutPlage >= fin) break;
+    const finVisible = Math.min(finPlage, fin);
+    resultat += echapperHtml(texte.slice(position, debutPlage));
+    resultat += `<mark>${echapperHtml(texte.slice(debutPlage, finVisible))}</mark>`;
+    position = finVisible;
+  }
+  resultat += echapperHtml(texte.slice(position, fin));
+
+  return `${debut > 0 ? '…' : ''}${resultat}${fin < texte.length ? '…' : ''}`;
+}
+
+/**
+ * Extraits surlignés des champs qui contiennent les mots
+ * @param {Array} champs - [[nom du champ, texte]]
+ */
+function extraits(champs, mots) {
+  return champs
+    .map(([champ, texte]) => ({ champ, texte: surligner(texte, mots) }))
+    .filter(extrait => extrait.texte !== null);
+}
+
+/**
+ * Pertinence d'un élément : pour chaque mot, poids du meilleur champ où il commence un mot,
+ * plus le poids des champs qui contiennent toute l'expression
+ * @param {Array} champs - [[texte, poids]]
+ */
+function pertinence(champs, mots) {
+  const normalises = champs.map(([texte, poids]) => ({ texte: normaliserTexte(texte), poids }));
+  const expression = mots.join(' ');
+
+  let score = 0;
+  for (const mot of mots) {
+    score += Math.max(0, ...normalises
+      .filter(({ texte }) => texte.split(' ').some(motTexte => motTexte.startsWith(mot)))
+      .map(({ poids }) => poids));
+  }
+
+  for (const { texte, poids } of normalises) {
+    if (mots.length > 1 && texte.includes(expression)) score += poids;
+    if (texte === expression) score += poids;
+  }
+
+  return score;
+}
+
+/**
+ * Toutes les lignes d'une requête, par pages de TAILLE_PAGE_CANDIDATS
+ * @param {Function} construireRequete - () => requête ordonnée (avec `id` en dernier critère, pour des pages stables)
+ */
+async function chargerCandidats(construireRequete) {
+  const lignes = [];
+
+  for (let debut = 0; ; debut += TAILLE_PAGE_CANDIDATS) {
+    const { data, error } = await construireRequete().range(debut, debut + TAILLE_PAGE_CANDIDATS - 1);
+
+    if (error) throw error;
+
+    lignes.push(...(data || []));
+    if (!data || data.length < TAILLE_PAGE_CANDIDATS) break;
+  }
+
+  return lignes;
+}
+
+/**
+ * Candidats d'un groupe et page demandée
+ * Toutes les correspondances sont classées par pertinence (ordre de la requête à égalité) avant découpage
+ * @param {Function} construireRequete - () => requête ordonnée du groupe
+ * @param {Function} champsPertinence - (ligne) => [[texte, poids]]
+ * @returns {Object} { total, page }
+ */
+async function chargerPage(construireRequete, champsPertinence, mots, { limite, offset }) {
+  const lignes = await chargerCandidats(construireRequete);
+
+  const page = lignes
+    .map((ligne, rang) => ({ ligne, rang, score: pertinence(champsPertinence(ligne), mots) }))
+    .sort((a, b) => b.score - a.score || a.rang - b.rang)
+    .slice(offset, offset + limite)
+    .map(({ ligne }) => ligne);
+
+  return { total: lignes.length, page };
+}
+
+async function rechercherMarques(mots, pagination) {
+  const requete = () => supabase
+    .from('Marque')
+    .select('id, nom')
+    .textSearch(COLONNE_RECHERCHE, requeteTexte(mots), { config: CONFIG_RECHERCHE })
+    .order('nom')
+    .order('id');
+
+  const { total, page } = await chargerPage(requete, marque => [[marque.nom, 3]], mots, pagination);
+
+  return {
+    total,
+    elements: page.map(marque => ({
+      type: 'marque',
+      id: marque.id,
+      nom: marque.nom,
+      extraits: extraits([['nom', marque.nom]], mots)
+    }))
+  };
+}
+
+async function rechercherEvenements(mots, pagination) {
+  // Événements des catégories dont le nom correspond (table courte, comparée en mémoire)
+  const { data: categories, error: categoriesError } = await supabase
+    .from('Categorie')
+    .select('id, nom');
+
+  if (categoriesError) throw categoriesError;
+
+  const categoriesTrouvees = (categories || []).filter(categorie => {
+    const motsCategorie = normaliserTexte(categorie.nom).split(' ');
+    return mots.every(mot => motsCategorie.some(motCategorie => motCategorie.startsWith(mot)));
+  });
+
+  const filtres = [filtreTexte(mots)];
+  if (categoriesTrouvees.length > 0) {
+    filtres.push(`categorie_id.in.(${categoriesTrouvees.map(c => c.id).join(',')})`);
+  }
+
+  const requete = () => supabase
+    .from('Evenement')
+    .select(`
+      id,
+      titre,
+      description,
+      date,
+      condamnation_judiciaire,
+      Marque!Evenement_marque_id_fkey (
+        id,
+        nom
+      ),
+      Categorie!Evenement_categorie_id_fkey (
+        id,
+        nom,
+        emoji,
+        couleur
+      )
+    `)
+    .or(filtres.join(','))
+    .order('date', { ascending: false })
+    .order('id');
+
+  const { total, page } = await chargerPage(requete, evenement => [
+    [evenement.titre, 3],
+    [evenement.description, 1],
+    [evenement.Categorie?.nom, 2]
+  ], mots, pagination);
+
+  return {
+    total,
+    elements: page.map(evenement => ({
+      type: 'evenement',
+      id: evenement.id,
+      titre: evenement.titre || evenement.description,
+      date: evenement.date,
+      condamnation_judiciaire: evenement.condamnation_judiciaire === true,
+      marque: evenement.Marque || null,
+      categorie: evenement.Categorie || null,
+      extraits: extraits([
+        ['titre', evenement.titre],
+        ['description', evenement.description],
+        ['categorie', evenement.Categorie?.nom]
+      ], mots)
+    }))
+  };
+}
+
+async function rechercherBeneficiaires(mots, pagination) {
+  // Bénéficiaires dont une controverse correspond, avec les titres pour les extraits
+  const controverses = await chargerCandidats(() => supabase
+    .from('controverse_beneficiaire')
+    .select('beneficiaire_id, titre')
+    .textSearch(COLONNE_RECHERCHE, requeteTexte(mots), { config: CONFIG_RECHERCHE })
+    .order('id'));
+
+  const controversesParBeneficiaire = new Map();
+  for (const controverse of controverses) {
+    controversesParBeneficiaire.set(controverse.beneficiaire_id, [
+      ...(controversesParBeneficiaire.get(controverse.beneficiaire_id) || []),
+      controverse.titre
+    ]);
+  }
+
+  const filtres = [filtreTexte(mots)];
+  if (controversesParBeneficiaire.size > 0) {
+    filtres.push(`id.in.(${Array.from(controversesParBeneficiaire.keys()).join(',')})`);
+  }
+
+  const requete = () => supabase
+    .from('Beneficiaires')
+    .select('id, nom, type_beneficiaire')
+    .or(filtres.join(','))
+    .order('nom')
+    .order('id');
+
+  const controversesDe = beneficiaire => (controversesParBeneficiaire.get(beneficiaire.id) || [])
+    .slice(0, MAX_CONTROVERSES_EXTRAITS);
+
+  const { total, page } = await chargerPage(requete, beneficiaire => [
+    [beneficiaire.nom, 3],
+    ...controversesDe(beneficiaire).map(titre => [titre, 1])
+  ], mots, pagination);
+
+  return {
+    total,
+    elements: page.map(beneficiaire => ({
+      type: 'beneficiaire',
+      id: beneficiaire.id,
+      nom: beneficiaire.nom,
+      type_beneficiaire: beneficiaire.type_beneficiaire,
+      extraits: extraits([
+        ['nom', beneficiaire.nom],
+        ...controversesDe(beneficiaire).map(titre => ['controverse', titre])
+      ], mots)
+    }))
+  };
+}
+
+// Groupe de résultats par type
+const RECHERCHES = {
+  marque: { groupe: 'marques', rechercher: rechercherMarques },
+  evenement: { groupe: 'evenements', rechercher: rechercherEvenements },
+  beneficiaire: { groupe: 'beneficiaires', rechercher: rechercherBeneficiaires }
+};
+
+const rechercheHandler = async (event) => {
+  const functionName = 'recherche';
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  const { q, type, limit, offset } = event.queryStringParameters || {};
+  const mots = analyserMots(q);
+  const types = analyserTypes(type);
+  const limite = Number(limit || LIMITE_DEFAUT);
+  const decalage = Number(offset || 0);
+
+  if (mots.join(' ').length < LONGUEUR_MIN) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: `Le paramètre q doit contenir au moins ${LONGUEUR_MIN} caractères` })
+    };
+  }
+
+  if (!types) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: `Le paramètre type doit valoir ${TYPES_RECHERCHE.join(', ')} (ou plusieurs, séparés par des virgules)` })
+    };
+  }
+
+  if (!Number.isInteger(limite) || limite < 1 || limite > LIMITE_MAX || !Number.isInteger(decalage) || decalage < 0) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: `Paramètres de pagination invalides (limit de 1 à ${LIMITE_MAX}, offset positif)` })
+    };
+  }
+
+  try {
+    if (!supabase) {
+      throw new Error('Supabase not configured');
+    }
+
+    const params = { q: mots.join(' '), types: types.join(','), limite, offset: decalage };
+    let resultat = cache.get('recherche', params);
+    const cacheHit = Boolean(resultat);
+
+    if (!resultat) {
+      // Même pagination pour chaque groupe demandé, une recherche par type en parallèle
+      const groupes = await Promise.all(types.map(t => RECHERCHES[t].rechercher(mots, { limite, offset: decalage })));
+
+      resultat = {
+        q: mots.join(' '),
+        resultats: Object.fromEntries(types.map((t, index) => [RECHERCHES[t].groupe, groupes[index]])),
+        pagination: { limit: limite, offset: decalage }
+      };
+      cache.set('recherche', resultat, params);
+    }
+
+    MetricsLogger.logCache(functionName, cacheHit);
+
+    return {
+      statusCode: 200,
+      headers: {
+        ...headers,
+        'X-Data-Source': cacheHit ? 'odm-api-recherche-cache-unified' : 'odm-api-recherche-fresh-unified',
+        'X-Cache': cacheHit ? 'HIT' : 'MISS',
+        'Cache-Control': 'public, s-maxage=300, stale-while-revalidate=60'
+      },
+      body: JSON.stringify(resultat)
+    };
+
+  } catch (error) {
+    MetricsLogger.logError(functionName, error);
+    console.error('Search endpoint error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Erreur serveur lors de la recherche',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      })
+    };
+  }
+};
+
+export const handler = sentryHandler(rechercheHandler);
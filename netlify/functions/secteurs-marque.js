@@ -2,6 +2,12 @@
  * Netlify Function - Brand sectors data
  */
 import { createClient } from '@supabase/supabase-js';
+import {
+  analyserPaginationCurseur,
+  appliquerPaginationCurseur,
+  decouperPage,
+  enTetesPagination
+} from './utils/pagination.js';
 
 // Configuration Supabase
 const supabaseUrl = process.env.SUPABASE_URL;
@@ -19,6 +25,13 @@ const supabase = supabaseUrl && supabaseKey ? createClient(supabaseUrl, supabase
 const cache = new Map();
 const CACHE_TTL = 60 * 60 * 1000; // 1 hour (sectors rarely change)
 
+// Pagination par curseur de la liste : ordre alphabétique, ID croissant à nom égal
+const CLES_CURSEUR = [
+  { colonne: 'nom', croissant: true },
+  { colonne: 'id', croissant: true }
+];
+const OPTIONS_CURSEUR = { type: 'secteurs', nbValeurs: CLES_CURSEUR.length, limiteDefaut: 100, limiteMax: 500 };
+
 export const handler = async (event) => {
   const headers = {
     'Access-Control-Allow-Origin': '*',
@@ -39,11 +52,25 @@ export const handler = async (event) => {
     };
   }
 
+  const { id } = event.queryStringParameters || {};
+
+  // Pagination par curseur de la liste sur demande (pagination=curseur ou cursor), tableau par défaut
+  const curseur = id ? null : analyserPaginationCurseur(event.queryStringParameters || {}, OPTIONS_CURSEUR);
+
+  if (curseur?.erreur) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: curseur.erreur })
+    };
+  }
+
   try {
-    const { id } = event.queryStringParameters || {};
-    
     // Check cache
-    const cacheKey = id ? `secteur_${id}` : 'secteurs_all';
+    let cacheKey = id ? `secteur_${id}` : 'secteurs_all';
+    if (curseur) {
+      cacheKey = `secteurs_curseur_${curseur.limite}_${curseur.cursor || ''}`;
+    }
     const now = Date.now();
     const cached = cache.get(cacheKey);
     
@@ -53,6 +80,7 @@ export const handler = async (event) => {
         statusCode: 200,
         headers: {
           ...headers,
+          ...(curseur && enTetesPagination(event, { limite: curseur.limite, nextCursor: cached.data.next_cursor })),
           'X-Data-Source': 'odm-api-secteurs-cache'
         },
         body: JSON.stringify(cached.data)
@@ -86,6 +114,33 @@ export const handler = async (event) => {
         },
         body: JSON.stringify(secteur)
       };
+    } else if (curseur) {
+      // Page après le curseur et nombre total de secteurs
+      const [{ data, error }, { count, error: countError }] = await Promise.all([
+        appliquerPaginationCurseur(supabase.from('SecteurMarque').select('*'), CLES_CURSEUR, curseur),
+        supabase.from('SecteurMarque').select('id', { count: 'exact', head: true })
+      ]);
+
+      if (error) throw error;
+      if (countError) throw countError;
+
+      const { lignes, nextCursor } = decouperPage(data, curseur, OPTIONS_CURSEUR.type, secteur => [secteur.nom, secteur.id]);
+      const resultat = { secteurs: lignes, total: count ?? 0, next_cursor: nextCursor };
+
+      cache.set(cacheKey, {
+        data: resultat,
+        timestamp: now
+      });
+
+      return {
+        statusCode: 200,
+        headers: {
+          ...headers,
+          ...enTetesPagination(event, { limite: curseur.limite, nextCursor }),
+          'X-Data-Source': 'odm-api-secteurs-fresh'
+        },
+        body: JSON.stringify(resultat)
+      };
     } else {
       // Get all sectors
       const { data: secteurs, error } = await supabase
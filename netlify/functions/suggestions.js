@@ -1,9 +1,12 @@
 /**
  * Netlify Function - Ultra-fast suggestions for auto-completion
- * Returns minimal data (id + nom only) for optimal performance
+ * Returns minimal data (id + nom + match type) ranked exact > prefix > word prefix > fuzzy,
+ * ignoring accents and punctuation and matching brand aliases
  */
 import { createClient } from '@supabase/supabase-js';
+import { chargerIndexNomsEnCache, classerSuggestions } from './utils/correspondanceNoms.js';
 import { MetricsLogger } from './utils/metrics.js';
+import { normaliserTexte } from './utils/normalisation.js';
 import { initSentry, sentryHandler } from './utils/sentry.js';
 import { createServerlessCache } from './utils/serverlessCache.js';
 
@@ -27,6 +30,8 @@ const supabase = supabaseUrl && supabaseKey ? createClient(supabaseUrl, supabase
 
 // Utilisation du cache unifié
 // TTL géré automatiquement par cache selon l'endpoint
+const LIMITE_DEFAUT = 10;
+const LIMITE_MAX = 50;
 
 const suggestionsHandler = async (event) => {
   const startTime = Date.now();
@@ -51,10 +56,12 @@ const suggestionsHandler = async (event) => {
   }
 
   try {
-    const { q, limit = '10' } = event.queryStringParameters || {};
+    const { q, limit } = event.queryStringParameters || {};
+    const limite = Math.min(Math.max(parseInt(limit) || LIMITE_DEFAUT, 1), LIMITE_MAX);
+    const requete = normaliserTexte(q);
 
-    // Valider query minimum
-    if (!q || q.trim().length < 1) {
+    // Valider query minimum (après normalisation : ponctuation seule = vide)
+    if (!requete) {
       return {
         statusCode: 200,
         headers: {
@@ -66,7 +73,7 @@ const suggestionsHandler = async (event) => {
     }
 
     // Check cache serverless optimisé
-    const params = { q: q.toLowerCase().trim(), limit };
+    const params = { q: requete, limit: limite };
     const cached = cache.get('suggestions', params);
 
     if (cached) {
@@ -86,17 +93,8 @@ const suggestionsHandler = async (event) => {
       throw new Error('Supabase not configured');
     }
 
-    // Requête ultra-optimisée : seulement id + nom
-    const { data: marques, error } = await supabase
-      .from('Marque')
-      .select('id, nom')
-      .ilike('nom', `%${q.trim()}%`)
-      .limit(parseInt(limit))
-      .order('nom');
-
-    if (error) throw error;
-
-    const suggestions = marques || [];
+    // Classement en mémoire sur l'index des noms et alias : seulement id + nom + type de correspondance
+    const suggestions = classerSuggestions(await chargerIndexNomsEnCache(supabase, cache), requete, limite);
 
     // Cache serverless avec TTL automatique (5 minutes pour suggestions)
     cache.set('suggestions', suggestions, params);
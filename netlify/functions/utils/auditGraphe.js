@@ -0,0 +1,249 @@
+/**
+ * Module utilitaire d'audit d'intégrité du graphe marques / bénéficiaires
+ * Utilisé par audit.js, sur le graphe complet de chargerGrapheComplet (chaineBeneficiaires.js)
+ *
+ * Le parcours de chaîne coupe silencieusement les cycles et s'arrête à la profondeur maximale :
+ * cet audit rend visibles les données qui en dépendent.
+ */
+import { PROFONDEUR_MAX_DEFAUT } from './chaineBeneficiaires.js';
+
+/**
+ * Composantes fortement connexes (Tarjan, version itérative)
+ * @param {Array} sommets - IDs des sommets
+ * @param {Map} successeurs - Map<id, Array<id>>
+ * @returns {Array} Composantes (tableaux d'IDs)
+ */
+function composantesFortementConnexes(sommets, successeurs) {
+  const indices = new Map();
+  const basNiveaux = new Map();
+  const surPile = new Set();
+  const pile = [];
+  const composantes = [];
+  let index = 0;
+
+  for (const depart of sommets) {
+    if (indices.has(depart)) continue;
+
+    const appels = [{ sommet: depart, suivant: 0 }];
+    indices.set(depart, index);
+    basNiveaux.set(depart, index);
+    index++;
+    pile.push(depart);
+    surPile.add(depart);
+
+    while (appels.length > 0) {
+      const appel = appels[appels.length - 1];
+      const voisins = successeurs.get(appel.sommet) || [];
+
+      if (appel.suivant < voisins.length) {
+        const voisin = voisins[appel.suivant++];
+        if (!indices.has(voisin)) {
+          indices.set(voisin, index);
+          basNiveaux.set(voisin, index);
+          index++;
+          pile.push(voisin);
+          surPile.add(voisin);
+          appels.push({ sommet: voisin, suivant: 0 });
+        } else if (surPile.has(voisin)) {
+          basNiveaux.set(appel.sommet, Math.min(basNiveaux.get(appel.sommet), indices.get(voisin)));
+        }
+        continue;
+      }
+
+      appels.pop();
+      if (appels.length > 0) {
+        const parent = appels[appels.length - 1].sommet;
+        basNiveaux.set(parent, Math.min(basNiveaux.get(parent), basNiveaux.get(appel.sommet)));
+      }
+
+      if (basNiveaux.get(appel.sommet) === indices.get(appel.sommet)) {
+        const composante = [];
+        let sommet;
+        do {
+          sommet = pile.pop();
+          surPile.delete(sommet);
+          composante.push(sommet);
+        } while (sommet !== appel.sommet);
+        composantes.push(composante);
+      }
+    }
+  }
+
+  return composantes;
+}
+
+/**
+ * Groupes de lignes partageant la même clé (doublons)
+ */
+function regrouperDoublons(lignes, cle) {
+  const groupes = new Map();
+  for (const ligne of lignes) {
+    const valeur = cle(ligne);
+    groupes.set(valeur, [...(groupes.get(valeur) || []), ligne]);
+  }
+  return Array.from(groupes.values()).filter(groupe => groupe.length > 1);
+}
+
+/**
+ * Audite le graphe complet
+ * @param {Object} donnees - { marques, beneficiaires, liaisons, relations } (chargerGrapheComplet)
+ * @param {Object} options - { profondeurMax: limite des chaînes (5 par défaut, comme /api/beneficiaires/chaine) }
+ * @returns {Object} Constats par catégorie avec les IDs concernés, et leur décompte dans `resume`
+ */
+export function auditerGraphe({ marques, beneficiaires, liaisons, relations }, { profondeurMax = PROFONDEUR_MAX_DEFAUT } = {}) {
+  const idsMarques = new Set(marques.map(m => m.id));
+  const beneficiairesParId = new Map(beneficiaires.map(b => [b.id, b]));
+
+  // Références vers des IDs inexistants
+  const referencesManquantes = [];
+  for (const liaison of liaisons) {
+    if (!idsMarques.has(liaison.marque_id)) {
+      referencesManquantes.push({ table: 'Marque_beneficiaire', id: liaison.id, champ: 'marque_id', valeur: liaison.marque_id });
+    }
+    if (!beneficiairesParId.has(liaison.beneficiaire_id)) {
+      referencesManquantes.push({ table: 'Marque_beneficiaire', id: liaison.id, champ: 'beneficiaire_id', valeur: liaison.beneficiaire_id });
+    }
+  }
+  for (const relation of relations) {
+    for (const champ of ['beneficiaire_source_id', 'beneficiaire_cible_id']) {
+      if (!beneficiairesParId.has(relation[champ])) {
+        referencesManquantes.push({ table: 'beneficiaire_relation', id: relation.id, champ, valeur: relation[champ] });
+      }
+    }
+  }
+
+  // Relations d'un bénéficiaire vers lui-même
+  const autoRelations = relations
+    .filter(relation => relation.beneficiaire_source_id === relation.beneficiaire_cible_id)
+    .map(relation => ({ relation_id: relation.id, beneficiaire_id: relation.beneficiaire_source_id }));
+
+  // Arêtes dupliquées (même couple source / cible)
+  const relationsDupliquees = regrouperDoublons(relations, r => `${r.beneficiaire_source_id}-${r.beneficiaire_cible_id}`)
+    .map(groupe => ({
+      beneficiaire_source_id: groupe[0].beneficiaire_source_id,
+      beneficiaire_cible_id: groupe[0].beneficiaire_cible_id,
+      relation_ids: groupe.map(r => r.id)
+    }));
+  const liaisonsDupliquees = regrouperDoublons(liaisons, l => `${l.marque_id}-${l.beneficiaire_id}`)
+    .map(groupe => ({
+      marque_id: groupe[0].marque_id,
+      beneficiaire_id: groupe[0].beneficiaire_id,
+      liaison_ids: groupe.map(l => l.id)
+    }));
+
+  // Graphe des relations valides (hors auto-relations, signalées à part)
+  const relationsValides = relations.filter(r =>
+    beneficiairesParId.has(r.beneficiaire_source_id) &&
+    beneficiairesParId.has(r.beneficiaire_cible_id) &&
+    r.beneficiaire_source_id !== r.beneficiaire_cible_id
+  );
+  const successeurs = new Map();
+  for (const relation of relationsValides) {
+    const liste = successeurs.get(relation.beneficiaire_source_id) || [];
+    if (!liste.includes(relation.beneficiaire_cible_id)) liste.push(relation.beneficiaire_cible_id);
+    successeurs.set(relation.beneficiaire_source_id, liste);
+  }
+
+  // Cycles : composantes fortement connexes de plus d'un bénéficiaire
+  const cycles = composantesFortementConnexes(Array.from(beneficiairesParId.keys()), successeurs)
+    .filter(composante => composante.length > 1)
+    .map(composante => {
+      const membres = new Set(composante);
+      return {
+        beneficiaire_ids: composante.sort((a, b) => a - b),
+        relation_ids: relationsValides
+          .filter(r => membres.has(r.beneficiaire_source_id) && membres.has(r.beneficiaire_cible_id))
+          .map(r => r.id)
+      };
+    });
+
+  // Bénéficiaires directs de chaque marque
+  const directsParMarque = new Map();
+  for (const liaison of liaisons) {
+    if (!idsMarques.has(liaison.marque_id) || !beneficiairesParId.has(liaison.beneficiaire_id)) continue;
+    const directs = directsParMarque.get(liaison.marque_id) || new Set();
+    directs.add(liaison.beneficiaire_id);
+    directsParMarque.set(liaison.marque_id, directs);
+  }
+
+  // Parcours par niveau de chaque marque, avec la même limite que la chaîne
+  const atteints = new Set();
+  const chainesTronquees = [];
+
+  for (const marque of marques) {
+    const visites = new Set(directsParMarque.get(marque.id) || []);
+    let frontiere = Array.from(visites);
+
+    for (let niveau = 1; niveau < profondeurMax && frontiere.length > 0; niveau++) {
+      const suivante = [];
+      for (const id of frontiere) {
+        for (const cible of successeurs.get(id) || []) {
+          if (!visites.has(cible)) {
+            visites.add(cible);
+            suivante.push(cible);
+          }
+        }
+      }
+      frontiere = suivante;
+    }
+
+    // Bénéficiaires au-delà du dernier niveau affiché
+    const coupes = new Set();
+    for (const id of frontiere) {
+      for (const cible of successeurs.get(id) || []) {
+        if (!visites.has(cible)) coupes.add(cible);
+      }
+    }
+
+    if (coupes.size > 0) {
+      chainesTronquees.push({
+        marque_id: marque.id,
+        marque_nom: marque.nom,
+        dernier_niveau_ids: frontiere.filter(id => (successeurs.get(id) || []).some(cible => coupes.has(cible))),
+        beneficiaire_ids_coupes: Array.from(coupes)
+      });
+    }
+
+    visites.forEach(id => atteints.add(id));
+  }
+
+  // Bénéficiaires qu'aucune marque n'atteint, même au-delà de la limite de profondeur
+  const atteignables = new Set(atteints);
+  let aExplorer = Array.from(atteints);
+  while (aExplorer.length > 0) {
+    const suivants = [];
+    for (const id of aExplorer) {
+      for (const cible of successeurs.get(id) || []) {
+        if (!atteignables.has(cible)) {
+          atteignables.add(cible);
+          suivants.push(cible);
+        }
+      }
+    }
+    aExplorer = suivants;
+  }
+
+  const beneficiairesOrphelins = beneficiaires
+    .filter(b => !atteignables.has(b.id))
+    .map(b => ({ id: b.id, nom: b.nom }));
+
+  return {
+    profondeur_max: profondeurMax,
+    resume: {
+      cycles: cycles.length,
+      auto_relations: autoRelations.length,
+      relations_dupliquees: relationsDupliquees.length,
+      liaisons_dupliquees: liaisonsDupliquees.length,
+      beneficiaires_orphelins: beneficiairesOrphelins.length,
+      references_manquantes: referencesManquantes.length,
+      chaines_tronquees: chainesTronquees.length
+    },
+    cycles,
+    auto_relations: autoRelations,
+    relations_dupliquees: relationsDupliquees,
+    liaisons_dupliquees: liaisonsDupliquees,
+    beneficiaires_orphelins: beneficiairesOrphelins,
+    references_manquantes: referencesManquantes,
+    chaines_tronquees: chainesTronquees
+  };
+}
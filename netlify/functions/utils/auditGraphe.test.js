@@ -0,0 +1,87 @@
+import { auditerGraphe } from './auditGraphe.js';
+
+const beneficiaires = [1, 2, 3, 4, 5, 6].map(id => ({ id, nom: `B${id}` }));
+
+describe('auditerGraphe', () => {
+  test('graphe sain : aucun constat', () => {
+    const rapport = auditerGraphe({
+      marques: [{ id: 10, nom: 'M' }],
+      beneficiaires: beneficiaires.slice(0, 2),
+      liaisons: [{ id: 1, marque_id: 10, beneficiaire_id: 1 }],
+      relations: [{ id: 1, beneficiaire_source_id: 1, beneficiaire_cible_id: 2 }]
+    });
+
+    expect(rapport.profondeur_max).toBe(5);
+    expect(Object.values(rapport.resume).every(compte => compte === 0)).toBe(true);
+  });
+
+  test('cycles, auto-relations et arêtes dupliquées', () => {
+    const rapport = auditerGraphe({
+      marques: [{ id: 10, nom: 'M' }],
+      beneficiaires: beneficiaires.slice(0, 4),
+      liaisons: [
+        { id: 1, marque_id: 10, beneficiaire_id: 1 },
+        { id: 2, marque_id: 10, beneficiaire_id: 1 }
+      ],
+      relations: [
+        { id: 1, beneficiaire_source_id: 1, beneficiaire_cible_id: 2 },
+        { id: 2, beneficiaire_source_id: 2, beneficiaire_cible_id: 3 },
+        { id: 3, beneficiaire_source_id: 3, beneficiaire_cible_id: 1 },
+        { id: 4, beneficiaire_source_id: 3, beneficiaire_cible_id: 1 },
+        { id: 5, beneficiaire_source_id: 4, beneficiaire_cible_id: 4 }
+      ]
+    });
+
+    expect(rapport.cycles).toEqual([{ beneficiaire_ids: [1, 2, 3], relation_ids: [1, 2, 3, 4] }]);
+    expect(rapport.auto_relations).toEqual([{ relation_id: 5, beneficiaire_id: 4 }]);
+    expect(rapport.relations_dupliquees).toEqual([
+      { beneficiaire_source_id: 3, beneficiaire_cible_id: 1, relation_ids: [3, 4] }
+    ]);
+    expect(rapport.liaisons_dupliquees).toEqual([{ marque_id: 10, beneficiaire_id: 1, liaison_ids: [1, 2] }]);
+  });
+
+  test('références manquantes', () => {
+    const rapport = auditerGraphe({
+      marques: [{ id: 10, nom: 'M' }],
+      beneficiaires: beneficiaires.slice(0, 1),
+      liaisons: [{ id: 1, marque_id: 11, beneficiaire_id: 1 }],
+      relations: [{ id: 7, beneficiaire_source_id: 1, beneficiaire_cible_id: 99 }]
+    });
+
+    expect(rapport.references_manquantes).toEqual([
+      { table: 'Marque_beneficiaire', id: 1, champ: 'marque_id', valeur: 11 },
+      { table: 'beneficiaire_relation', id: 7, champ: 'beneficiaire_cible_id', valeur: 99 }
+    ]);
+  });
+
+  test('orphelins : non atteints, même au-delà de la profondeur maximale', () => {
+    const rapport = auditerGraphe({
+      marques: [{ id: 10, nom: 'M' }],
+      beneficiaires: beneficiaires.slice(0, 4),
+      liaisons: [{ id: 1, marque_id: 10, beneficiaire_id: 1 }],
+      relations: [
+        { id: 1, beneficiaire_source_id: 1, beneficiaire_cible_id: 2 },
+        { id: 2, beneficiaire_source_id: 2, beneficiaire_cible_id: 3 }
+      ]
+    }, { profondeurMax: 1 });
+
+    expect(rapport.beneficiaires_orphelins).toEqual([{ id: 4, nom: 'B4' }]);
+  });
+
+  test('chaînes tronquées à la profondeur maximale', () => {
+    const rapport = auditerGraphe({
+      marques: [{ id: 10, nom: 'M' }],
+      beneficiaires: beneficiaires.slice(0, 3),
+      liaisons: [{ id: 1, marque_id: 10, beneficiaire_id: 1 }],
+      relations: [
+        { id: 1, beneficiaire_source_id: 1, beneficiaire_cible_id: 2 },
+        { id: 2, beneficiaire_source_id: 2, beneficiaire_cible_id: 3 }
+      ]
+    }, { profondeurMax: 2 });
+
+    expect(rapport.chaines_tronquees).toEqual([
+      { marque_id: 10, marque_nom: 'M', dernier_niveau_ids: [2], beneficiaire_ids_coupes: [3] }
+    ]);
+    expect(rapport.resume.chaines_tronquees).toBe(1);
+  });
+});
@@ -0,0 +1,916 @@
+/**
+ * Module utilitaire de parcours du graphe `beneficiaire_relation`
+ * Utilisé par marques.js (via transformationMarques.js), beneficiaires-chaine.js et les autres endpoints de graphe
+ * (beneficiaires, chemin, graphe, audit...)
+ *
+ * Parcours en largeur : chaque niveau du graphe est récupéré avec une seule requête `.in()`,
+ * au lieu d'une requête par bénéficiaire et d'un parcours récursif par nœud.
+ * - aval  : marque → bénéficiaires directs → relations suivantes (source → cible)
+ * - amont : bénéficiaire ← relations entrantes (cible ← source), pour les marques indirectes
+ *
+ * Participations effectives : produit des pourcentages le long de chaque chemin (chaîne, chemin, marques-stats.js)
+ */
+
+export const PROFONDEUR_MAX_DEFAUT = 5;
+export const PROFONDEUR_MAX_AUTORISEE = 10;
+export const NOEUDS_MAX_DEFAUT = 500;
+export const NOEUDS_MAX_AUTORISE = 2000;
+
+/**
+ * Analyse le budget de parcours d'une requête
+ * @param {Object} parametres - { profondeur, maxNoeuds } (paramètres de requête bruts)
+ * @returns {Object} { budget: { profondeurMax, noeudsMax } } ou { erreur }
+ */
+export function analyserBudgetParcours({ profondeur, maxNoeuds } = {}) {
+  const profondeurMax = profondeur === undefined ? PROFONDEUR_MAX_DEFAUT : Number(profondeur);
+  const noeudsMax = maxNoeuds === undefined ? NOEUDS_MAX_DEFAUT : Number(maxNoeuds);
+
+  if (!Number.isInteger(profondeurMax) || profondeurMax < 1 || profondeurMax > PROFONDEUR_MAX_AUTORISEE) {
+    return { erreur: `Le paramètre profondeur doit être compris entre 1 et ${PROFONDEUR_MAX_AUTORISEE}` };
+  }
+
+  if (!Number.isInteger(noeudsMax) || noeudsMax < 1 || noeudsMax > NOEUDS_MAX_AUTORISE) {
+    return { erreur: `Le paramètre maxNoeuds doit être compris entre 1 et ${NOEUDS_MAX_AUTORISE}` };
+  }
+
+  return { budget: { profondeurMax, noeudsMax } };
+}
+
+/**
+ * Métadonnées de troncature d'un parcours
+ * @param {string|null} raison - 'profondeur_max' | 'noeuds_max' | 'chemins_max' | null (parcours complet)
+ * @param {Iterable} frontiere - IDs des bénéficiaires atteints mais non chargés ("charger plus")
+ */
+export function troncature(raison = null, frontiere = []) {
+  return {
+    truncated: raison !== null,
+    reason: raison,
+    frontier_ids: Array.from(frontiere)
+  };
+}
+
+/**
+ * Découpe un niveau selon le nombre de nœuds restant dans le budget
+ * @returns {Object} { retenus, coupes }
+ */
+function decouperNiveau(ids, visites, noeudsMax) {
+  const restant = Math.max(noeudsMax - visites.size, 0);
+  return { retenus: ids.slice(0, restant), coupes: ids.slice(restant) };
+}
+
+// Rôle de la cible envers la source dans `beneficiaire_relation.type_relation` (contrainte CHECK en base)
+export const TYPES_RELATION = ['actionnaire', 'creancier', 'administrateur', 'fondateur', 'donateur', 'autre'];
+// Valeur de filtre désignant les relations sans type
+export const TYPE_RELATION_NON_RENSEIGNE = 'non_renseigne';
+
+/**
+ * Analyse le paramètre `types=` des endpoints de chaîne
+ * - `types=actionnaire,fondateur` : ne suivre que ces types
+ * - `types=-administrateur` : suivre tous les types sauf ceux-ci
+ * @param {string} valeur - Valeur brute du paramètre
+ * @returns {Object} { filtre } (null sans paramètre) ou { erreur }
+ */
+export function analyserFiltreTypes(valeur) {
+  if (valeur === undefined || valeur === null) {
+    return { filtre: null };
+  }
+
+  const elements = String(valeur).split(',').map(type => type.trim()).filter(Boolean);
+  const exclusion = elements.length > 0 && elements.every(type => type.startsWith('-'));
+
+  if (elements.length === 0 || (!exclusion && elements.some(type => type.startsWith('-')))) {
+    return { erreur: 'Le paramètre types doit lister des types à suivre (types=actionnaire,fondateur) ou à exclure (types=-administrateur)' };
+  }
+
+  const types = elements.map(type => exclusion ? type.slice(1) : type);
+  const inconnus = types.filter(type => !TYPES_RELATION.includes(type) && type !== TYPE_RELATION_NON_RENSEIGNE);
+
+  if (inconnus.length > 0) {
+    return { erreur: `Types de relation inconnus : ${inconnus.join(', ')} (${[...TYPES_RELATION, TYPE_RELATION_NON_RENSEIGNE].join(', ')})` };
+  }
+
+  return { filtre: { types: Array.from(new Set(types)).sort(), exclusion } };
+}
+
+/**
+ * Clé de cache d'un filtre de types ('tous' sans filtre)
+ */
+export function cleFiltreTypes(filtre) {
+  return filtre ? `${filtre.exclusion ? '-' : ''}${filtre.types.join(',')}` : 'tous';
+}
+
+/**
+ * Une relation passe-t-elle le filtre de types ?
+ */
+function relationSuivie(filtre, relation) {
+  if (!filtre) return true;
+  const present = filtre.types.includes(relation.type_relation || TYPE_RELATION_NON_RENSEIGNE);
+  return filtre.exclusion ? !present : present;
+}
+
+// Colonnes ajoutées par la migration des participations (ARCHITECTURE.md, « Participations structurées ») :
+// tant qu'elle n'est pas appliquée, les requêtes sont rejouées sans elles (valeurs null)
+export const COLONNES_PARTICIPATION_LIAISON = ['pourcentage_participation', 'nature_lien'];
+export const COLONNES_PARTICIPATION_RELATION = ['pourcentage_participation'];
+
+/**
+ * Select PostgREST complété par des colonnes
+ */
+export function selectAvecColonnes(select, colonnes) {
+  return [select.trim(), ...colonnes].join(', ');
+}
+
+/**
+ * L'erreur vient-elle d'une des colonnes absente de la base ?
+ */
+function colonneAbsente(error, colonnes) {
+  const message = String(error?.message || '');
+  return (error?.code === '42703' || message.includes('does not exist')) &&
+    colonnes.some(colonne => message.includes(colonne));
+}
+
+function avertirColonnesAbsentes(colonnes, error) {
+  console.warn(`[chaineBeneficiaires] Colonnes ${colonnes.join(', ')} indisponibles, requête sans elles:`, error.message);
+}
+
+/**
+ * Requête Supabase avec des colonnes optionnelles, rejouée sans elles si la base ne les a pas
+ * @param {Function} construire - (colonnes) => requête Supabase sélectionnant aussi ces colonnes
+ * @param {Array} colonnes - Colonnes optionnelles
+ * @returns {Object} Résultat Supabase { data, error, ... }
+ */
+export async function requeteAvecColonnesOptionnelles(construire, colonnes) {
+  const resultat = await construire(colonnes);
+  if (!resultat.error || !colonneAbsente(resultat.error, colonnes)) return resultat;
+
+  avertirColonnesAbsentes(colonnes, resultat.error);
+  return construire([]);
+}
+
+const SELECT_BENEFICIAIRE_CHAINE = `
+  id,
+  nom,
+  impact_generique,
+  type_beneficiaire,
+  created_at,
+  updated_at,
+  controverses:controverse_beneficiaire(*,Categorie!controverse_beneficiaire_categorie_id_fkey(*))
+`;
+
+/**
+ * Parcours aval niveau par niveau depuis les bénéficiaires directs d'une marque
+ * @param {Object} supabase - Client Supabase
+ * @param {Array} liaisons - Liaisons Marque_beneficiaire { beneficiaire_id, lien_financier }
+ * @param {number} profondeurMax - Nombre maximal de niveaux (niveau 0 = bénéficiaires directs)
+ * @param {Object} options - { filtreTypes: relations suivies (analyserFiltreTypes), toutes par défaut ; noeudsMax: nombre maximal de bénéficiaires chargés }
+ * @returns {Object} { noeuds: [{ beneficiaire, niveau, relations_suivantes, lien_financier }], troncature: { truncated, reason, frontier_ids } }
+ *   Chaque bénéficiaire apparaît une seule fois, à son niveau le plus proche
+ */
+export async function parcourirChaineAval(supabase, liaisons, profondeurMax = PROFONDEUR_MAX_DEFAUT, { filtreTypes = null, noeudsMax = NOEUDS_MAX_DEFAUT } = {}) {
+  const noeuds = [];
+  const visites = new Set();
+
+  // Niveau 0 : bénéficiaires directs avec le lien financier de la liaison
+  let frontiere = new Map();
+  for (const liaison of liaisons) {
+    if (liaison.beneficiaire_id && !frontiere.has(liaison.beneficiaire_id)) {
+      frontiere.set(liaison.beneficiaire_id, liaison.lien_financier || 'Lien financier direct');
+    }
+  }
+
+  for (let niveau = 0; frontiere.size > 0; niveau++) {
+    if (niveau >= profondeurMax) {
+      return { noeuds, troncature: troncature('profondeur_max', frontiere.keys()) };
+    }
+
+    // Budget de nœuds : le niveau est chargé en partie, le reste devient la frontière
+    const { retenus: ids, coupes } = decouperNiveau(Array.from(frontiere.keys()), visites, noeudsMax);
+    if (ids.length === 0) {
+      return { noeuds, troncature: troncature('noeuds_max', coupes) };
+    }
+    ids.forEach(id => visites.add(id));
+
+    // Une requête pour les bénéficiaires du niveau, une pour leurs relations suivantes
+    const [{ data: beneficiaires, error: beneficiairesError }, { data: relations, error: relationsError }] = await Promise.all([
+      supabase
+        .from('Beneficiaires')
+        .select(SELECT_BENEFICIAIRE_CHAINE)
+        .in('id', ids),
+      requeteAvecColonnesOptionnelles(colonnes => supabase
+        .from('beneficiaire_relation')
+        .select(selectAvecColonnes(`
+          id,
+          beneficiaire_source_id,
+          beneficiaire_cible_id,
+          type_relation,
+          description_relation,
+          created_at,
+          updated_at
+        `, colonnes))
+        .in('beneficiaire_source_id', ids), COLONNES_PARTICIPATION_RELATION)
+    ]);
+
+    if (beneficiairesError) throw beneficiairesError;
+    if (relationsError) throw relationsError;
+
+    const relationsParSource = new Map();
+    for (const rel of relations || []) {
+      if (!relationSuivie(filtreTypes, rel)) continue;
+
+      const liste = relationsParSource.get(rel.beneficiaire_source_id) || [];
+      liste.push({
+        id: rel.id,
+        beneficiaire_source_id: rel.beneficiaire_source_id,
+        beneficiaire_cible_id: rel.beneficiaire_cible_id,
+        type_relation: rel.type_relation ?? null,
+        description_relation: rel.description_relation,
+        pourcentage_participation: rel.pourcentage_participation ?? null,
+        created_at: rel.created_at,
+        updated_at: rel.updated_at
+      });
+      relationsParSource.set(rel.beneficiaire_source_id, liste);
+    }
+
+    const beneficiairesParId = new Map((beneficiaires || []).map(b => [b.id, b]));
+    const prochaineFrontiere = new Map();
+
+    // Ordre de la frontière conservé pour un lien financier déterministe
+    for (const id of ids) {
+      const beneficiaire = beneficiairesParId.get(id);
+      if (!beneficiaire) continue; // Bénéficiaire introuvable : branche ignorée
+
+      const relationsSuivantes = relationsParSource.get(id) || [];
+
+      noeuds.push({
+        beneficiaire: {
+          id: beneficiaire.id,
+          nom: beneficiaire.nom,
+          controverses: beneficiaire.controverses || [],
+          impact_generique: beneficiaire.impact_generique,
+          type_beneficiaire: beneficiaire.type_beneficiaire,
+          created_at: beneficiaire.created_at,
+          updated_at: beneficiaire.updated_at
+        },
+        niveau,
+        relations_suivantes: relationsSuivantes,
+        lien_financier: frontiere.get(id) || 'Lien financier non défini',
+        marques_directes: [],
+        marques_indirectes: {}
+      });
+
+      for (const relation of relationsSuivantes) {
+        const cibleId = relation.beneficiaire_cible_id;
+        if (cibleId && !visites.has(cibleId) && !prochaineFrontiere.has(cibleId)) {
+          prochaineFrontiere.set(cibleId, relation.description_relation || 'Participation financière');
+        }
+      }
+    }
+
+    if (coupes.length > 0) {
+      return { noeuds, troncature: troncature('noeuds_max', new Set([...coupes, ...prochaineFrontiere.keys()])) };
+    }
+
+    frontiere = prochaineFrontiere;
+  }
+
+  return { noeuds, troncature: troncature() };
+}
+
+/**
+ * Même parcours que parcourirChaineAval, en mémoire sur un graphe déjà chargé (chargerGrapheComplet)
+ * @param {Array} liaisons - Liaisons Marque_beneficiaire de la marque { beneficiaire_id }
+ * @param {Map} relationsParSource - Map<source_id, [{ beneficiaire_cible_id }]>
+ * @param {Object} budget - { profondeurMax, noeudsMax }
+ * @returns {Object} { niveaux: Map<beneficiaire_id, niveau>, troncature: { truncated, reason, frontier_ids } }
+ */
+export function parcourirGrapheEnMemoire(liaisons, relationsParSource, { profondeurMax = PROFONDEUR_MAX_DEFAUT, noeudsMax = NOEUDS_MAX_DEFAUT } = {}) {
+  const niveaux = new Map();
+  let frontiere = Array.from(new Set(liaisons.map(liaison => liaison.beneficiaire_id).filter(Boolean)));
+
+  for (let niveau = 0; frontiere.length > 0; niveau++) {
+    if (niveau >= profondeurMax) {
+      return { niveaux, troncature: troncature('profondeur_max', frontiere) };
+    }
+
+    const { retenus, coupes } = decouperNiveau(frontiere, niveaux, noeudsMax);
+    if (retenus.length === 0) {
+      return { niveaux, troncature: troncature('noeuds_max', coupes) };
+    }
+    retenus.forEach(id => niveaux.set(id, niveau));
+
+    const prochaineFrontiere = new Set();
+    for (const id of retenus) {
+      for (const relation of relationsParSource.get(id) || []) {
+        const cibleId = relation.beneficiaire_cible_id;
+        if (cibleId && !niveaux.has(cibleId)) prochaineFrontiere.add(cibleId);
+      }
+    }
+
+    if (coupes.length > 0) {
+      return { niveaux, troncature: troncature('noeuds_max', new Set([...coupes, ...prochaineFrontiere])) };
+    }
+
+    frontiere = Array.from(prochaineFrontiere);
+  }
+
+  return { niveaux, troncature: troncature() };
+}
+
+/**
+ * Charge le graphe amont (relations entrantes + marques directes) de plusieurs bénéficiaires
+ * @param {Object} supabase - Client Supabase
+ * @param {Array} beneficiaireIds - Bénéficiaires de départ
+ * @param {number} profondeurMax - Nombre maximal de niveaux remontés
+ * @param {Object} options - { filtreTypes: relations suivies (analyserFiltreTypes), toutes par défaut ; noeudsMax: nombre maximal de bénéficiaires chargés, illimité par défaut }
+ * @returns {Object} { relationsEntrantes: Map<cibleId, [{ source_id, source_nom, type_relation, description_relation }]>, marquesParBeneficiaire: Map<id, [{ id, nom }]>, troncature: { truncated, reason, frontier_ids } }
+ *   frontier_ids : bénéficiaires chargés dont les relations entrantes ne l'ont pas été
+ */
+export async function chargerGrapheAmont(supabase, beneficiaireIds, profondeurMax = PROFONDEUR_MAX_DEFAUT, { filtreTypes = null, noeudsMax = Infinity } = {}) {
+  const relationsEntrantes = new Map();
+  const connus = new Set(beneficiaireIds.filter(Boolean));
+  let frontiere = Array.from(connus);
+  let troncatureParcours = troncature();
+
+  for (let niveau = 0; frontiere.length > 0; niveau++) {
+    if (niveau >= profondeurMax) {
+      troncatureParcours = troncature('profondeur_max', frontiere);
+      break;
+    }
+
+    const { data: relations, error } = await supabase
+      .from('beneficiaire_relation')
+      .select(`
+        id,
+        beneficiaire_source_id,
+        beneficiaire_cible_id,
+        type_relation,
+        description_relation,
+        beneficiaire_source:Beneficiaires!beneficiaire_relation_beneficiaire_source_id_fkey (
+          id,
+          nom
+        )
+      `)
+      .in('beneficiaire_cible_id', frontiere);
+
+    if (error) throw error;
+
+    frontiere.forEach(id => relationsEntrantes.set(id, relationsEntrantes.get(id) || []));
+    const sources = new Set();
+
+    for (const rel of relations || []) {
+      if (!relationSuivie(filtreTypes, rel)) continue;
+
+      relationsEntrantes.get(rel.beneficiaire_cible_id).push({
+        id: rel.id,
+        source_id: rel.beneficiaire_source_id,
+        source_nom: rel.beneficiaire_source?.nom,
+        type_relation: rel.type_relation ?? null,
+        description_relation: rel.description_relation
+      });
+
+      if (rel.beneficiaire_source_id && !connus.has(rel.beneficiaire_source_id)) {
+        sources.add(rel.beneficiaire_source_id);
+      }
+    }
+
+    // Budget de nœuds : sources au-delà du budget ni chargées ni remontées
+    const { retenus, coupes } = decouperNiveau(Array.from(sources), connus, noeudsMax);
+    retenus.forEach(id => connus.add(id));
+
+    if (coupes.length > 0) {
+      troncatureParcours = troncature('noeuds_max', coupes);
+      break;
+    }
+
+    frontiere = retenus;
+  }
+
+  // Marques directes de tous les bénéficiaires rencontrés, en une requête
+  const marquesParBeneficiaire = new Map();
+  if (connus.size > 0) {
+    const { data: liaisons, error } = await supabase
+      .from('Marque_beneficiaire')
+      .select(`
+        beneficiaire_id,
+        Marque!marque_id (id, nom)
+      `)
+      .in('beneficiaire_id', Array.from(connus));
+
+    if (error) throw error;
+
+    for (const liaison of liaisons || []) {
+      if (!liaison.Marque) continue;
+      const liste = marquesParBeneficiaire.get(liaison.beneficiaire_id) || [];
+      liste.push({ id: liaison.Marque.id, nom: liaison.Marque.nom });
+      marquesParBeneficiaire.set(liaison.beneficiaire_id, liste);
+    }
+  }
+
+  return { relationsEntrantes, marquesParBeneficiaire, troncature: troncatureParcours };
+}
+
+const TAILLE_PAGE_GRAPHE = 1000; // Limite de lignes par requête PostgREST
+
+/**
+ * Toutes les lignes d'une table, page par page
+ */
+export async function recupererToutesLignes(supabase, table, select) {
+  const lignes = [];
+
+  for (let debut = 0; ; debut += TAILLE_PAGE_GRAPHE) {
+    const { data, error } = await supabase
+      .from(table)
+      .select(select)
+      .order('id')
+      .range(debut, debut + TAILLE_PAGE_GRAPHE - 1);
+
+    if (error) throw error;
+
+    lignes.push(...(data || []));
+    if (!data || data.length < TAILLE_PAGE_GRAPHE) break;
+  }
+
+  return lignes;
+}
+
+/**
+ * Toutes les lignes d'une table avec des colonnes optionnelles (sans elles si la base ne les a pas)
+ */
+async function recupererToutesLignesAvecColonnesOptionnelles(supabase, table, select, colonnes) {
+  try {
+    return await recupererToutesLignes(supabase, table, selectAvecColonnes(select, colonnes));
+  } catch (error) {
+    if (!colonneAbsente(error, colonnes)) throw error;
+
+    avertirColonnesAbsentes(colonnes, error);
+    return recupererToutesLignes(supabase, table, select);
+  }
+}
+
+/**
+ * Charge le graphe complet, sans filtrage : les liaisons vers des IDs inexistants sont conservées
+ * @param {Object} supabase - Client Supabase
+ * @returns {Object} { marques, beneficiaires, liaisons, relations }
+ */
+export async function chargerGrapheComplet(supabase) {
+  const [marques, beneficiaires, liaisons, relations] = await Promise.all([
+    recupererToutesLignes(supabase, 'Marque', 'id, nom'),
+    recupererToutesLignes(supabase, 'Beneficiaires', 'id, nom, type_beneficiaire'),
+    recupererToutesLignesAvecColonnesOptionnelles(supabase, 'Marque_beneficiaire', 'id, marque_id, beneficiaire_id, lien_financier', COLONNES_PARTICIPATION_LIAISON),
+    recupererToutesLignesAvecColonnesOptionnelles(supabase, 'beneficiaire_relation', 'id, beneficiaire_source_id, beneficiaire_cible_id, type_relation, description_relation', COLONNES_PARTICIPATION_RELATION)
+  ]);
+
+  return { marques, beneficiaires, liaisons, relations };
+}
+
+// Garde-fou des marques liées : chemins amont explorés (un par branche), partagés par toute une réponse
+export const MAX_CHEMINS_AMONT = 20000;
+
+/**
+ * Budget d'exploration des chemins amont (calculerMarquesTransitives, construireArbreMarquesIndirectes)
+ * @returns {Object} { restant, coupes: bénéficiaires dont l'amont n'a pas été entièrement exploré }
+ */
+export function creerBudgetChemins(maxChemins = MAX_CHEMINS_AMONT) {
+  return { restant: maxChemins, coupes: new Set() };
+}
+
+/**
+ * Un chemin amont de plus depuis un bénéficiaire, si le budget le permet
+ */
+function consommerChemin(budget, beneficiaireId) {
+  if (budget.restant <= 0) {
+    budget.coupes.add(beneficiaireId);
+    return false;
+  }
+  budget.restant--;
+  return true;
+}
+
+/**
+ * Troncature d'une réponse : celle du parcours s'il a été coupé, sinon `chemins_max` si le budget
+ * des chemins amont a été épuisé (frontier_ids : bénéficiaires dont l'amont est incomplet)
+ */
+export function troncatureAvecChemins(troncatureParcours, ...budgets) {
+  const coupes = new Set(budgets.flatMap(budget => [...budget.coupes]));
+  if (troncatureParcours.truncated || coupes.size === 0) return troncatureParcours;
+  return troncature('chemins_max', coupes);
+}
+
+/**
+ * Marques directes d'un bénéficiaire dans un graphe amont chargé (hors marque actuelle)
+ */
+export function marquesDirectesBeneficiaire(graphe, beneficiaireId, marqueActuelleId) {
+  return (graphe.marquesParBeneficiaire.get(beneficiaireId) || [])
+    .filter(m => m.id !== marqueActuelleId); // Exclure la marque de recherche
+}
+
+/**
+ * Marques transitives d'un bénéficiaire calculées en mémoire sur un graphe amont chargé
+ * Même sémantique que le parcours récursif historique (clés "Intermédiaire → Intermédiaire")
+ * @param {Object} graphe - Résultat de chargerGrapheAmont
+ * @param {number} beneficiaireId - ID du bénéficiaire
+ * @param {number} marqueActuelleId - ID de la marque actuelle (à exclure)
+ * @param {Set} visited - Bénéficiaires déjà visités sur la branche (protection anti-cycles)
+ * @param {number} profondeurMax - Profondeur maximale de récursion
+ * @param {Object} budget - Budget des chemins amont (creerBudgetChemins), à partager entre les appels d'une réponse
+ * @returns {Object} { marquesDirectes: Array, marquesIndirectes: Object }
+ */
+export function calculerMarquesTransitives(graphe, beneficiaireId, marqueActuelleId, visited = new Set(), profondeurMax = PROFONDEUR_MAX_DEFAUT, budget = creerBudgetChemins()) {
+  // Protection anti-cycles et limitation profondeur
+  if (visited.has(beneficiaireId) || visited.size >= profondeurMax) {
+    return { marquesDirectes: [], marquesIndirectes: {} };
+  }
+
+  visited.add(beneficiaireId);
+
+  const marquesDirectes = marquesDirectesBeneficiaire(graphe, beneficiaireId, marqueActuelleId);
+
+  const marquesIndirectes = {};
+
+  for (const relation of graphe.relationsEntrantes.get(beneficiaireId) || []) {
+    if (!relation.source_id || visited.has(relation.source_id)) {
+      continue;
+    }
+
+    // Garde-fou : chaque branche compte, le nombre de chemins simples croît exponentiellement
+    if (!consommerChemin(budget, beneficiaireId)) break;
+
+    const marquesSource = calculerMarquesTransitives(
+      graphe,
+      relation.source_id,
+      marqueActuelleId,
+      new Set(visited), // Nouvelle copie pour chaque branche
+      profondeurMax,
+      budget
+    );
+
+    const nomBeneficiaireSource = relation.source_nom;
+
+    // Ajouter les marques directes du bénéficiaire source
+    if (marquesSource.marquesDirectes.length > 0) {
+      if (!marquesIndirectes[nomBeneficiaireSource]) {
+        marquesIndirectes[nomBeneficiaireSource] = [];
+      }
+      marquesIndirectes[nomBeneficiaireSource].push(...marquesSource.marquesDirectes);
+    }
+
+    // Ajouter les marques indirectes du bénéficiaire source (transitives complètes)
+    for (const [intermediaire, marques] of Object.entries(marquesSource.marquesIndirectes)) {
+      const cle = `${nomBeneficiaireSource} → ${intermediaire}`;
+      if (marques.length > 0) {
+        marquesIndirectes[cle] = marques;
+      }
+    }
+  }
+
+  // Supprimer les doublons dans chaque groupe
+  for (const [cle, marques] of Object.entries(marquesIndirectes)) {
+    marquesIndirectes[cle] = marques.filter((marque, index, array) =>
+      array.findIndex(m => m.id === marque.id) === index
+    );
+  }
+
+  visited.delete(beneficiaireId);
+  return { marquesDirectes, marquesIndirectes };
+}
+
+/**
+ * Identifiants distincts des marques d'un résultat de calculerMarquesTransitives
+ * @param {Object} marquesTransitives - { marquesDirectes, marquesIndirectes }
+ * @returns {Set} IDs des marques directes et indirectes, sans doublons
+ */
+export function idsMarquesTransitives({ marquesDirectes, marquesIndirectes }) {
+  const ids = new Set(marquesDirectes.map(m => m.id));
+  Object.values(marquesIndirectes).forEach(marques => marques.forEach(m => ids.add(m.id)));
+  return ids;
+}
+
+/**
+ * Marques indirectes d'un bénéficiaire en arbre (format v2 de versionApi.js)
+ * Même parcours et mêmes limites que calculerMarquesTransitives, mais un nœud par bénéficiaire
+ * intermédiaire avec son ID, au lieu de clés "A → B" à découper côté client
+ * @param {Object} graphe - Résultat de chargerGrapheAmont
+ * @param {number} beneficiaireId - ID du bénéficiaire
+ * @param {number} marqueActuelleId - ID de la marque actuelle (à exclure)
+ * @param {number} profondeurMax - Profondeur maximale de récursion
+ * @param {Object} budget - Budget des chemins amont (creerBudgetChemins), à partager entre les appels d'une réponse
+ * @returns {Array} [{ beneficiaire: { id, nom }, relation_id, type_relation, marques_directes, marques_indirectes: [...] }]
+ */
+export function construireArbreMarquesIndirectes(graphe, beneficiaireId, marqueActuelleId, profondeurMax = PROFONDEUR_MAX_DEFAUT, budget = creerBudgetChemins()) {
+  const construire = (id, visited) => {
+    visited.add(id);
+    const noeuds = [];
+
+    for (const relation of graphe.relationsEntrantes.get(id) || []) {
+      const sourceId = relation.source_id;
+      if (!sourceId || visited.has(sourceId) || visited.size >= profondeurMax) continue;
+      if (!consommerChemin(budget, id)) break;
+
+      const marquesDirectes = (graphe.marquesParBeneficiaire.get(sourceId) || [])
+        .filter((marque, index, array) =>
+          marque.id !== marqueActuelleId && array.findIndex(m => m.id === marque.id) === index
+        );
+      const marquesIndirectes = construire(sourceId, new Set(visited)); // Nouvelle copie pour chaque branche
+
+      // Branches sans aucune marque omises, comme les clés vides du format historique
+      if (marquesDirectes.length === 0 && marquesIndirectes.length === 0) continue;
+
+      noeuds.push({
+        beneficiaire: { id: sourceId, nom: relation.source_nom },
+        relation_id: relation.id,
+        type_relation: relation.type_relation ?? null,
+        marques_directes: marquesDirectes,
+        marques_indirectes: marquesIndirectes
+      });
+    }
+
+    return noeuds;
+  };
+
+  return construire(beneficiaireId, new Set());
+}
+
+/**
+ * Nombre d'intermédiaires du plus long chemin d'un arbre de construireArbreMarquesIndirectes ("A → B" = 2)
+ */
+export function profondeurArbreMarquesIndirectes(noeuds) {
+  return noeuds.reduce((max, noeud) => Math.max(max, 1 + profondeurArbreMarquesIndirectes(noeud.marques_indirectes)), 0);
+}
+
+const MAX_CHEMINS_PARTICIPATION = 10000; // Garde-fou contre l'explosion combinatoire
+
+/**
+ * Pourcentage de participation exploitable (0-100), null s'il n'est pas renseigné
+ * PostgREST peut renvoyer les colonnes numeric sous forme de chaîne
+ */
+function pourcentageValide(valeur) {
+  if (valeur === null || valeur === undefined || valeur === '') return null;
+  const nombre = Number(valeur);
+  return Number.isFinite(nombre) && nombre >= 0 && nombre <= 100 ? nombre : null;
+}
+
+function arrondirPourcentage(valeur) {
+  return Math.round(valeur * 100) / 100;
+}
+
+/**
+ * Participation effective le long d'un chemin : produit des pourcentages de chaque lien
+ * @param {Array} pourcentages - Pourcentages (0-100) des liens du chemin
+ * @returns {number|null} Pourcentage effectif, null si un pourcentage manque
+ */
+export function produitParticipations(pourcentages) {
+  let produit = 1;
+  for (const valeur of pourcentages) {
+    const pourcentage = pourcentageValide(valeur);
+    if (pourcentage === null) return null;
+    produit *= pourcentage / 100;
+  }
+  return arrondirPourcentage(produit * 100);
+}
+
+/**
+ * Participations effectives d'une marque dans les bénéficiaires de sa chaîne
+ * Somme, sur chaque chemin simple, du produit des pourcentages (participations indirectes cumulées).
+ * Les chemins dont un lien n'a pas de pourcentage sont comptés à part et rendent le résultat incomplet.
+ * @param {Array} liaisons - Liaisons Marque_beneficiaire { beneficiaire_id, pourcentage_participation }
+ * @param {Map} relationsParSource - Map<source_id, [{ beneficiaire_cible_id, pourcentage_participation }]>
+ * @param {Object} options - { profondeurMax: bénéficiaires max par chemin, maxChemins: arrêt de l'énumération }
+ * @returns {Map} Map<beneficiaire_id, { pourcentage, complet, nb_chemins, chemins_sans_pourcentage }>
+ */
+export function calculerParticipationsEffectives(liaisons, relationsParSource, { profondeurMax = PROFONDEUR_MAX_DEFAUT, maxChemins = MAX_CHEMINS_PARTICIPATION } = {}) {
+  const cumuls = new Map();
+  let cheminsParcourus = 0;
+  let tronque = false;
+
+  // Parcours en profondeur des chemins simples ; produit null dès qu'un pourcentage manque
+  const visiter = (beneficiaireId, produit, visites) => {
+    if (cheminsParcourus >= maxChemins) {
+      tronque = true;
+      return;
+    }
+    cheminsParcourus++;
+
+    const cumul = cumuls.get(beneficiaireId) || { somme: 0, nb_chemins: 0, chemins_sans_pourcentage: 0 };
+    cumul.nb_chemins++;
+    if (produit === null) {
+      cumul.chemins_sans_pourcentage++;
+    } else {
+      cumul.somme += produit;
+    }
+    cumuls.set(beneficiaireId, cumul);
+
+    if (visites.size >= profondeurMax) return;
+
+    for (const relation of relationsParSource.get(beneficiaireId) || []) {
+      const suivantId = relation.beneficiaire_cible_id;
+      if (visites.has(suivantId)) continue;
+
+      const pourcentage = pourcentageValide(relation.pourcentage_participation);
+      visites.add(suivantId);
+      visiter(suivantId, produit === null || pourcentage === null ? null : produit * pourcentage / 100, visites);
+      visites.delete(suivantId);
+    }
+  };
+
+  for (const liaison of liaisons) {
+    if (!liaison.beneficiaire_id) continue;
+    const pourcentage = pourcentageValide(liaison.pourcentage_participation);
+    visiter(liaison.beneficiaire_id, pourcentage === null ? null : pourcentage / 100, new Set([liaison.beneficiaire_id]));
+  }
+
+  const participations = new Map();
+  for (const [id, cumul] of cumuls) {
+    const cheminsComplets = cumul.nb_chemins - cumul.chemins_sans_pourcentage;
+    participations.set(id, {
+      // Somme des chemins renseignés (plafonnée à 100 si les données se recoupent)
+      pourcentage: cheminsComplets > 0 ? Math.min(100, arrondirPourcentage(cumul.somme * 100)) : null,
+      complet: cumul.chemins_sans_pourcentage === 0 && !tronque,
+      nb_chemins: cumul.nb_chemins,
+      chemins_sans_pourcentage: cumul.chemins_sans_pourcentage
+    });
+  }
+
+  return participations;
+}
+
+const MAX_EXPLORATIONS_CHEMINS = 20000; // Chemins partiels mis en file, impasses comprises
+
+/**
+ * Énumère les chemins simples d'une marque vers un bénéficiaire cible, du plus court au plus long
+ * Parcours en largeur des chemins partiels : les chemins sont trouvés par longueur croissante,
+ * les k premiers sont donc les k plus courts même si l'énumération est interrompue.
+ * Chaque étape porte le texte de son lien (lien_financier ou description_relation) et son pourcentage,
+ * chaque chemin sa participation effective (produit des pourcentages, null si l'un manque)
+ * @param {Object} marque - { id, nom }
+ * @param {Array} liaisons - Liaisons Marque_beneficiaire { id, beneficiaire_id, lien_financier, pourcentage_participation }
+ * @param {Array} noeuds - Nœuds de parcourirChaineAval (relations_suivantes chargées)
+ * @param {number} cibleId - ID du bénéficiaire cible
+ * @param {Object} options - { profondeurMax: bénéficiaires max par chemin, maxChemins: chemins trouvés, maxExplorations: chemins partiels mis en file }
+ * @returns {Object} { chemins: [{ longueur, participation_effective, etapes }], tronque }
+ */
+export function enumererChemins(marque, liaisons, noeuds, cibleId, { profondeurMax = PROFONDEUR_MAX_DEFAUT, maxChemins = 500, maxExplorations = MAX_EXPLORATIONS_CHEMINS } = {}) {
+  const noeudsParId = new Map(noeuds.map(node => [node.beneficiaire.id, node]));
+  const chemins = [];
+  let tronque = false;
+
+  const referenceBeneficiaire = (id) => ({
+    type: 'beneficiaire',
+    id,
+    nom: noeudsParId.get(id)?.beneficiaire.nom
+  });
+
+  // File des chemins partiels : un bénéficiaire au plus une fois par chemin (chemins simples)
+  const file = liaisons
+    .filter(liaison => noeudsParId.has(liaison.beneficiaire_id))
+    .map(liaison => ({
+      beneficiaireId: liaison.beneficiaire_id,
+      etapes: [{
+        type: 'marque_beneficiaire',
+        relation_id: liaison.id,
+        de: { type: 'marque', id: marque.id, nom: marque.nom },
+        vers: referenceBeneficiaire(liaison.beneficiaire_id),
+        texte: liaison.lien_financier || 'Lien financier direct',
+        pourcentage_participation: liaison.pourcentage_participation ?? null
+      }],
+      visites: new Set([liaison.beneficiaire_id])
+    }));
+
+  for (let position = 0; position < file.length; position++) {
+    if (chemins.length >= maxChemins) {
+      return { chemins, tronque: true };
+    }
+
+    const { beneficiaireId, etapes, visites } = file[position];
+    file[position] = null; // Libère les chemins déjà traités
+
+    if (beneficiaireId === cibleId) {
+      chemins.push({
+        longueur: etapes.length,
+        participation_effective: produitParticipations(etapes.map(etape => etape.pourcentage_participation)),
+        etapes
+      });
+      continue;
+    }
+
+    if (visites.size >= profondeurMax) continue;
+
+    for (const relation of noeudsParId.get(beneficiaireId)?.relations_suivantes || []) {
+      const suivantId = relation.beneficiaire_cible_id;
+      if (visites.has(suivantId) || !noeudsParId.has(suivantId)) continue;
+
+      // Budget d'exploration : les chemins déjà en file (les plus courts) sont encore examinés
+      if (file.length >= maxExplorations) {
+        tronque = true;
+        break;
+      }
+
+      file.push({
+        beneficiaireId: suivantId,
+        etapes: [...etapes, {
+          type: 'beneficiaire_relation',
+          relation_id: relation.id,
+          de: referenceBeneficiaire(beneficiaireId),
+          vers: referenceBeneficiaire(suivantId),
+          texte: relation.description_relation || 'Participation financière',
+          type_relation: relation.type_relation,
+          pourcentage_participation: relation.pourcentage_participation ?? null
+        }],
+        visites: new Set([...visites, suivantId])
+      });
+    }
+  }
+
+  return { chemins, tronque };
+}
+
+/**
+ * Construit la chaîne triée et enrichie (marques directes / indirectes, participation effective)
+ * à partir des liaisons d'une marque
+ * @param {Object} supabase - Client Supabase
+ * @param {Array} liaisons - Liaisons Marque_beneficiaire de la marque
+ * @param {number} marqueId - ID de la marque (exclue des marques liées)
+ * @param {number} profondeurMax - Profondeur maximale de la chaîne
+ * @param {Object} options - { filtreTypes: relations suivies, en aval comme pour les marques liées ; version: format de marques_indirectes (versionApi.js) ; noeudsMax: budget de nœuds }
+ * @returns {Object} { chaine: nœuds triés par niveau puis par nom, troncature: { truncated, reason, frontier_ids } }
+ */
+export async function construireChaine(supabase, liaisons, marqueId, profondeurMax = PROFONDEUR_MAX_DEFAUT, { filtreTypes = null, version = 1, noeudsMax = NOEUDS_MAX_DEFAUT } = {}) {
+  const { noeuds, troncature: troncatureParcours } = await parcourirChaineAval(supabase, liaisons, profondeurMax, { filtreTypes, noeudsMax });
+
+  // Trier par niveau puis par nom
+  noeuds.sort((a, b) => {
+    if (a.niveau !== b.niveau) return a.niveau - b.niveau;
+    return a.beneficiaire.nom.localeCompare(b.beneficiaire.nom);
+  });
+
+  if (noeuds.length === 0) {
+    return { chaine: noeuds, troncature: troncatureParcours };
+  }
+
+  // Participation effective de la marque dans chaque nœud, sur les relations de la chaîne
+  const idsChaine = new Set(noeuds.map(node => node.beneficiaire.id));
+  const relationsParSource = new Map(noeuds.map(node => [
+    node.beneficiaire.id,
+    node.relations_suivantes.filter(relation => idsChaine.has(relation.beneficiaire_cible_id))
+  ]));
+  const participations = calculerParticipationsEffectives(
+    liaisons.filter(liaison => idsChaine.has(liaison.beneficiaire_id)),
+    relationsParSource,
+    { profondeurMax }
+  );
+
+  // Enrichir avec les marques liées : un seul graphe amont et un seul budget de chemins pour toute la chaîne
+  const graphe = await chargerGrapheAmont(supabase, noeuds.map(node => node.beneficiaire.id), profondeurMax, { filtreTypes });
+  const budgetChemins = creerBudgetChemins();
+
+  const chaine = noeuds.map(node => ({
+    ...node,
+    participation_effective: participations.get(node.beneficiaire.id) || null,
+    marques_directes: marquesDirectesBeneficiaire(graphe, node.beneficiaire.id, marqueId),
+    marques_indirectes: version === 2
+      ? construireArbreMarquesIndirectes(graphe, node.beneficiaire.id, marqueId, profondeurMax, budgetChemins)
+      : calculerMarquesTransitives(graphe, node.beneficiaire.id, marqueId, new Set(), profondeurMax, budgetChemins).marquesIndirectes
+  }));
+
+  return { chaine, troncature: troncatureAvecChemins(troncatureParcours, budgetChemins) };
+}
+
+// Fonction pour construire la chaîne complète de bénéficiaires pour une marque
+// options.version : format de marques_indirectes (1 historique, 2 arbre) ; options.noeudsMax : budget de nœuds
+export async function construireChaineCompletePourMarque(supabase, marqueId, profondeurMax = PROFONDEUR_MAX_DEFAUT, { version = 1, noeudsMax = NOEUDS_MAX_DEFAUT } = {}) {
+  // Récupérer les bénéficiaires directs de cette marque (erreur remontée : pas de chaîne vide trompeuse)
+  const { data: liaisonsBeneficiaires, error: liaisonsError } = await requeteAvecColonnesOptionnelles(colonnes => supabase
+    .from('Marque_beneficiaire')
+    .select(selectAvecColonnes(`
+      beneficiaire_id,
+      lien_financier,
+      impact_specifique
+    `, colonnes))
+    .eq('marque_id', parseInt(marqueId)), COLONNES_PARTICIPATION_LIAISON);
+
+  if (liaisonsError) throw liaisonsError;
+
+  if (!liaisonsBeneficiaires || liaisonsBeneficiaires.length === 0) {
+    return {
+      chaine_beneficiaires: [],
+      total_beneficiaires_chaine: 0,
+      profondeur_max_chaine: 0,
+      troncature_chaine: troncature()
+    };
+  }
+
+  const { chaine, troncature: troncatureChaine } = await construireChaine(
+    supabase,
+    liaisonsBeneficiaires,
+    parseInt(marqueId),
+    profondeurMax,
+    { version, noeudsMax }
+  );
+
+  return {
+    chaine_beneficiaires: chaine,
+    total_beneficiaires_chaine: chaine.length,
+    profondeur_max_chaine: chaine.length > 0 ? Math.max(...chaine.map(node => node.niveau)) : 0,
+    // Chaîne coupée par le budget de parcours : frontier_ids à charger avec un budget plus large
+    troncature_chaine: troncatureChaine
+  };
+}
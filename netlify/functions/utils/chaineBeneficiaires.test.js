@@ -0,0 +1,409 @@
+import {
+  analyserBudgetParcours,
+  calculerMarquesTransitives,
+  calculerParticipationsEffectives,
+  construireArbreMarquesIndirectes,
+  creerBudgetChemins,
+  enumererChemins,
+  parcourirChaineAval,
+  parcourirGrapheEnMemoire,
+  produitParticipations,
+  requeteAvecColonnesOptionnelles,
+  selectAvecColonnes,
+  troncature,
+  troncatureAvecChemins
+} from './chaineBeneficiaires.js';
+
+// Client Supabase en mémoire : from(table).select(...).in(colonne, ids), seule forme de requête du parcours aval
+function clientEnMemoire(tables) {
+  const requetes = [];
+  return {
+    requetes,
+    from: table => ({
+      select: () => ({
+        in: (colonne, ids) => {
+          requetes.push(table);
+          return Promise.resolve({ data: (tables[table] || []).filter(ligne => ids.includes(ligne[colonne])), error: null });
+        }
+      })
+    })
+  };
+}
+
+const beneficiaires = [1, 2, 3, 4, 5].map(id => ({ id, nom: `B${id}`, controverses: [] }));
+const relation = (id, source, cible, description = null) => ({
+  id,
+  beneficiaire_source_id: source,
+  beneficiaire_cible_id: cible,
+  description_relation: description
+});
+
+const tables = {
+  Beneficiaires: beneficiaires,
+  beneficiaire_relation: [
+    relation(1, 1, 3, 'r13'),
+    relation(2, 2, 3, 'r23'),
+    relation(3, 3, 4),
+    relation(4, 4, 1, 'cycle'),
+    relation(5, 3, 99, 'introuvable')
+  ]
+};
+
+const liaisons = [
+  { beneficiaire_id: 1, lien_financier: 'Actionnaire' },
+  { beneficiaire_id: 2, lien_financier: null },
+  { beneficiaire_id: 1, lien_financier: 'Doublon' }
+];
+
+describe('parcourirChaineAval', () => {
+  test('un niveau par profondeur, chaque bénéficiaire à son niveau le plus proche', async () => {
+    const { noeuds, troncature } = await parcourirChaineAval(clientEnMemoire(tables), liaisons);
+
+    expect(noeuds.map(node => [node.beneficiaire.id, node.niveau, node.lien_financier])).toEqual([
+      [1, 0, 'Actionnaire'],
+      [2, 0, 'Lien financier direct'],
+      [3, 1, 'r13'],
+      [4, 2, 'Participation financière']
+    ]);
+    expect(troncature).toEqual({ truncated: false, reason: null, frontier_ids: [] });
+  });
+
+  test('deux requêtes par niveau, quel que soit le nombre de bénéficiaires', async () => {
+    const client = clientEnMemoire(tables);
+    await parcourirChaineAval(client, liaisons);
+
+    // Niveaux 0 à 2 (le bénéficiaire 99, introuvable, est demandé avec le niveau 2)
+    expect(client.requetes).toHaveLength(6);
+  });
+
+  test('relations suivantes rattachées à leur source', async () => {
+    const { noeuds } = await parcourirChaineAval(clientEnMemoire(tables), liaisons);
+    const noeud3 = noeuds.find(node => node.beneficiaire.id === 3);
+
+    expect(noeud3.relations_suivantes.map(r => r.beneficiaire_cible_id)).toEqual([4, 99]);
+  });
+
+  test('bénéficiaire introuvable : branche ignorée', async () => {
+    const { noeuds } = await parcourirChaineAval(clientEnMemoire(tables), [{ beneficiaire_id: 99 }]);
+    expect(noeuds).toEqual([]);
+  });
+
+  test('sans liaison : chaîne vide, aucune requête', async () => {
+    const client = clientEnMemoire(tables);
+    const { noeuds } = await parcourirChaineAval(client, []);
+
+    expect(noeuds).toEqual([]);
+    expect(client.requetes).toEqual([]);
+  });
+});
+
+describe('analyserBudgetParcours', () => {
+  test('valeurs par défaut', () => {
+    expect(analyserBudgetParcours()).toEqual({ budget: { profondeurMax: 5, noeudsMax: 500 } });
+  });
+
+  test('bornes incluses', () => {
+    expect(analyserBudgetParcours({ profondeur: '10', maxNoeuds: '2000' })).toEqual({ budget: { profondeurMax: 10, noeudsMax: 2000 } });
+  });
+
+  test('hors bornes ou non entier : erreur', () => {
+    expect(analyserBudgetParcours({ profondeur: '0' }).erreur).toBeDefined();
+    expect(analyserBudgetParcours({ profondeur: '11' }).erreur).toBeDefined();
+    expect(analyserBudgetParcours({ maxNoeuds: '1.5' }).erreur).toBeDefined();
+    expect(analyserBudgetParcours({ maxNoeuds: 'abc' }).erreur).toBeDefined();
+  });
+});
+
+describe('troncature', () => {
+  test('parcours complet', () => {
+    expect(troncature()).toEqual({ truncated: false, reason: null, frontier_ids: [] });
+  });
+
+  test('frontière itérable convertie en tableau', () => {
+    expect(troncature('noeuds_max', new Set([4, 2]))).toEqual({ truncated: true, reason: 'noeuds_max', frontier_ids: [4, 2] });
+  });
+});
+
+describe('budget de parcours', () => {
+  const relationsParSource = new Map();
+  for (const r of tables.beneficiaire_relation) {
+    relationsParSource.set(r.beneficiaire_source_id, [...(relationsParSource.get(r.beneficiaire_source_id) || []), r]);
+  }
+
+  test.each([
+    [{ profondeurMax: 1 }, [1, 2], { truncated: true, reason: 'profondeur_max', frontier_ids: [3] }],
+    [{ profondeurMax: 1, noeudsMax: 1 }, [1], { truncated: true, reason: 'noeuds_max', frontier_ids: [2, 3] }],
+    [{ profondeurMax: 5, noeudsMax: 3 }, [1, 2, 3], { truncated: true, reason: 'noeuds_max', frontier_ids: [4, 99] }]
+  ])('même troncature en base et en mémoire (%j)', async ({ profondeurMax, noeudsMax = 500 }, ids, attendue) => {
+    const aval = await parcourirChaineAval(clientEnMemoire(tables), liaisons, profondeurMax, { noeudsMax });
+    const memoire = parcourirGrapheEnMemoire(liaisons, relationsParSource, { profondeurMax, noeudsMax });
+
+    expect(aval.noeuds.map(node => node.beneficiaire.id)).toEqual(ids);
+    expect(aval.troncature).toEqual(attendue);
+    expect(Array.from(memoire.niveaux.keys())).toEqual(ids);
+    expect(memoire.troncature).toEqual(attendue);
+  });
+});
+
+describe('budget des chemins amont', () => {
+  // B1 ← B2 ← B3, B1 ← B3 : marques M2 (B2) et M3 (B3)
+  const graphe = {
+    relationsEntrantes: new Map([
+      [1, [{ id: 12, source_id: 2, source_nom: 'B2' }, { id: 13, source_id: 3, source_nom: 'B3' }]],
+      [2, [{ id: 23, source_id: 3, source_nom: 'B3' }]]
+    ]),
+    marquesParBeneficiaire: new Map([
+      [2, [{ id: 20, nom: 'M2' }]],
+      [3, [{ id: 30, nom: 'M3' }]]
+    ])
+  };
+
+  test('budget suffisant : tous les chemins, aucune coupe', () => {
+    const budget = creerBudgetChemins();
+    const { marquesIndirectes } = calculerMarquesTransitives(graphe, 1, null, new Set(), 5, budget);
+
+    expect(marquesIndirectes).toEqual({
+      B2: [{ id: 20, nom: 'M2' }],
+      'B2 → B3': [{ id: 30, nom: 'M3' }],
+      B3: [{ id: 30, nom: 'M3' }]
+    });
+    expect(budget).toEqual({ restant: 19997, coupes: new Set() });
+  });
+
+  test('budget épuisé : exploration arrêtée, bénéficiaires coupés', () => {
+    const budget = creerBudgetChemins(1);
+    const { marquesIndirectes } = calculerMarquesTransitives(graphe, 1, null, new Set(), 5, budget);
+
+    expect(marquesIndirectes).toEqual({ B2: [{ id: 20, nom: 'M2' }] });
+    expect(Array.from(budget.coupes)).toEqual([2, 1]);
+  });
+
+  test('arbre v2 : même budget', () => {
+    const budget = creerBudgetChemins(2);
+    const arbre = construireArbreMarquesIndirectes(graphe, 1, null, 5, budget);
+
+    expect(arbre.map(noeud => [noeud.beneficiaire.id, noeud.marques_indirectes.length])).toEqual([[2, 1]]);
+    expect(Array.from(budget.coupes)).toEqual([1]);
+  });
+
+  test('troncature chemins_max, sauf si le parcours est déjà coupé', () => {
+    const epuise = creerBudgetChemins(0);
+    calculerMarquesTransitives(graphe, 1, null, new Set(), 5, epuise);
+
+    expect(troncatureAvecChemins(troncature(), creerBudgetChemins(), epuise)).toEqual({
+      truncated: true,
+      reason: 'chemins_max',
+      frontier_ids: [1]
+    });
+    expect(troncatureAvecChemins(troncature('profondeur_max', [7]), epuise).reason).toBe('profondeur_max');
+    expect(troncatureAvecChemins(troncature(), creerBudgetChemins())).toEqual(troncature());
+  });
+});
+
+describe('produitParticipations', () => {
+  test('produit des pourcentages, arrondi au centième', () => {
+    expect(produitParticipations([50, 40])).toBe(20);
+    expect(produitParticipations([33.333, 50])).toBe(16.67);
+    expect(produitParticipations([])).toBe(100);
+  });
+
+  test('colonnes numeric renvoyées en chaîne', () => {
+    expect(produitParticipations(['50', '40'])).toBe(20);
+  });
+
+  test('pourcentage manquant ou hors 0-100 : null', () => {
+    expect(produitParticipations([50, null])).toBeNull();
+    expect(produitParticipations([50, ''])).toBeNull();
+    expect(produitParticipations([150])).toBeNull();
+  });
+});
+
+describe('calculerParticipationsEffectives', () => {
+  // Marque → B1 (60 %) → B3 (50 %) → B4 (non renseigné), marque → B2 (40 %) → B3 (25 %)
+  const liaisonsParticipation = [
+    { beneficiaire_id: 1, pourcentage_participation: 60 },
+    { beneficiaire_id: 2, pourcentage_participation: '40' }
+  ];
+  const relationsParticipation = new Map([
+    [1, [{ beneficiaire_cible_id: 3, pourcentage_participation: 50 }]],
+    [2, [{ beneficiaire_cible_id: 3, pourcentage_participation: 25 }]],
+    [3, [{ beneficiaire_cible_id: 4, pourcentage_participation: null }]]
+  ]);
+
+  test('somme des chemins simples, chemins sans pourcentage comptés à part', () => {
+    const participations = calculerParticipationsEffectives(liaisonsParticipation, relationsParticipation);
+
+    expect(Object.fromEntries(participations)).toEqual({
+      1: { pourcentage: 60, complet: true, nb_chemins: 1, chemins_sans_pourcentage: 0 },
+      2: { pourcentage: 40, complet: true, nb_chemins: 1, chemins_sans_pourcentage: 0 },
+      3: { pourcentage: 40, complet: true, nb_chemins: 2, chemins_sans_pourcentage: 0 },
+      4: { pourcentage: null, complet: false, nb_chemins: 2, chemins_sans_pourcentage: 2 }
+    });
+  });
+
+  test('cycle : un chemin ne repasse pas par un bénéficiaire', () => {
+    const participations = calculerParticipationsEffectives(
+      [{ beneficiaire_id: 1, pourcentage_participation: 50 }],
+      new Map([[1, [{ beneficiaire_cible_id: 2, pourcentage_participation: 50 }]], [2, [{ beneficiaire_cible_id: 1, pourcentage_participation: 50 }]]])
+    );
+
+    expect(participations.get(1)).toMatchObject({ pourcentage: 50, nb_chemins: 1 });
+    expect(participations.get(2)).toMatchObject({ pourcentage: 25, nb_chemins: 1 });
+  });
+
+  test('profondeur maximale : bénéficiaires par chemin', () => {
+    const participations = calculerParticipationsEffectives(liaisonsParticipation, relationsParticipation, { profondeurMax: 1 });
+    expect(Array.from(participations.keys())).toEqual([1, 2]);
+  });
+
+  test('énumération interrompue : résultats incomplets', () => {
+    const participations = calculerParticipationsEffectives(liaisonsParticipation, relationsParticipation, { maxChemins: 2 });
+
+    expect(participations.get(1)).toEqual({ pourcentage: 60, complet: false, nb_chemins: 1, chemins_sans_pourcentage: 0 });
+    expect(participations.get(3).complet).toBe(false);
+  });
+
+  test('somme plafonnée à 100 %', () => {
+    const participations = calculerParticipationsEffectives(
+      [{ beneficiaire_id: 1, pourcentage_participation: 80 }, { beneficiaire_id: 2, pourcentage_participation: 80 }],
+      new Map([[1, [{ beneficiaire_cible_id: 3, pourcentage_participation: 100 }]], [2, [{ beneficiaire_cible_id: 3, pourcentage_participation: 100 }]]])
+    );
+    expect(participations.get(3).pourcentage).toBe(100);
+  });
+});
+
+describe('colonnes de participation optionnelles', () => {
+  const avertir = console.warn;
+  beforeEach(() => { console.warn = () => {}; });
+  afterEach(() => { console.warn = avertir; });
+
+  const colonneAbsente = { code: '42703', message: 'column beneficiaire_relation.pourcentage_participation does not exist' };
+
+  test('select complété par les colonnes', () => {
+    expect(selectAvecColonnes('\n  id,\n  nom\n', ['pourcentage_participation', 'nature_lien']))
+      .toBe('id,\n  nom, pourcentage_participation, nature_lien');
+  });
+
+  test('colonne absente : requête rejouée sans les colonnes', async () => {
+    const appels = [];
+    const resultat = await requeteAvecColonnesOptionnelles(colonnes => {
+      appels.push(colonnes);
+      return Promise.resolve(colonnes.length > 0 ? { data: null, error: colonneAbsente } : { data: [{ id: 1 }], error: null });
+    }, ['pourcentage_participation']);
+
+    expect(appels).toEqual([['pourcentage_participation'], []]);
+    expect(resultat).toEqual({ data: [{ id: 1 }], error: null });
+  });
+
+  test('autre erreur : renvoyée telle quelle, sans nouvel essai', async () => {
+    const appels = [];
+    const erreur = { code: '42P01', message: 'relation "beneficiaire_relation" does not exist' };
+    const resultat = await requeteAvecColonnesOptionnelles(colonnes => {
+      appels.push(colonnes);
+      return Promise.resolve({ data: null, error: erreur });
+    }, ['pourcentage_participation']);
+
+    expect(appels).toHaveLength(1);
+    expect(resultat.error).toBe(erreur);
+  });
+
+  test('parcours aval sans la migration : pourcentages null', async () => {
+    const client = {
+      from: table => ({
+        select: select => ({
+          in: (colonne, ids) => Promise.resolve(table === 'beneficiaire_relation' && select.includes('pourcentage_participation')
+            ? { data: null, error: colonneAbsente }
+            : { data: (tables[table] || []).filter(ligne => ids.includes(ligne[colonne])), error: null })
+        })
+      })
+    };
+    const { noeuds } = await parcourirChaineAval(client, liaisons);
+
+    expect(noeuds.map(node => node.beneficiaire.id)).toEqual([1, 2, 3, 4]);
+    expect(noeuds[0].relations_suivantes[0].pourcentage_participation).toBeNull();
+  });
+});
+
+describe('enumererChemins', () => {
+  // Marque M → B1 (60 %) → B3 (50 %), M → B2 (40 %) → B3 (25 %), B1 → B2 (10 %)
+  const marque = { id: 10, nom: 'M' };
+  const liaisonsChemins = [
+    { id: 101, beneficiaire_id: 1, lien_financier: 'Filiale', pourcentage_participation: 60 },
+    { id: 102, beneficiaire_id: 2, lien_financier: null, pourcentage_participation: 40 }
+  ];
+  const noeudsChemins = [
+    { beneficiaire: { id: 1, nom: 'B1' }, relations_suivantes: [
+      { id: 13, beneficiaire_cible_id: 3, description_relation: 'Holding', type_relation: 'actionnaire', pourcentage_participation: 50 },
+      { id: 12, beneficiaire_cible_id: 2, description_relation: null, type_relation: null, pourcentage_participation: 10 }
+    ] },
+    { beneficiaire: { id: 2, nom: 'B2' }, relations_suivantes: [
+      { id: 23, beneficiaire_cible_id: 3, description_relation: null, type_relation: null, pourcentage_participation: 25 },
+      { id: 21, beneficiaire_cible_id: 1, description_relation: null, type_relation: null, pourcentage_participation: 5 }
+    ] },
+    { beneficiaire: { id: 3, nom: 'B3' }, relations_suivantes: [] }
+  ];
+
+  test('tous les chemins simples, les plus courts d\'abord', () => {
+    const { chemins, tronque } = enumererChemins(marque, liaisonsChemins, noeudsChemins, 3);
+
+    expect(tronque).toBe(false);
+    expect(chemins.map(chemin => chemin.etapes.map(etape => etape.relation_id))).toEqual([
+      [101, 13],
+      [102, 23],
+      [101, 12, 23],
+      [102, 21, 13]
+    ]);
+    expect(chemins.map(chemin => chemin.longueur)).toEqual([2, 2, 3, 3]);
+    expect(chemins.map(chemin => chemin.participation_effective)).toEqual([30, 10, 1.5, 1]);
+  });
+
+  test('structure des étapes', () => {
+    const [premier, second] = enumererChemins(marque, liaisonsChemins, noeudsChemins, 3).chemins;
+
+    expect(premier.etapes).toEqual([
+      {
+        type: 'marque_beneficiaire',
+        relation_id: 101,
+        de: { type: 'marque', id: 10, nom: 'M' },
+        vers: { type: 'beneficiaire', id: 1, nom: 'B1' },
+        texte: 'Filiale',
+        pourcentage_participation: 60
+      },
+      {
+        type: 'beneficiaire_relation',
+        relation_id: 13,
+        de: { type: 'beneficiaire', id: 1, nom: 'B1' },
+        vers: { type: 'beneficiaire', id: 3, nom: 'B3' },
+        texte: 'Holding',
+        type_relation: 'actionnaire',
+        pourcentage_participation: 50
+      }
+    ]);
+    expect(second.etapes.map(etape => etape.texte)).toEqual(['Lien financier direct', 'Participation financière']);
+  });
+
+  test('profondeur maximale : chemins plus longs ignorés sans troncature', () => {
+    const { chemins, tronque } = enumererChemins(marque, liaisonsChemins, noeudsChemins, 3, { profondeurMax: 2 });
+
+    expect(chemins).toHaveLength(2);
+    expect(tronque).toBe(false);
+  });
+
+  test('nombre maximal de chemins atteint : tronqué', () => {
+    const { chemins, tronque } = enumererChemins(marque, liaisonsChemins, noeudsChemins, 3, { maxChemins: 1 });
+
+    expect(chemins.map(chemin => chemin.longueur)).toEqual([2]);
+    expect(tronque).toBe(true);
+  });
+
+  test('budget d\'exploration épuisé : chemins déjà en file examinés, tronqué', () => {
+    const { chemins, tronque } = enumererChemins(marque, liaisonsChemins, noeudsChemins, 3, { maxExplorations: 3 });
+
+    expect(chemins.map(chemin => chemin.etapes.map(etape => etape.relation_id))).toEqual([[101, 13]]);
+    expect(tronque).toBe(true);
+  });
+
+  test('cible absente du graphe : aucun chemin', () => {
+    expect(enumererChemins(marque, liaisonsChemins, noeudsChemins, 99)).toEqual({ chemins: [], tronque: false });
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Encodage JSON compact par déduplication des clés
+ * Utilisé par brands-full.js (`?format=compact`)
+ *
+ * Chaque objet est remplacé par un tableau `[shapeId, ...valeurs]` où `shapeId` (≥ 1)
+ * référence la liste de ses clés dans `shapes`. Les tableaux deviennent `[0, ...éléments]`.
+ * Les clés répétées des milliers de fois (id, nom, titre...) ne sont transmises qu'une fois.
+ */
+
+export const FORMAT_COMPACT = 'odm-compact';
+export const VERSION_FORMAT_COMPACT = 1;
+
+const MARQUEUR_TABLEAU = 0;
+
+/**
+ * Encode une valeur JSON au format compact
+ * @param {*} valeur - Valeur sérialisable en JSON
+ * @returns {Object} { format, v, shapes, data }
+ */
+export function encoderCompact(valeur) {
+  const shapes = [];
+  const indexShapes = new Map();
+
+  const encoder = (v) => {
+    if (Array.isArray(v)) {
+      return [MARQUEUR_TABLEAU, ...v.map(encoder)];
+    }
+    if (v === null || typeof v !== 'object') {
+      return v;
+    }
+
+    const cles = Object.keys(v).filter(cle => v[cle] !== undefined);
+    const signature = cles.join('\u0000');
+    let shapeId = indexShapes.get(signature);
+    if (!shapeId) {
+      shapes.push(cles);
+      shapeId = shapes.length;
+      indexShapes.set(signature, shapeId);
+    }
+
+    return [shapeId, ...cles.map(cle => encoder(v[cle]))];
+  };
+
+  const data = encoder(valeur);
+
+  return {
+    format: FORMAT_COMPACT,
+    v: VERSION_FORMAT_COMPACT,
+    shapes,
+    data
+  };
+}
+
+/**
+ * Décode un payload compact (implémentation de référence pour les clients)
+ * @param {Object} payload - Résultat de encoderCompact
+ * @returns {*} Valeur JSON d'origine
+ */
+export function decoderCompact(payload) {
+  const { shapes, data } = payload;
+
+  const decoder = (v) => {
+    if (!Array.isArray(v)) {
+      return v;
+    }
+
+    const [marqueur, ...elements] = v;
+    if (marqueur === MARQUEUR_TABLEAU) {
+      return elements.map(decoder);
+    }
+
+    const cles = shapes[marqueur - 1];
+    const objet = {};
+    cles.forEach((cle, index) => {
+      objet[cle] = decoder(elements[index]);
+    });
+    return objet;
+  };
+
+  return decoder(data);
+}
@@ -0,0 +1,47 @@
+import { decoderCompact, encoderCompact, FORMAT_COMPACT, VERSION_FORMAT_COMPACT } from './compactJson.js';
+
+describe('encoderCompact', () => {
+  test('clés dédupliquées : une forme par jeu de clés', () => {
+    expect(encoderCompact([{ id: 1, nom: 'A' }, { id: 2, nom: 'B' }, { id: 3 }])).toEqual({
+      format: FORMAT_COMPACT,
+      v: VERSION_FORMAT_COMPACT,
+      shapes: [['id', 'nom'], ['id']],
+      data: [0, [1, 1, 'A'], [1, 2, 'B'], [2, 3]]
+    });
+  });
+
+  test('l\'ordre des clés distingue les formes', () => {
+    expect(encoderCompact([{ a: 1, b: 2 }, { b: 2, a: 1 }]).shapes).toEqual([['a', 'b'], ['b', 'a']]);
+  });
+
+  test('valeurs undefined omises, comme JSON.stringify', () => {
+    expect(encoderCompact({ a: 1, b: undefined })).toMatchObject({ shapes: [['a']], data: [1, 1] });
+  });
+});
+
+describe('decoderCompact', () => {
+  const cas = [
+    null,
+    'texte',
+    42,
+    [],
+    {},
+    [[], [[1, 2]], [{}]],
+    { brands: [{ id: 1, nom: 'A', secteur_marque: null, evenements: [{ id: 9, categorie: { id: 1, ordre: 2 } }] }], checksum: '1-1-0' },
+    [{ id: 1, tags: [0, 1, 2] }, { id: 2, tags: [] }, { zero: 0, vide: '', faux: false }]
+  ];
+
+  test.each(cas)('decoderCompact(encoderCompact(v)) restitue v exactement (%#)', (valeur) => {
+    expect(decoderCompact(encoderCompact(valeur))).toStrictEqual(valeur);
+  });
+
+  test('aller-retour après sérialisation JSON (payload reçu par le client)', () => {
+    const valeur = { brands: [{ id: 1, nom: 'Nestlé', beneficiaires: [{ id: 2, controverses: [] }] }] };
+    const payload = JSON.parse(JSON.stringify(encoderCompact(valeur)));
+    expect(decoderCompact(payload)).toStrictEqual(valeur);
+  });
+
+  test('ordre des clés conservé', () => {
+    expect(Object.keys(decoderCompact(encoderCompact({ b: 1, a: 2 })))).toEqual(['b', 'a']);
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Module utilitaire de correspondance tolérante des noms de marques
+ * Utilisé par suggestions.js (auto-complétion) et marques-batch.js (correspondance exacte d'une liste de noms)
+ *
+ * Noms et alias normalisés (normalisation.js) : "loreal" trouve "L'Oréal", "nestel" trouve "Nestlé".
+ * Classement : exacte > prefixe > prefixe_mot > approchee (distance d'édition).
+ */
+import { recupererToutesLignes } from './chaineBeneficiaires.js';
+import { normaliserTexte } from './normalisation.js';
+
+export const TYPES_CORRESPONDANCE = ['exacte', 'prefixe', 'prefixe_mot', 'approchee'];
+
+/**
+ * Fautes tolérées selon la longueur de la requête (sans espaces)
+ * Requêtes très courtes : pas de correspondance approchée (trop de bruit)
+ */
+function toleranceFautes(longueur) {
+  if (longueur <= 3) return 0;
+  if (longueur <= 5) return 1;
+  return 2;
+}
+
+/**
+ * Distance d'édition avec transpositions (Damerau-Levenshtein restreinte)
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max - Distance au-delà de laquelle le calcul s'arrête
+ * @returns {number} Distance, ou max + 1 si elle dépasse max
+ */
+export function distanceEdition(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let avantDerniere = null;
+  let precedente = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const courante = [i];
+    let minimumLigne = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cout = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(precedente[j] + 1, courante[j - 1] + 1, precedente[j - 1] + cout);
+      if (avantDerniere && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, avantDerniere[j - 2] + 1);
+      }
+      courante.push(distance);
+      minimumLigne = Math.min(minimumLigne, distance);
+    }
+
+    if (minimumLigne > max) return max + 1;
+    avantDerniere = precedente;
+    precedente = courante;
+  }
+
+  return precedente[b.length];
+}
+
+/**
+ * Index des noms et alias normalisés
+ * @param {Array} marques - [{ id, nom }]
+ * @param {Array} alias - [{ marque_id, alias }]
+ * @returns {Array} Entrées [{ id, nom, alias (null pour le nom), cle, compacte, mots }]
+ */
+export function construireIndexNoms(marques, alias = []) {
+  const nomParId = new Map(marques.map(marque => [marque.id, marque.nom]));
+  const entrees = [];
+
+  const ajouter = (id, texte, aliasTexte) => {
+    const cle = normaliserTexte(texte);
+    if (!cle || !nomParId.has(id)) return;
+    entrees.push({
+      id,
+      nom: nomParId.get(id),
+      alias: aliasTexte,
+      cle,
+      // "l oreal" et "loreal" doivent tous deux correspondre
+      compacte: cle.replace(/ /g, ''),
+      mots: cle.split(' ')
+    });
+  };
+
+  marques.forEach(marque => ajouter(marque.id, marque.nom, null));
+  alias.forEach(ligne => ajouter(ligne.marque_id, ligne.alias, ligne.alias));
+
+  return entrees;
+}
+
+/**
+ * Index des noms et alias de toutes les marques, partagé par les requêtes d'une instance (TTL `index_noms`)
+ * Table marque_alias absente : index des seuls noms
+ * @param {Object} supabase - Client Supabase
+ * @param {Object} cache - Cache serverless de la fonction appelante
+ */
+export async function chargerIndexNomsEnCache(supabase, cache) {
+  let index = cache.get('index_noms');
+  if (index) return index;
+
+  const [marques, alias] = await Promise.all([
+    recupererToutesLignes(supabase, 'Marque', 'id, nom'),
+    recupererToutesLignes(supabase, 'marque_alias', 'id, marque_id, alias').catch((error) => {
+      console.warn('[correspondanceNoms] Table marque_alias indisponible:', error.message);
+      return [];
+    })
+  ]);
+
+  index = construireIndexNoms(marques, alias);
+  cache.set('index_noms', index);
+  return index;
+}
+
+/**
+ * Correspondance d'une entrée de l'index avec la requête normalisée
+ * @returns {Object|null} { type, distance }
+ */
+function correspondre(entree, requete, requeteCompacte, tolerance) {
+  if (entree.cle === requete || entree.compacte === requeteCompacte) return { type: 'exacte', distance: 0 };
+  if (entree.cle.startsWith(requete) || entree.compacte.startsWith(requeteCompacte)) return { type: 'prefixe', distance: 0 };
+  if (` ${entree.cle}`.includes(` ${requete}`)) return { type: 'prefixe_mot', distance: 0 };
+  if (tolerance === 0) return null;
+
+  // Nom complet, chacun de ses mots, ou son début (saisie en cours) à quelques fautes près
+  const candidats = [entree.compacte, entree.compacte.slice(0, requeteCompacte.length), ...entree.mots];
+  const distance = Math.min(...candidats.map(candidat => distanceEdition(requeteCompacte, candidat, tolerance)));
+
+  return distance <= tolerance ? { type: 'approchee', distance } : null;
+}
+
+/**
+ * Suggestions classées pour une requête
+ * @param {Array} index - Entrées de construireIndexNoms
+ * @param {string} texte - Requête utilisateur
+ * @param {number} limite - Nombre maximal de suggestions
+ * @returns {Array} [{ id, nom, type_correspondance, alias? }], une seule fois par marque
+ */
+export function classerSuggestions(index, texte, limite) {
+  const requete = normaliserTexte(texte);
+  if (!requete) return [];
+
+  const requeteCompacte = requete.replace(/ /g, '');
+  const tolerance = toleranceFautes(requeteCompacte.length);
+  const meilleures = new Map();
+
+  const comparer = (a, b) =>
+    TYPES_CORRESPONDANCE.indexOf(a.type) - TYPES_CORRESPONDANCE.indexOf(b.type) ||
+    a.distance - b.distance ||
+    // À égalité, le nom de la marque passe avant un alias, puis les noms courts d'abord
+    Number(a.entree.alias !== null) - Number(b.entree.alias !== null) ||
+    a.entree.nom.length - b.entree.nom.length ||
+    a.entree.nom.localeCompare(b.entree.nom, 'fr');
+
+  for (const entree of index) {
+    const correspondance = correspondre(entree, requete, requeteCompacte, tolerance);
+    if (!correspondance) continue;
+
+    const candidat = { ...correspondance, entree };
+    const actuel = meilleures.get(entree.id);
+    if (!actuel || comparer(candidat, actuel) < 0) meilleures.set(entree.id, candidat);
+  }
+
+  return Array.from(meilleures.values())
+    .sort(comparer)
+    .slice(0, limite)
+    .map(({ type, entree }) => ({
+      id: entree.id,
+      nom: entree.nom,
+      type_correspondance: type,
+      ...(entree.alias !== null && { alias: entree.alias })
+    }));
+}
+
+/**
+ * Marque dont le nom ou un alias correspond exactement au texte (après normalisation)
+ * À égalité, le nom d'une marque passe avant un alias, puis l'ID le plus petit
+ * @param {Array} index - Entrées de construireIndexNoms
+ * @param {string} texte - Nom cherché
+ * @returns {Object|null} { id, nom, alias (null si le nom correspond) }
+ */
+export function correspondanceExacte(index, texte) {
+  const requete = normaliserTexte(texte);
+  if (!requete) return null;
+
+  const requeteCompacte = requete.replace(/ /g, '');
+  const meilleure = index
+    .filter(entree => entree.cle === requete || entree.compacte === requeteCompacte)
+    .sort((a, b) => Number(a.alias !== null) - Number(b.alias !== null) || a.id - b.id)[0];
+
+  return meilleure ? { id: meilleure.id, nom: meilleure.nom, alias: meilleure.alias } : null;
+}
@@ -0,0 +1,93 @@
+import { classerSuggestions, construireIndexNoms, correspondanceExacte, distanceEdition } from './correspondanceNoms.js';
+
+const index = construireIndexNoms(
+  [
+    { id: 1, nom: 'L\'Oréal' },
+    { id: 2, nom: 'Nestlé' },
+    { id: 3, nom: 'Nestlé Waters' },
+    { id: 4, nom: 'Café Royal' },
+    { id: 5, nom: 'Nespresso' }
+  ],
+  [
+    { marque_id: 5, alias: 'Nestle Nespresso' },
+    { marque_id: 99, alias: 'Marque inconnue' }
+  ]
+);
+
+describe('distanceEdition', () => {
+  test('insertions, suppressions et substitutions', () => {
+    expect(distanceEdition('nestle', 'nestle', 2)).toBe(0);
+    expect(distanceEdition('nestl', 'nestle', 2)).toBe(1);
+    expect(distanceEdition('nostle', 'nestle', 2)).toBe(1);
+  });
+
+  test('une transposition compte pour une faute', () => {
+    expect(distanceEdition('nestel', 'nestle', 2)).toBe(1);
+  });
+
+  test('au-delà du maximum : max + 1', () => {
+    expect(distanceEdition('abc', 'xyz', 1)).toBe(2);
+    expect(distanceEdition('a', 'abcdef', 2)).toBe(3);
+  });
+});
+
+describe('construireIndexNoms', () => {
+  test('clé normalisée, forme compacte et mots', () => {
+    expect(index[0]).toEqual({ id: 1, nom: 'L\'Oréal', alias: null, cle: 'l oreal', compacte: 'loreal', mots: ['l', 'oreal'] });
+  });
+
+  test('ignore les alias de marques inconnues', () => {
+    expect(index.filter(entree => entree.alias !== null).map(entree => entree.id)).toEqual([5]);
+  });
+});
+
+describe('classerSuggestions', () => {
+  const suggestions = (texte, limite = 10) => classerSuggestions(index, texte, limite);
+
+  test('accents, casse et ponctuation ignorés', () => {
+    expect(suggestions('LOREAL')[0]).toEqual({ id: 1, nom: 'L\'Oréal', type_correspondance: 'exacte' });
+    expect(suggestions('l oreal')[0].id).toBe(1);
+  });
+
+  test('exacte, puis préfixe, puis préfixe de mot', () => {
+    expect(suggestions('nestle').map(s => [s.id, s.type_correspondance])).toEqual([
+      [2, 'exacte'],
+      [3, 'prefixe'],
+      [5, 'prefixe']
+    ]);
+    expect(suggestions('royal')).toEqual([{ id: 4, nom: 'Café Royal', type_correspondance: 'prefixe_mot' }]);
+  });
+
+  test('une correspondance par alias le signale', () => {
+    expect(suggestions('nestle nesp')).toEqual([
+      { id: 5, nom: 'Nespresso', type_correspondance: 'prefixe', alias: 'Nestle Nespresso' }
+    ]);
+  });
+
+  test('fautes de frappe tolérées selon la longueur', () => {
+    expect(suggestions('nestel')[0]).toMatchObject({ id: 2, type_correspondance: 'approchee' });
+    expect(suggestions('nez')).toEqual([]);
+  });
+
+  test('une seule suggestion par marque, dans la limite', () => {
+    const ids = suggestions('nes').map(s => s.id);
+    expect(new Set(ids).size).toBe(ids.length);
+    expect(suggestions('nes', 2)).toHaveLength(2);
+  });
+
+  test('requête vide', () => {
+    expect(suggestions(' !? ')).toEqual([]);
+  });
+});
+
+describe('correspondanceExacte', () => {
+  test('nom ou alias normalisé', () => {
+    expect(correspondanceExacte(index, 'nestlé')).toEqual({ id: 2, nom: 'Nestlé', alias: null });
+    expect(correspondanceExacte(index, 'NESTLE-NESPRESSO')).toEqual({ id: 5, nom: 'Nespresso', alias: 'Nestle Nespresso' });
+  });
+
+  test('un préfixe ne suffit pas', () => {
+    expect(correspondanceExacte(index, 'nestle wat')).toBeNull();
+    expect(correspondanceExacte(index, '')).toBeNull();
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Module utilitaire pour normaliser les URLs et domaines
+ * Utilisé par match.js (correspondance URL → marque pour l'extension)
+ *
+ * Pas de Public Suffix List complète : les suffixes à deux niveaux les plus courants
+ * suffisent à calculer le domaine enregistrable (eTLD+1) des sites marchands.
+ */
+
+// Suffixes publics à deux niveaux (eTLD) les plus fréquents
+const SUFFIXES_MULTIPLES = new Set([
+  'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'me.uk', 'ltd.uk', 'plc.uk',
+  'com.au', 'net.au', 'org.au', 'co.nz', 'org.nz',
+  'co.jp', 'ne.jp', 'or.jp', 'co.kr', 'com.cn', 'com.hk', 'com.tw', 'com.sg',
+  'co.in', 'co.za', 'co.il', 'com.tr', 'com.br', 'com.mx', 'com.ar', 'com.co',
+  'com.es', 'com.pt', 'com.pl', 'com.ua', 'com.my', 'com.ph', 'com.vn',
+  'gouv.fr', 'asso.fr', 'nom.fr', 'tm.fr', 'co.at', 'or.at'
+]);
+
+const IPV4_REGEX = /^\d{1,3}(\.\d{1,3}){3}$/;
+
+/**
+ * Normalise un nom d'hôte : minuscules, sans point final ni préfixe www
+ */
+export function normaliserHote(hote) {
+  return hote
+    .toLowerCase()
+    .replace(/\.$/, '')
+    .replace(/^www\d*\./, '');
+}
+
+/**
+ * Domaine enregistrable (eTLD+1) d'un hôte normalisé
+ * @example domaineRacine('shop.nike.co.uk') // 'nike.co.uk'
+ */
+export function domaineRacine(hote) {
+  if (IPV4_REGEX.test(hote) || hote.startsWith('[')) {
+    return hote;
+  }
+
+  const labels = hote.split('.');
+  if (labels.length <= 2) {
+    return hote;
+  }
+
+  const suffixeDouble = labels.slice(-2).join('.');
+  const nbLabels = SUFFIXES_MULTIPLES.has(suffixeDouble) ? 3 : 2;
+  return labels.slice(-nbLabels).join('.');
+}
+
+/**
+ * Normalise une URL ou un domaine saisi (schéma optionnel)
+ * @param {string} url - URL complète (https://www.nike.com/fr) ou domaine nu (nike.com)
+ * @returns {Object|null} { hote, domaine_racine } ou null si l'URL est invalide
+ */
+export function normaliserUrl(url) {
+  if (typeof url !== 'string' || url.trim().length === 0) {
+    return null;
+  }
+
+  const brute = url.trim();
+  const avecSchema = /^[a-z][a-z\d+.-]*:\/\//i.test(brute) ? brute : `https://${brute}`;
+
+  let hostname;
+  try {
+    hostname = new URL(avecSchema).hostname;
+  } catch {
+    return null;
+  }
+
+  if (!hostname || !hostname.includes('.')) {
+    return null;
+  }
+
+  const hote = normaliserHote(hostname);
+  return { hote, domaine_racine: domaineRacine(hote) };
+}
+
+/**
+ * Domaines candidats du plus spécifique au domaine racine
+ * @example candidatsDomaine('fr.shop.nike.com') // ['fr.shop.nike.com', 'shop.nike.com', 'nike.com']
+ */
+export function candidatsDomaine(hote) {
+  const racine = domaineRacine(hote);
+  const candidats = [hote];
+  let courant = hote;
+
+  while (courant !== racine && courant.includes('.')) {
+    courant = courant.slice(courant.indexOf('.') + 1);
+    candidats.push(courant);
+  }
+
+  return candidats;
+}
@@ -0,0 +1,138 @@
+/**
+ * Module utilitaire pour le format de données des extensions navigateur
+ * Utilisé par brands-updates.js et brands-full.js
+ *
+ * Chaque marque est renvoyée complète (événements, catégories, secteur, bénéficiaires aplatis)
+ * pour que l'extension puisse remplacer l'entrée de son store local sans autre requête.
+ */
+
+// Sélection Supabase commune aux endpoints de synchronisation
+export const SELECT_MARQUE_EXTENSION = `
+  id,
+  nom,
+  secteur_marque_id,
+  message_boycott_tips,
+  created_at,
+  updated_at,
+  SecteurMarque!secteur_marque_id (
+    id,
+    nom,
+    message_boycott_tips
+  ),
+  Evenement!marque_id (
+    id,
+    titre,
+    description,
+    date,
+    source_url,
+    reponse,
+    condamnation_judiciaire,
+    Categorie!categorie_id (
+      id,
+      nom,
+      emoji,
+      couleur,
+      ordre
+    )
+  ),
+  Marque_beneficiaire!marque_id (
+    id,
+    beneficiaire_id,
+    lien_financier,
+    impact_specifique,
+    Beneficiaires!marque_beneficiaire_beneficiaire_id_fkey (
+      id,
+      nom,
+      type_beneficiaire,
+      impact_generique,
+      controverse_beneficiaire!beneficiaire_id (
+        id,
+        titre,
+        date,
+        source_url,
+        Categorie!controverse_beneficiaire_categorie_id_fkey (
+          id,
+          nom,
+          emoji,
+          couleur,
+          ordre
+        )
+      )
+    )
+  )
+`;
+
+/**
+ * Normalise un événement pour l'extension
+ */
+export function transformerEvenementExtension(evenement) {
+  return {
+    id: evenement.id,
+    titre: evenement.titre ?? evenement.description,
+    date: evenement.date,
+    source_url: evenement.source_url,
+    reponse: evenement.reponse,
+    condamnation_judiciaire: evenement.condamnation_judiciaire === true,
+    categorie: evenement.Categorie || null
+  };
+}
+
+/**
+ * Transforme une marque (sélection SELECT_MARQUE_EXTENSION) au format extension
+ * @param {Object} marque - Ligne Marque avec ses relations embarquées
+ * @returns {Object} Marque avec événements, catégories, secteur et bénéficiaires aplatis
+ */
+export function transformerMarqueExtension(marque) {
+  const evenements = (marque.Evenement || [])
+    .map(transformerEvenementExtension)
+    .sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+
+  // Catégories uniques des événements
+  const categoriesMap = new Map();
+  evenements.forEach(ev => {
+    if (ev.categorie && ev.categorie.id) {
+      categoriesMap.set(ev.categorie.id, ev.categorie);
+    }
+  });
+
+  // Bénéficiaires aplatis (un niveau, comme l'ancien format dirigeants_controverses)
+  const beneficiaires = (marque.Marque_beneficiaire || [])
+    .filter(liaison => liaison.Beneficiaires)
+    .map(liaison => {
+      const beneficiaire = liaison.Beneficiaires;
+      return {
+        id: liaison.id,
+        beneficiaire_id: beneficiaire.id,
+        beneficiaire_nom: beneficiaire.nom,
+        type_beneficiaire: beneficiaire.type_beneficiaire,
+        lien_financier: liaison.lien_financier,
+        impact_description: liaison.impact_specifique || beneficiaire.impact_generique || '',
+        controverses: (beneficiaire.controverse_beneficiaire || []).map(controverse => ({
+          id: controverse.id,
+          titre: controverse.titre,
+          date: controverse.date,
+          source_url: controverse.source_url,
+          categorie: controverse.Categorie || null
+        }))
+      };
+    });
+
+  return {
+    id: marque.id,
+    nom: marque.nom,
+    secteur_marque_id: marque.secteur_marque_id,
+    message_boycott_tips: marque.message_boycott_tips,
+    secteur_marque: marque.SecteurMarque ? {
+      id: marque.SecteurMarque.id,
+      nom: marque.SecteurMarque.nom,
+      message_boycott_tips: marque.SecteurMarque.message_boycott_tips
+    } : null,
+    nbControverses: evenements.length,
+    nbCondamnations: evenements.filter(ev => ev.condamnation_judiciaire).length,
+    nbBeneficiairesControverses: beneficiaires.filter(b => b.controverses.length > 0).length,
+    categories: Array.from(categoriesMap.values()),
+    evenements,
+    beneficiaires,
+    updated_at: marque.updated_at || marque.created_at || null
+  };
+}
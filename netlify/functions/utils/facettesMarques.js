@@ -0,0 +1,285 @@
+/**
+ * Module utilitaire des filtres, tris et facettes de /api/marques
+ * Utilisé par marques.js, sur la liste légère des marques (SELECT_STATS_MARQUES)
+ *
+ * Filtres d'événements (catégorie, condamnation, période) : une marque est retenue si au moins
+ * un de ses événements les vérifie tous. Chaque facette compte les marques retenues par
+ * tous les autres filtres, pour afficher « Environnement (42) » à côté de chaque valeur.
+ */
+import { categorieEvenement } from './statistiquesMarques.js';
+
+export const TRIS_MARQUES = ['alphabetique', 'evenements', 'dernier_evenement', 'score'];
+
+// Paramètres de requête qui activent le mode filtré (les autres : search, limit, offset, v, budget)
+export const PARAMETRES_FACETTES = ['secteur', 'categorie', 'condamnation', 'beneficiairesControverses', 'dateDebut', 'dateFin', 'tri', 'facettes'];
+
+const FORMAT_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * IDs séparés par des virgules (plusieurs valeurs d'une facette = OU)
+ * @returns {Array|null} IDs triés sans doublon ([] si absent), null si invalide
+ */
+function analyserListeIds(valeur) {
+  const morceaux = (valeur || '').split(',').map(morceau => morceau.trim()).filter(Boolean);
+  if (morceaux.some(morceau => !/^\d+$/.test(morceau) || Number(morceau) <= 0)) return null;
+
+  return Array.from(new Set(morceaux.map(Number))).sort((a, b) => a - b);
+}
+
+function dateValide(valeur) {
+  return FORMAT_DATE.test(valeur) && !Number.isNaN(new Date(valeur).getTime());
+}
+
+/**
+ * Le mode filtré est-il demandé ?
+ * @param {Object} parametres - Paramètres de requête
+ */
+export function filtresDemandes(parametres = {}) {
+  return PARAMETRES_FACETTES.some(nom => parametres[nom] !== undefined);
+}
+
+/**
+ * Analyse les filtres, le tri et la demande de facettes
+ * @param {Object} parametres - Paramètres de requête bruts
+ * @returns {Object} { filtres: { secteurs, categories, condamnation, beneficiairesControverses, dateDebut, dateFin }, tri, facettes } ou { erreur }
+ */
+export function analyserFiltresMarques(parametres = {}) {
+  const {
+    secteur,
+    categorie,
+    condamnation,
+    beneficiairesControverses,
+    dateDebut,
+    dateFin,
+    tri = 'alphabetique',
+    facettes
+  } = parametres;
+
+  const secteurs = analyserListeIds(secteur);
+  if (!secteurs) {
+    return { erreur: 'Le paramètre secteur doit être une liste d\'IDs de secteurs séparés par des virgules' };
+  }
+
+  const categories = analyserListeIds(categorie);
+  if (!categories) {
+    return { erreur: 'Le paramètre categorie doit être une liste d\'IDs de catégories séparés par des virgules' };
+  }
+
+  for (const [nom, valeur] of [['condamnation', condamnation], ['beneficiairesControverses', beneficiairesControverses], ['facettes', facettes]]) {
+    if (valeur !== undefined && valeur !== 'true') {
+      return { erreur: `Le paramètre ${nom} ne peut valoir que true` };
+    }
+  }
+
+  if ((dateDebut !== undefined && !dateValide(dateDebut)) || (dateFin !== undefined && !dateValide(dateFin))) {
+    return { erreur: 'Les paramètres dateDebut et dateFin doivent être des dates au format AAAA-MM-JJ' };
+  }
+
+  if (dateDebut && dateFin && dateDebut > dateFin) {
+    return { erreur: 'Le paramètre dateDebut doit précéder dateFin' };
+  }
+
+  if (!TRIS_MARQUES.includes(tri)) {
+    return { erreur: `Le paramètre tri doit valoir ${TRIS_MARQUES.join(', ')}` };
+  }
+
+  return {
+    filtres: {
+      secteurs,
+      categories,
+      condamnation: condamnation === 'true',
+      beneficiairesControverses: beneficiairesControverses === 'true',
+      dateDebut: dateDebut || null,
+      dateFin: dateFin || null
+    },
+    tri,
+    facettes: facettes === 'true'
+  };
+}
+
+/**
+ * Paramètres de cache des filtres (valeurs normalisées)
+ */
+export function cleFiltres({ filtres, tri, facettes }) {
+  return {
+    secteur: filtres.secteurs.join(','),
+    categorie: filtres.categories.join(','),
+    condamnation: filtres.condamnation,
+    beneficiairesControverses: filtres.beneficiairesControverses,
+    dateDebut: filtres.dateDebut,
+    dateFin: filtres.dateFin,
+    tri,
+    facettes
+  };
+}
+
+/**
+ * Événement retenu par les filtres d'événements, sauf la dimension ignorée
+ * @param {string|null} ignorer - 'categorie' | 'condamnation' | null
+ */
+function evenementRetenu(evenement, filtres, ignorer = null) {
+  if (ignorer !== 'categorie' && filtres.categories.length > 0 &&
+    !(evenement.categorie && filtres.categories.includes(evenement.categorie.id))) return false;
+  if (ignorer !== 'condamnation' && filtres.condamnation && !evenement.condamnation) return false;
+  if (filtres.dateDebut && !(evenement.date && evenement.date >= filtres.dateDebut)) return false;
+  if (filtres.dateFin && !(evenement.date && evenement.date <= filtres.dateFin)) return false;
+  return true;
+}
+
+function filtresEvenementsActifs(filtres, ignorer = null) {
+  return (ignorer !== 'categorie' && filtres.categories.length > 0) ||
+    (ignorer !== 'condamnation' && filtres.condamnation) ||
+    Boolean(filtres.dateDebut || filtres.dateFin);
+}
+
+/**
+ * Marque retenue par tous les filtres sauf la dimension ignorée
+ * @param {string|null} ignorer - 'secteur' | 'categorie' | 'condamnation' | 'beneficiairesControverses' | null
+ */
+function marqueRetenue(marque, filtres, ignorer = null) {
+  if (ignorer !== 'secteur' && filtres.secteurs.length > 0 && !filtres.secteurs.includes(marque.secteurId)) return false;
+  if (ignorer !== 'beneficiairesControverses' && filtres.beneficiairesControverses && !marque.aBeneficiairesControverses) return false;
+  if (filtresEvenementsActifs(filtres, ignorer) && !marque.evenements.some(e => evenementRetenu(e, filtres, ignorer))) return false;
+  return true;
+}
+
+/**
+ * Comptes par valeur de facette, chacun sans le filtre de sa propre dimension
+ */
+function compterFacettes(marques, filtres) {
+  const secteurs = new Map();
+  for (const marque of marques.filter(m => m.secteur && marqueRetenue(m, filtres, 'secteur'))) {
+    const actuel = secteurs.get(marque.secteur.id) || { id: marque.secteur.id, nom: marque.secteur.nom, count: 0 };
+    secteurs.set(marque.secteur.id, { ...actuel, count: actuel.count + 1 });
+  }
+
+  const categories = new Map();
+  for (const marque of marques.filter(m => marqueRetenue(m, filtres, 'categorie'))) {
+    const categoriesMarque = new Map(marque.evenements
+      .filter(e => e.categorie && evenementRetenu(e, filtres, 'categorie'))
+      .map(e => [e.categorie.id, e.categorie]));
+
+    for (const categorie of categoriesMarque.values()) {
+      const actuel = categories.get(categorie.id) || {
+        id: categorie.id,
+        nom: categorie.nom,
+        emoji: categorie.emoji,
+        couleur: categorie.couleur,
+        count: 0
+      };
+      categories.set(categorie.id, { ...actuel, count: actuel.count + 1 });
+    }
+  }
+
+  // Facettes booléennes : nombre de marques retenues si le filtre était activé
+  const condamnation = marques.filter(m => marqueRetenue(m, filtres, 'condamnation') &&
+    m.evenements.some(e => e.condamnation && evenementRetenu(e, filtres, 'condamnation'))).length;
+  const beneficiairesControverses = marques.filter(m => m.aBeneficiairesControverses &&
+    marqueRetenue(m, filtres, 'beneficiairesControverses')).length;
+
+  const parCompte = (a, b) => b.count - a.count || a.nom.localeCompare(b.nom, 'fr', { sensitivity: 'base' });
+
+  return {
+    secteurs: Array.from(secteurs.values()).sort(parCompte),
+    categories: Array.from(categories.values()).sort(parCompte),
+    condamnation,
+    beneficiaires_controverses: beneficiairesControverses
+  };
+}
+
+/**
+ * Comparateur du tri demandé, ordre alphabétique puis ID à égalité (ordre total pour les curseurs)
+ * - evenements : nombre d'événements retenus par les filtres d'événements (tous sans filtre), décroissant
+ * - dernier_evenement : date du dernier événement retenu, plus récent d'abord, marques sans événement en dernier
+ * - score : score de risque total (tous les événements), décroissant
+ */
+function comparateur(tri) {
+  const parNom = (a, b) => a.nom.localeCompare(b.nom, 'fr', { sensitivity: 'base' }) || a.id - b.id;
+
+  if (tri === 'evenements') {
+    return (a, b) => b.nbEvenements - a.nbEvenements || parNom(a, b);
+  }
+
+  if (tri === 'score') {
+    return (a, b) => b.score - a.score || parNom(a, b);
+  }
+
+  if (tri === 'dernier_evenement') {
+    return (a, b) => {
+      if (a.dernierEvenement === b.dernierEvenement) return parNom(a, b);
+      if (!a.dernierEvenement) return 1;
+      if (!b.dernierEvenement) return -1;
+      return a.dernierEvenement < b.dernierEvenement ? 1 : -1;
+    };
+  }
+
+  return parNom;
+}
+
+/**
+ * Filtre, trie et compte les facettes des marques
+ * @param {Array} marques - Lignes Marque (SELECT_STATS_MARQUES)
+ * @param {Object} analyse - Résultat de analyserFiltresMarques
+ * @param {Function} aBeneficiairesControverses - (marqueId) => booléen, chaîne de la marque avec un bénéficiaire controversé
+ * @param {Function|null} scoreMarque - (ligne) => score de risque total, requis pour tri=score
+ * @returns {Object} { retenues: [{ id, nom, nbEvenements, dernierEvenement, score }] dans l'ordre du tri, facettes (null si non demandées) }
+ */
+export function filtrerMarques(marques, { filtres, tri, facettes }, aBeneficiairesControverses, scoreMarque = null) {
+  const preparees = marques.map(marque => ({
+    id: marque.id,
+    nom: marque.nom,
+    secteurId: marque.secteur_marque_id ?? marque.secteur_marque?.id ?? null,
+    secteur: marque.secteur_marque || null,
+    evenements: (marque.Evenement || []).map(e => ({
+      categorie: categorieEvenement(e),
+      condamnation: e.condamnation_judiciaire === true,
+      date: e.date ? String(e.date).slice(0, 10) : null
+    })),
+    aBeneficiairesControverses: aBeneficiairesControverses(marque.id),
+    score: scoreMarque ? scoreMarque(marque) : null
+  }));
+
+  const retenues = preparees
+    .filter(marque => marqueRetenue(marque, filtres))
+    .map(marque => {
+      const evenements = marque.evenements.filter(e => evenementRetenu(e, filtres));
+      return {
+        id: marque.id,
+        nom: marque.nom,
+        nbEvenements: evenements.length,
+        dernierEvenement: evenements.reduce((max, e) => (e.date && (!max || e.date > max) ? e.date : max), null),
+        score: marque.score
+      };
+    })
+    .sort(comparateur(tri));
+
+  return {
+    retenues,
+    facettes: facettes ? compterFacettes(preparees, filtres) : null
+  };
+}
+
+// Valeurs de tri d'une marque retenue, encodées dans le curseur (utils/pagination.js)
+const CLES_CURSEUR = {
+  alphabetique: ['nom', 'id'],
+  evenements: ['nbEvenements', 'nom', 'id'],
+  dernier_evenement: ['dernierEvenement', 'nom', 'id'],
+  score: ['score', 'nom', 'id']
+};
+
+export const nbValeursCurseur = tri => CLES_CURSEUR[tri].length;
+
+export function valeursCurseur(marque, tri) {
+  return CLES_CURSEUR[tri].map(cle => marque[cle]);
+}
+
+/**
+ * Position de la première marque strictement après les valeurs du curseur
+ * Une marque supprimée ou sortie des filtres depuis la page précédente ne décale pas la suite
+ */
+export function positionApresCurseur(retenues, tri, valeurs) {
+  const pivot = Object.fromEntries(CLES_CURSEUR[tri].map((cle, index) => [cle, valeurs[index]]));
+  const comparer = comparateur(tri);
+  const position = retenues.findIndex(marque => comparer(marque, pivot) > 0);
+  return position === -1 ? retenues.length : position;
+}
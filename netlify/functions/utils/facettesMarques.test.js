@@ -0,0 +1,189 @@
+import {
+  analyserFiltresMarques,
+  cleFiltres,
+  filtrerMarques,
+  filtresDemandes,
+  nbValeursCurseur,
+  positionApresCurseur,
+  valeursCurseur
+} from './facettesMarques.js';
+
+const alimentaire = { id: 1, nom: 'Alimentaire' };
+const cosmetique = { id: 2, nom: 'Cosmétique' };
+const environnement = { id: 1, nom: 'Environnement', emoji: '🌍', couleur: '#2e7d32', ordre: 1 };
+const social = { id: 2, nom: 'Social', emoji: '👥', couleur: '#c62828', ordre: 2 };
+
+// Lignes au format SELECT_STATS_MARQUES
+const marques = [
+  {
+    id: 1,
+    nom: 'Nestlé',
+    secteur_marque_id: 1,
+    secteur_marque: alimentaire,
+    Evenement: [
+      { id: 11, date: '2024-03-01T10:00:00', condamnation_judiciaire: true, Categorie: [environnement] },
+      { id: 12, date: '2020-01-01', condamnation_judiciaire: false, Categorie: social }
+    ]
+  },
+  {
+    id: 2,
+    nom: 'Danone',
+    secteur_marque_id: 1,
+    secteur_marque: alimentaire,
+    Evenement: [{ id: 21, date: '2021-06-01', condamnation_judiciaire: null, Categorie: social }]
+  },
+  {
+    id: 3,
+    nom: 'L\'Oréal',
+    secteur_marque_id: 2,
+    secteur_marque: cosmetique,
+    Evenement: [{ id: 31, date: '2022-01-01', condamnation_judiciaire: false, Categorie: environnement }]
+  },
+  { id: 4, nom: 'Bic', secteur_marque_id: null, secteur_marque: null, Evenement: [] }
+];
+
+const aBeneficiairesControverses = marqueId => marqueId === 3;
+
+const filtrer = (parametres, scoreMarque) => filtrerMarques(marques, analyserFiltresMarques(parametres), aBeneficiairesControverses, scoreMarque);
+const ids = ({ retenues }) => retenues.map(marque => marque.id);
+
+describe('analyserFiltresMarques', () => {
+  test('valeurs par défaut', () => {
+    expect(analyserFiltresMarques({})).toEqual({
+      filtres: {
+        secteurs: [],
+        categories: [],
+        condamnation: false,
+        beneficiairesControverses: false,
+        dateDebut: null,
+        dateFin: null
+      },
+      tri: 'alphabetique',
+      facettes: false
+    });
+  });
+
+  test('listes d\'IDs triées et dédupliquées', () => {
+    const { filtres } = analyserFiltresMarques({ secteur: '3, 1,3', categorie: '2,' });
+    expect(filtres.secteurs).toEqual([1, 3]);
+    expect(filtres.categories).toEqual([2]);
+  });
+
+  test.each([
+    [{ secteur: 'abc' }, 'Le paramètre secteur doit être une liste d\'IDs de secteurs séparés par des virgules'],
+    [{ categorie: '0' }, 'Le paramètre categorie doit être une liste d\'IDs de catégories séparés par des virgules'],
+    [{ condamnation: 'false' }, 'Le paramètre condamnation ne peut valoir que true'],
+    [{ facettes: '1' }, 'Le paramètre facettes ne peut valoir que true'],
+    [{ dateDebut: '2024-13-01' }, 'Les paramètres dateDebut et dateFin doivent être des dates au format AAAA-MM-JJ'],
+    [{ dateFin: '01/02/2024' }, 'Les paramètres dateDebut et dateFin doivent être des dates au format AAAA-MM-JJ'],
+    [{ dateDebut: '2024-02-01', dateFin: '2024-01-01' }, 'Le paramètre dateDebut doit précéder dateFin'],
+    [{ tri: 'prix' }, 'Le paramètre tri doit valoir alphabetique, evenements, dernier_evenement, score']
+  ])('paramètres invalides %#', (parametres, erreur) => {
+    expect(analyserFiltresMarques(parametres)).toEqual({ erreur });
+  });
+
+  test('paramètres de cache normalisés', () => {
+    expect(cleFiltres(analyserFiltresMarques({ secteur: '2,1', tri: 'score', facettes: 'true' }))).toEqual({
+      secteur: '1,2',
+      categorie: '',
+      condamnation: false,
+      beneficiairesControverses: false,
+      dateDebut: null,
+      dateFin: null,
+      tri: 'score',
+      facettes: true
+    });
+  });
+});
+
+describe('filtresDemandes', () => {
+  test('mode filtré activé par un paramètre de facette seulement', () => {
+    expect(filtresDemandes({ search: 'nes', limit: '10' })).toBe(false);
+    expect(filtresDemandes({ tri: 'score' })).toBe(true);
+    expect(filtresDemandes()).toBe(false);
+  });
+});
+
+describe('filtrerMarques', () => {
+  test('sans filtre : toutes les marques, ordre alphabétique', () => {
+    const resultat = filtrer({});
+
+    expect(ids(resultat)).toEqual([4, 2, 3, 1]);
+    expect(resultat.retenues[3]).toEqual({ id: 1, nom: 'Nestlé', nbEvenements: 2, dernierEvenement: '2024-03-01', score: null });
+    expect(resultat.facettes).toBeNull();
+  });
+
+  test('secteur et catégorie : événements retenus seulement', () => {
+    const resultat = filtrer({ secteur: '1', categorie: '2' });
+
+    expect(ids(resultat)).toEqual([2, 1]);
+    expect(resultat.retenues[1]).toMatchObject({ nbEvenements: 1, dernierEvenement: '2020-01-01' });
+  });
+
+  test('un même événement doit vérifier tous les filtres d\'événements', () => {
+    expect(ids(filtrer({ categorie: '1', dateFin: '2021-12-31' }))).toEqual([]);
+    expect(ids(filtrer({ condamnation: 'true', dateDebut: '2024-01-01' }))).toEqual([1]);
+  });
+
+  test('bénéficiaires controversés', () => {
+    expect(ids(filtrer({ beneficiairesControverses: 'true' }))).toEqual([3]);
+  });
+
+  test.each([
+    ['evenements', [1, 2, 3, 4]],
+    ['dernier_evenement', [1, 3, 2, 4]]
+  ])('tri %s', (tri, attendus) => {
+    expect(ids(filtrer({ tri }))).toEqual(attendus);
+  });
+
+  test('tri score : décroissant, alphabétique à égalité', () => {
+    const scores = { 1: 2, 2: 5, 3: 2, 4: 0 };
+    const resultat = filtrer({ tri: 'score' }, marque => scores[marque.id]);
+
+    expect(ids(resultat)).toEqual([2, 3, 1, 4]);
+    expect(resultat.retenues.map(marque => marque.score)).toEqual([5, 2, 2, 0]);
+  });
+
+  test('facettes : chacune sans le filtre de sa propre dimension', () => {
+    const { facettes } = filtrer({ secteur: '1', categorie: '1', facettes: 'true' });
+
+    expect(facettes).toEqual({
+      secteurs: [
+        { id: 1, nom: 'Alimentaire', count: 1 },
+        { id: 2, nom: 'Cosmétique', count: 1 }
+      ],
+      categories: [
+        { id: 2, nom: 'Social', emoji: '👥', couleur: '#c62828', count: 2 },
+        { id: 1, nom: 'Environnement', emoji: '🌍', couleur: '#2e7d32', count: 1 }
+      ],
+      condamnation: 1,
+      beneficiaires_controverses: 0
+    });
+  });
+});
+
+describe('curseur des marques filtrées', () => {
+  const { retenues } = filtrer({});
+
+  test('valeurs encodées selon le tri', () => {
+    expect(nbValeursCurseur('alphabetique')).toBe(2);
+    expect(nbValeursCurseur('score')).toBe(3);
+    expect(valeursCurseur(retenues[1], 'alphabetique')).toEqual(['Danone', 2]);
+    expect(valeursCurseur(retenues[3], 'dernier_evenement')).toEqual(['2024-03-01', 'Nestlé', 1]);
+  });
+
+  test('position strictement après le curseur', () => {
+    expect(positionApresCurseur(retenues, 'alphabetique', ['Danone', 2])).toBe(2);
+    expect(positionApresCurseur(retenues, 'alphabetique', ['Zara', 9])).toBe(retenues.length);
+  });
+
+  test('marque du curseur supprimée depuis : pas de décalage', () => {
+    expect(positionApresCurseur(retenues, 'alphabetique', ['Carrefour', 9])).toBe(1);
+  });
+
+  test('tri par date : marques sans événement en dernier', () => {
+    const parDate = filtrer({ tri: 'dernier_evenement' }).retenues;
+    expect(positionApresCurseur(parDate, 'dernier_evenement', ['2021-06-01', 'Danone', 2])).toBe(3);
+    expect(positionApresCurseur(parDate, 'dernier_evenement', [null, 'Bic', 4])).toBe(4);
+  });
+});
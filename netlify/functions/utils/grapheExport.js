@@ -0,0 +1,326 @@
+/**
+ * Module utilitaire d'export du graphe marques / bénéficiaires
+ * Utilisé par beneficiaires-chaine.js (?format=) et graphe.js (graphe complet)
+ *
+ * Les deux endpoints construisent d'abord un graphe neutre :
+ *   { noeuds: [{ id, type, label, attributs }], aretes: [{ id, source, cible, type, label }] }
+ * puis le sérialisent dans le format demandé (GraphML, GEXF, DOT ou Cytoscape.js JSON).
+ */
+
+export const FORMATS_EXPORT = {
+  graphml: { contentType: 'application/graphml+xml; charset=utf-8', extension: 'graphml' },
+  gexf: { contentType: 'application/gexf+xml; charset=utf-8', extension: 'gexf' },
+  dot: { contentType: 'text/vnd.graphviz; charset=utf-8', extension: 'dot' },
+  cytoscape: { contentType: 'application/json', extension: 'json' }
+};
+
+// Négociation par en-tête Accept (le paramètre format= reste prioritaire)
+const TYPES_MIME = {
+  'application/graphml+xml': 'graphml',
+  'application/gexf+xml': 'gexf',
+  'text/vnd.graphviz': 'dot'
+};
+
+/**
+ * Format d'export demandé
+ * @param {string} format - Paramètre de requête format=
+ * @param {string} accept - En-tête Accept
+ * @param {string} formatDefaut - Format renvoyé sans demande explicite
+ * @returns {string|null} Clé de FORMATS_EXPORT, formatDefaut, ou null si format= inconnu
+ */
+export function negocierFormat(format, accept, formatDefaut) {
+  if (format) {
+    const cle = format.toLowerCase();
+    return cle === formatDefaut || FORMATS_EXPORT[cle] ? cle : null;
+  }
+
+  for (const type of (accept || '').split(',')) {
+    const mime = type.split(';')[0].trim().toLowerCase();
+    if (TYPES_MIME[mime]) return TYPES_MIME[mime];
+  }
+
+  return formatDefaut;
+}
+
+export const idNoeudMarque = (id) => `marque-${id}`;
+export const idNoeudBeneficiaire = (id) => `beneficiaire-${id}`;
+
+/**
+ * Graphe neutre d'une chaîne (réponse de beneficiaires-chaine.js)
+ * @param {Object} resultat - { marque_id, marque_nom, chaine }
+ */
+export function construireGrapheChaine(resultat) {
+  const noeuds = [{
+    id: idNoeudMarque(resultat.marque_id),
+    type: 'marque',
+    label: resultat.marque_nom,
+    attributs: {}
+  }];
+  const aretes = [];
+  const presents = new Set(resultat.chaine.map(node => node.beneficiaire.id));
+
+  for (const node of resultat.chaine) {
+    noeuds.push({
+      id: idNoeudBeneficiaire(node.beneficiaire.id),
+      type: 'beneficiaire',
+      label: node.beneficiaire.nom,
+      attributs: {
+        type_beneficiaire: node.beneficiaire.type_beneficiaire,
+        niveau: node.niveau
+      }
+    });
+
+    // Bénéficiaires directs : arête depuis la marque
+    if (node.niveau === 0) {
+      aretes.push({
+        id: `marque_beneficiaire-${resultat.marque_id}-${node.beneficiaire.id}`,
+        source: idNoeudMarque(resultat.marque_id),
+        cible: idNoeudBeneficiaire(node.beneficiaire.id),
+        type: 'marque_beneficiaire',
+        label: node.lien_financier
+      });
+    }
+
+    for (const relation of node.relations_suivantes || []) {
+      if (!presents.has(relation.beneficiaire_cible_id)) continue; // Au-delà de la profondeur
+      aretes.push({
+        id: `beneficiaire_relation-${relation.id}`,
+        source: idNoeudBeneficiaire(relation.beneficiaire_source_id),
+        cible: idNoeudBeneficiaire(relation.beneficiaire_cible_id),
+        type: 'beneficiaire_relation',
+        label: relation.description_relation || 'Participation financière'
+      });
+    }
+  }
+
+  return { noeuds, aretes };
+}
+
+/**
+ * Graphe neutre complet (résultat de chargerGrapheComplet)
+ * Les liaisons vers des IDs inexistants sont ignorées
+ */
+export function construireGrapheComplet({ marques, beneficiaires, liaisons, relations }) {
+  const noeuds = [
+    ...marques.map(marque => ({
+      id: idNoeudMarque(marque.id),
+      type: 'marque',
+      label: marque.nom,
+      attributs: {}
+    })),
+    ...beneficiaires.map(beneficiaire => ({
+      id: idNoeudBeneficiaire(beneficiaire.id),
+      type: 'beneficiaire',
+      label: beneficiaire.nom,
+      attributs: { type_beneficiaire: beneficiaire.type_beneficiaire }
+    }))
+  ];
+  const ids = new Set(noeuds.map(noeud => noeud.id));
+
+  const aretes = [
+    ...liaisons.map(liaison => ({
+      id: `marque_beneficiaire-${liaison.id}`,
+      source: idNoeudMarque(liaison.marque_id),
+      cible: idNoeudBeneficiaire(liaison.beneficiaire_id),
+      type: 'marque_beneficiaire',
+      label: liaison.lien_financier || 'Lien financier direct'
+    })),
+    ...relations.map(relation => ({
+      id: `beneficiaire_relation-${relation.id}`,
+      source: idNoeudBeneficiaire(relation.beneficiaire_source_id),
+      cible: idNoeudBeneficiaire(relation.beneficiaire_cible_id),
+      type: 'beneficiaire_relation',
+      label: relation.description_relation || 'Participation financière'
+    }))
+  ].filter(arete => ids.has(arete.source) && ids.has(arete.cible));
+
+  return { noeuds, aretes };
+}
+
+function echapperXml(valeur) {
+  return String(valeur ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function echapperDot(valeur) {
+  return String(valeur ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Attributs de nœuds déclarés (nom + type entier/texte), dans l'ordre d'apparition
+ */
+function declarerAttributs(noeuds) {
+  const declarations = new Map();
+  for (const noeud of noeuds) {
+    for (const [nom, valeur] of Object.entries(noeud.attributs)) {
+      if (valeur === null || valeur === undefined) continue;
+      const type = Number.isInteger(valeur) ? 'int' : 'string';
+      const existant = declarations.get(nom);
+      declarations.set(nom, existant && existant !== type ? 'string' : type);
+    }
+  }
+  return Array.from(declarations, ([nom, type]) => ({ nom, type }));
+}
+
+/**
+ * GraphML (yEd, Gephi, NetworkX)
+ */
+export function versGraphML({ noeuds, aretes }) {
+  const attributs = declarerAttributs(noeuds);
+  const lignes = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="label" for="node" attr.name="label" attr.type="string"/>',
+    '  <key id="type" for="node" attr.name="type" attr.type="string"/>',
+    ...attributs.map(({ nom, type }) => `  <key id="${echapperXml(nom)}" for="node" attr.name="${echapperXml(nom)}" attr.type="${type}"/>`),
+    '  <key id="edge_label" for="edge" attr.name="label" attr.type="string"/>',
+    '  <key id="edge_type" for="edge" attr.name="type" attr.type="string"/>',
+    '  <graph id="odm" edgedefault="directed">'
+  ];
+
+  for (const noeud of noeuds) {
+    lignes.push(`    <node id="${echapperXml(noeud.id)}">`);
+    lignes.push(`      <data key="label">${echapperXml(noeud.label)}</data>`);
+    lignes.push(`      <data key="type">${noeud.type}</data>`);
+    for (const [nom, valeur] of Object.entries(noeud.attributs)) {
+      if (valeur === null || valeur === undefined) continue;
+      lignes.push(`      <data key="${echapperXml(nom)}">${echapperXml(valeur)}</data>`);
+    }
+    lignes.push('    </node>');
+  }
+
+  for (const arete of aretes) {
+    lignes.push(`    <edge id="${echapperXml(arete.id)}" source="${echapperXml(arete.source)}" target="${echapperXml(arete.cible)}">`);
+    lignes.push(`      <data key="edge_label">${echapperXml(arete.label)}</data>`);
+    lignes.push(`      <data key="edge_type">${arete.type}</data>`);
+    lignes.push('    </edge>');
+  }
+
+  lignes.push('  </graph>', '</graphml>');
+  return lignes.join('\n');
+}
+
+/**
+ * GEXF 1.3 (Gephi)
+ */
+export function versGEXF({ noeuds, aretes }) {
+  const attributs = [{ nom: 'type', type: 'string' }, ...declarerAttributs(noeuds)];
+  const attvalues = (valeurs) => {
+    const lignes = Object.entries(valeurs)
+      .filter(([, valeur]) => valeur !== null && valeur !== undefined)
+      .map(([nom, valeur]) => `          <attvalue for="${echapperXml(nom)}" value="${echapperXml(valeur)}"/>`);
+    return ['        <attvalues>', ...lignes, '        </attvalues>'];
+  };
+
+  const lignes = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+    `  <meta lastmodifieddate="${new Date().toISOString().slice(0, 10)}">`,
+    '    <creator>odm-api</creator>',
+    '  </meta>',
+    '  <graph defaultedgetype="directed" mode="static">',
+    '    <attributes class="node">',
+    ...attributs.map(({ nom, type }) => `      <attribute id="${echapperXml(nom)}" title="${echapperXml(nom)}" type="${type === 'int' ? 'integer' : 'string'}"/>`),
+    '    </attributes>',
+    '    <attributes class="edge">',
+    '      <attribute id="type" title="type" type="string"/>',
+    '    </attributes>',
+    '    <nodes>'
+  ];
+
+  for (const noeud of noeuds) {
+    lignes.push(`      <node id="${echapperXml(noeud.id)}" label="${echapperXml(noeud.label)}">`);
+    lignes.push(...attvalues({ type: noeud.type, ...noeud.attributs }));
+    lignes.push('      </node>');
+  }
+
+  lignes.push('    </nodes>', '    <edges>');
+
+  for (const arete of aretes) {
+    lignes.push(`      <edge id="${echapperXml(arete.id)}" source="${echapperXml(arete.source)}" target="${echapperXml(arete.cible)}" label="${echapperXml(arete.label)}">`);
+    lignes.push(...attvalues({ type: arete.type }));
+    lignes.push('      </edge>');
+  }
+
+  lignes.push('    </edges>', '  </graph>', '</gexf>');
+  return lignes.join('\n');
+}
+
+/**
+ * DOT (Graphviz) : marques en boîtes, bénéficiaires en ellipses
+ */
+export function versDOT({ noeuds, aretes }) {
+  const lignes = [
+    'digraph odm {',
+    '  rankdir=LR;',
+    '  node [fontname="Helvetica"];',
+    '  edge [fontname="Helvetica", fontsize=10];'
+  ];
+
+  for (const noeud of noeuds) {
+    const attributs = [
+      `label="${echapperDot(noeud.label)}"`,
+      `type="${noeud.type}"`,
+      `shape=${noeud.type === 'marque' ? 'box' : 'ellipse'}`,
+      ...Object.entries(noeud.attributs)
+        .filter(([, valeur]) => valeur !== null && valeur !== undefined)
+        .map(([nom, valeur]) => `${nom}="${echapperDot(valeur)}"`)
+    ];
+    lignes.push(`  "${echapperDot(noeud.id)}" [${attributs.join(', ')}];`);
+  }
+
+  for (const arete of aretes) {
+    lignes.push(`  "${echapperDot(arete.source)}" -> "${echapperDot(arete.cible)}" [label="${echapperDot(arete.label)}", type="${arete.type}"];`);
+  }
+
+  lignes.push('}');
+  return lignes.join('\n');
+}
+
+/**
+ * Cytoscape.js JSON (format "elements")
+ */
+export function versCytoscape({ noeuds, aretes }) {
+  return JSON.stringify({
+    elements: {
+      nodes: noeuds.map(noeud => ({
+        data: { id: noeud.id, label: noeud.label, type: noeud.type, ...noeud.attributs }
+      })),
+      edges: aretes.map(arete => ({
+        data: { id: arete.id, source: arete.source, target: arete.cible, label: arete.label, type: arete.type }
+      }))
+    }
+  });
+}
+
+const SERIALISEURS = {
+  graphml: versGraphML,
+  gexf: versGEXF,
+  dot: versDOT,
+  cytoscape: versCytoscape
+};
+
+/**
+ * Sérialise un graphe neutre
+ * @param {Object} graphe - { noeuds, aretes }
+ * @param {string} format - Clé de FORMATS_EXPORT
+ * @param {string} nomFichier - Nom de fichier sans extension (Content-Disposition)
+ * @returns {Object} { body, headers }
+ */
+export function exporterGraphe(graphe, format, nomFichier) {
+  const { contentType, extension } = FORMATS_EXPORT[format];
+  return {
+    body: SERIALISEURS[format](graphe),
+    headers: {
+      'Content-Type': contentType,
+      'Content-Disposition': `inline; filename="${nomFichier}.${extension}"`
+    }
+  };
+}
@@ -0,0 +1,143 @@
+import {
+  construireGrapheChaine,
+  construireGrapheComplet,
+  exporterGraphe,
+  negocierFormat,
+  versCytoscape,
+  versDOT,
+  versGEXF,
+  versGraphML
+} from './grapheExport.js';
+
+// Réponse de beneficiaires-chaine.js : M → B1 → B2, B2 → B3 au-delà de la profondeur
+const resultat = {
+  marque_id: 10,
+  marque_nom: 'Marque & Cie',
+  chaine: [
+    {
+      beneficiaire: { id: 1, nom: 'Holding "A"', type_beneficiaire: 'entreprise' },
+      niveau: 0,
+      lien_financier: 'Filiale',
+      relations_suivantes: [{ id: 7, beneficiaire_source_id: 1, beneficiaire_cible_id: 2, description_relation: null }]
+    },
+    {
+      beneficiaire: { id: 2, nom: 'Fonds <B>', type_beneficiaire: null },
+      niveau: 1,
+      relations_suivantes: [{ id: 8, beneficiaire_source_id: 2, beneficiaire_cible_id: 3, description_relation: 'Actionnaire' }]
+    }
+  ]
+};
+
+describe('negocierFormat', () => {
+  test.each([
+    ['GraphML', undefined, 'graphml'],
+    ['dot', 'application/gexf+xml', 'dot'],
+    ['json', undefined, 'json'],
+    ['svg', undefined, null],
+    [undefined, 'text/html, application/gexf+xml;q=0.9', 'gexf'],
+    [undefined, 'text/vnd.graphviz', 'dot'],
+    [undefined, 'application/json', 'json'],
+    [undefined, undefined, 'json']
+  ])('format=%s, Accept: %s → %s', (format, accept, attendu) => {
+    expect(negocierFormat(format, accept, 'json')).toBe(attendu);
+  });
+});
+
+describe('construireGrapheChaine', () => {
+  test('marque, bénéficiaires et arêtes dans la profondeur', () => {
+    expect(construireGrapheChaine(resultat)).toEqual({
+      noeuds: [
+        { id: 'marque-10', type: 'marque', label: 'Marque & Cie', attributs: {} },
+        { id: 'beneficiaire-1', type: 'beneficiaire', label: 'Holding "A"', attributs: { type_beneficiaire: 'entreprise', niveau: 0 } },
+        { id: 'beneficiaire-2', type: 'beneficiaire', label: 'Fonds <B>', attributs: { type_beneficiaire: null, niveau: 1 } }
+      ],
+      aretes: [
+        { id: 'marque_beneficiaire-10-1', source: 'marque-10', cible: 'beneficiaire-1', type: 'marque_beneficiaire', label: 'Filiale' },
+        { id: 'beneficiaire_relation-7', source: 'beneficiaire-1', cible: 'beneficiaire-2', type: 'beneficiaire_relation', label: 'Participation financière' }
+      ]
+    });
+  });
+});
+
+describe('construireGrapheComplet', () => {
+  test('liaisons vers des IDs inexistants ignorées', () => {
+    const graphe = construireGrapheComplet({
+      marques: [{ id: 10, nom: 'M' }],
+      beneficiaires: [{ id: 1, nom: 'B1', type_beneficiaire: 'personne' }],
+      liaisons: [
+        { id: 1, marque_id: 10, beneficiaire_id: 1, lien_financier: null },
+        { id: 2, marque_id: 11, beneficiaire_id: 1 }
+      ],
+      relations: [{ id: 5, beneficiaire_source_id: 1, beneficiaire_cible_id: 99 }]
+    });
+
+    expect(graphe.noeuds.map(noeud => noeud.id)).toEqual(['marque-10', 'beneficiaire-1']);
+    expect(graphe.aretes).toEqual([
+      { id: 'marque_beneficiaire-1', source: 'marque-10', cible: 'beneficiaire-1', type: 'marque_beneficiaire', label: 'Lien financier direct' }
+    ]);
+  });
+});
+
+describe('sérialiseurs', () => {
+  const graphe = construireGrapheChaine(resultat);
+
+  test('GraphML : attributs déclarés et valeurs échappées', () => {
+    const xml = versGraphML(graphe);
+
+    expect(xml).toContain('<key id="type_beneficiaire" for="node" attr.name="type_beneficiaire" attr.type="string"/>');
+    expect(xml).toContain('<key id="niveau" for="node" attr.name="niveau" attr.type="int"/>');
+    expect(xml).toContain('<data key="label">Marque &amp; Cie</data>');
+    expect(xml).toContain('<data key="label">Holding &quot;A&quot;</data>');
+    expect(xml).toContain('<data key="label">Fonds &lt;B&gt;</data>');
+    expect(xml).toContain('<edge id="beneficiaire_relation-7" source="beneficiaire-1" target="beneficiaire-2">');
+    expect(xml).not.toContain('<data key="type_beneficiaire"></data>');
+  });
+
+  test('GEXF : nœuds, arêtes et attributs entiers', () => {
+    const xml = versGEXF(graphe);
+
+    expect(xml).toContain('<attribute id="niveau" title="niveau" type="integer"/>');
+    expect(xml).toContain('<node id="beneficiaire-2" label="Fonds &lt;B&gt;">');
+    expect(xml).toContain('<attvalue for="niveau" value="1"/>');
+    expect(xml).toContain('<edge id="marque_beneficiaire-10-1" source="marque-10" target="beneficiaire-1" label="Filiale">');
+  });
+
+  test('DOT : formes par type et guillemets échappés', () => {
+    const dot = versDOT(graphe);
+
+    expect(dot.split('\n')).toEqual(expect.arrayContaining([
+      '  "marque-10" [label="Marque & Cie", type="marque", shape=box];',
+      '  "beneficiaire-1" [label="Holding \\"A\\"", type="beneficiaire", shape=ellipse, type_beneficiaire="entreprise", niveau="0"];',
+      '  "beneficiaire-1" -> "beneficiaire-2" [label="Participation financière", type="beneficiaire_relation"];'
+    ]));
+    expect(dot.endsWith('}')).toBe(true);
+  });
+
+  test('Cytoscape.js : éléments nodes / edges', () => {
+    const { elements } = JSON.parse(versCytoscape(graphe));
+
+    expect(elements.nodes[1]).toEqual({
+      data: { id: 'beneficiaire-1', label: 'Holding "A"', type: 'beneficiaire', type_beneficiaire: 'entreprise', niveau: 0 }
+    });
+    expect(elements.edges[0]).toEqual({
+      data: { id: 'marque_beneficiaire-10-1', source: 'marque-10', target: 'beneficiaire-1', label: 'Filiale', type: 'marque_beneficiaire' }
+    });
+  });
+});
+
+describe('exporterGraphe', () => {
+  test.each([
+    ['graphml', 'application/graphml+xml; charset=utf-8', 'chaine-10.graphml'],
+    ['gexf', 'application/gexf+xml; charset=utf-8', 'chaine-10.gexf'],
+    ['dot', 'text/vnd.graphviz; charset=utf-8', 'chaine-10.dot'],
+    ['cytoscape', 'application/json', 'chaine-10.json']
+  ])('%s : en-têtes et nom de fichier', (format, contentType, fichier) => {
+    const { body, headers } = exporterGraphe(construireGrapheChaine(resultat), format, 'chaine-10');
+
+    expect(typeof body).toBe('string');
+    expect(headers).toEqual({
+      'Content-Type': contentType,
+      'Content-Disposition': `inline; filename="${fichier}"`
+    });
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Module utilitaire pour les codes-barres GTIN / EAN
+ * Utilisé par barcode.js
+ *
+ * Tous les codes (GTIN-8, UPC-A/GTIN-12, EAN-13, GTIN-14) sont ramenés à la forme
+ * GTIN-13 (zéros de tête ; GTIN-14 sans indicateur logistique, chiffre de contrôle recalculé) : c'est dans cette
+ * forme que sont stockés les préfixes d'entreprise GS1 de `marque_prefixe_gs1`.
+ */
+
+const LONGUEURS_GTIN = [8, 12, 13, 14];
+
+/**
+ * Calcule le chiffre de contrôle GS1 (modulo 10, poids 3/1 depuis la droite)
+ * @param {string} chiffres - Code sans son chiffre de contrôle
+ */
+export function calculerChiffreControle(chiffres) {
+  let somme = 0;
+  for (let i = 0; i < chiffres.length; i++) {
+    const chiffre = Number(chiffres[chiffres.length - 1 - i]);
+    somme += chiffre * (i % 2 === 0 ? 3 : 1);
+  }
+  return (10 - (somme % 10)) % 10;
+}
+
+/**
+ * Valide un GTIN et le normalise en GTIN-13
+ * @param {string} code - Code-barres saisi ou scanné (espaces et tirets tolérés)
+ * @returns {Object} { valide, erreur?, gtin, gtin13 }
+ */
+export function validerGtin(code) {
+  const gtin = String(code || '').replace(/[\s-]/g, '');
+
+  if (!/^\d+$/.test(gtin) || !LONGUEURS_GTIN.includes(gtin.length)) {
+    return { valide: false, erreur: 'Le GTIN doit contenir 8, 12, 13 ou 14 chiffres', gtin };
+  }
+
+  const attendu = calculerChiffreControle(gtin.slice(0, -1));
+  if (attendu !== Number(gtin[gtin.length - 1])) {
+    return { valide: false, erreur: `Chiffre de contrôle invalide (attendu : ${attendu})`, gtin };
+  }
+
+  return { valide: true, gtin, gtin13: versGtin13(gtin) };
+}
+
+/**
+ * Forme GTIN-13 d'un GTIN valide
+ * GTIN-14 : l'indicateur logistique retiré change le chiffre de contrôle, qui est recalculé
+ */
+function versGtin13(gtin) {
+  if (gtin.length !== 14) {
+    return gtin.padStart(13, '0');
+  }
+
+  const chiffres = gtin.slice(1, -1);
+  return `${chiffres}${calculerChiffreControle(chiffres)}`;
+}
+
+/**
+ * Normalise un préfixe GS1 stocké (chiffres uniquement)
+ */
+export function normaliserPrefixe(prefixe) {
+  return String(prefixe || '').replace(/\D/g, '');
+}
+
+/**
+ * Correspondance par plus long préfixe
+ * @param {Array} prefixes - [{ prefixe, marque_id }] triés par longueur décroissante
+ * @param {string} gtin13 - Code normalisé
+ * @returns {Object|null} { prefixe, marque_id, type: 'exact' | 'prefixe' }
+ */
+export function trouverPlusLongPrefixe(prefixes, gtin13) {
+  const entree = prefixes.find(({ prefixe }) => prefixe && gtin13.startsWith(prefixe));
+  if (!entree) {
+    return null;
+  }
+
+  return {
+    prefixe: entree.prefixe,
+    marque_id: entree.marque_id,
+    type: entree.prefixe.length === gtin13.length ? 'exact' : 'prefixe'
+  };
+}
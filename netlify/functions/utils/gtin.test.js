@@ -0,0 +1,70 @@
+import { calculerChiffreControle, normaliserPrefixe, trouverPlusLongPrefixe, validerGtin } from './gtin.js';
+
+describe('calculerChiffreControle', () => {
+  test('modulo 10, poids 3/1 depuis la droite', () => {
+    expect(calculerChiffreControle('301762042200')).toBe(3);
+    expect(calculerChiffreControle('9638507')).toBe(4);
+    expect(calculerChiffreControle('1301762042200')).toBe(0);
+  });
+});
+
+describe('validerGtin', () => {
+  test('EAN-13 valide', () => {
+    expect(validerGtin('3017620422003')).toEqual({ valide: true, gtin: '3017620422003', gtin13: '3017620422003' });
+  });
+
+  test('espaces et tirets tolérés', () => {
+    expect(validerGtin('3 017620-422003').gtin13).toBe('3017620422003');
+  });
+
+  test('GTIN-8 et UPC-A complétés par des zéros', () => {
+    expect(validerGtin('96385074').gtin13).toBe('0000096385074');
+    expect(validerGtin('036000291452').gtin13).toBe('0036000291452');
+  });
+
+  test('GTIN-14 : indicateur retiré et chiffre de contrôle recalculé', () => {
+    expect(validerGtin('13017620422000')).toEqual({ valide: true, gtin: '13017620422000', gtin13: '3017620422003' });
+    expect(validerGtin('03017620422003').gtin13).toBe('3017620422003');
+  });
+
+  test('chiffre de contrôle invalide', () => {
+    expect(validerGtin('3017620422004')).toEqual({
+      valide: false,
+      erreur: 'Chiffre de contrôle invalide (attendu : 3)',
+      gtin: '3017620422004'
+    });
+  });
+
+  test('longueur ou caractères invalides', () => {
+    expect(validerGtin('12345').valide).toBe(false);
+    expect(validerGtin('30176204220a3').valide).toBe(false);
+    expect(validerGtin(null).valide).toBe(false);
+  });
+});
+
+describe('normaliserPrefixe', () => {
+  test('chiffres uniquement', () => {
+    expect(normaliserPrefixe(' 301-762 ')).toBe('301762');
+    expect(normaliserPrefixe(null)).toBe('');
+  });
+});
+
+describe('trouverPlusLongPrefixe', () => {
+  const prefixes = [
+    { prefixe: '3017620422003', marque_id: 3 },
+    { prefixe: '3017620', marque_id: 1 },
+    { prefixe: '30', marque_id: 2 }
+  ];
+
+  test('code complet enregistré : exact', () => {
+    expect(trouverPlusLongPrefixe(prefixes, '3017620422003')).toEqual({ prefixe: '3017620422003', marque_id: 3, type: 'exact' });
+  });
+
+  test('plus long préfixe d\'entreprise', () => {
+    expect(trouverPlusLongPrefixe(prefixes, '3017620999995')).toEqual({ prefixe: '3017620', marque_id: 1, type: 'prefixe' });
+  });
+
+  test('aucun préfixe', () => {
+    expect(trouverPlusLongPrefixe(prefixes, '4000000000000')).toBeNull();
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Module utilitaire de l'historique des snapshots /api/marques (liste, paramètres par défaut)
+ * Utilisé par brands-diff.js (lecture, écriture) et brands-snapshot.js (écriture planifiée, hors requêtes)
+ *
+ * Un snapshot est identifié par le SHA-1 de son JSON, c'est-à-dire l'ETag de /api/marques :
+ * la clé est calculée sur les données mêmes du snapshot, et un changement qui ne touche pas
+ * les compteurs de /api/brands/version donne un nouveau snapshot. La liste par défaut ne contient pas
+ * score_risque (opt-in, il décroît chaque jour) : sans modification des données, le checksum est stable.
+ *
+ * Table partagée entre instances (l'écriture demande SUPABASE_SERVICE_KEY) :
+ * sans elle, l'historique est vide et brands-diff renvoie 410 (resynchronisation complète).
+ */
+import { createHash } from 'node:crypto';
+import { construireRequeteMarques, transformerMarques } from './transformationMarques.js';
+
+export const TABLE_SNAPSHOTS = 'marques_snapshot';
+
+// Versions conservées (les plus récentes)
+export const HISTORIQUE_MAX = 20;
+
+const LIMITE_LISTE_MARQUES = 999; // Même défaut que /api/marques
+
+/**
+ * Checksum d'un snapshot, identique à l'ETag de /api/marques
+ */
+export function checksumSnapshot(marques) {
+  return createHash('sha1').update(JSON.stringify(marques)).digest('hex');
+}
+
+/**
+ * Construit le snapshot courant au format /api/marques (mode liste, sans score_risque comme la liste par défaut)
+ * Le checksum est calculé sur ces mêmes données, jamais repris d'une version en cache
+ * @param {Object} supabase - Client Supabase (lecture)
+ * @param {Object} options - { cache: cache serverless de la fonction appelante }
+ * @returns {Object} { checksum, marques }
+ */
+export async function construireSnapshotCourant(supabase, { cache = null } = {}) {
+  const { data: marques, error } = await construireRequeteMarques(supabase)
+    .range(0, LIMITE_LISTE_MARQUES - 1);
+
+  if (error) throw error;
+
+  const snapshot = await transformerMarques(supabase, marques || [], { avecScore: false, cache });
+  return { checksum: checksumSnapshot(snapshot), marques: snapshot };
+}
+
+/**
+ * Enregistre un snapshot s'il est nouveau, puis purge les plus anciens
+ * Sans effet (avertissement) si l'historique n'est pas configuré ou si la table est indisponible
+ */
+export async function enregistrerSnapshot(client, checksum, marques) {
+  if (!client) return;
+
+  try {
+    const { data: existant, error: erreurLecture } = await client
+      .from(TABLE_SNAPSHOTS)
+      .select('checksum')
+      .eq('checksum', checksum)
+      .maybeSingle();
+
+    if (erreurLecture) throw erreurLecture;
+    if (existant) return;
+
+    const { error: erreurInsertion } = await client
+      .from(TABLE_SNAPSHOTS)
+      .upsert({ checksum, marques }, { onConflict: 'checksum', ignoreDuplicates: true });
+
+    if (erreurInsertion) throw erreurInsertion;
+
+    const { data: anciens, error: erreurPurge } = await client
+      .from(TABLE_SNAPSHOTS)
+      .select('checksum')
+      .order('created_at', { ascending: false })
+      .range(HISTORIQUE_MAX, HISTORIQUE_MAX + 99);
+
+    if (erreurPurge) throw erreurPurge;
+
+    if (anciens && anciens.length > 0) {
+      const { error } = await client
+        .from(TABLE_SNAPSHOTS)
+        .delete()
+        .in('checksum', anciens.map(ligne => ligne.checksum));
+      if (error) throw error;
+    }
+  } catch (error) {
+    console.warn(`[historiqueSnapshots] Enregistrement du snapshot ${checksum} impossible:`, error.message);
+  }
+}
+
+/**
+ * Snapshots enregistrés pour des checksums donnés
+ * @returns {Map} checksum → marques (vide si l'historique est indisponible)
+ */
+export async function chargerSnapshots(client, checksums) {
+  if (!client) return new Map();
+
+  const { data, error } = await client
+    .from(TABLE_SNAPSHOTS)
+    .select('checksum, marques')
+    .in('checksum', checksums);
+
+  if (error) {
+    console.warn('[historiqueSnapshots] Table marques_snapshot indisponible:', error.message);
+    return new Map();
+  }
+
+  return new Map((data || []).map(ligne => [ligne.checksum, ligne.marques]));
+}
+
+/**
+ * Checksums disponibles, du plus récent au plus ancien
+ */
+export async function listerVersionsDisponibles(client) {
+  if (!client) return [];
+
+  const { data, error } = await client
+    .from(TABLE_SNAPSHOTS)
+    .select('checksum')
+    .order('created_at', { ascending: false })
+    .limit(HISTORIQUE_MAX);
+
+  if (error) {
+    console.warn('[historiqueSnapshots] Table marques_snapshot indisponible:', error.message);
+    return [];
+  }
+
+  return (data || []).map(ligne => ligne.checksum);
+}
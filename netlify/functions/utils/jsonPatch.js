@@ -0,0 +1,170 @@
+/**
+ * Génération de JSON Patch (RFC 6902) entre deux versions d'un document
+ * Utilisé par brands-diff.js
+ *
+ * Les tableaux d'objets portant un `id` (marques, événements, bénéficiaires...) sont
+ * comparés par identifiant : une marque ajoutée produit un seul `add` au lieu de
+ * décaler et remplacer toutes les entrées suivantes.
+ */
+
+/**
+ * Échappe un segment de JSON Pointer (RFC 6901)
+ */
+function echapperSegment(segment) {
+  return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function estObjet(valeur) {
+  return valeur !== null && typeof valeur === 'object' && !Array.isArray(valeur);
+}
+
+function sontEgaux(a, b) {
+  if (a === b) return true;
+  if (typeof a !== typeof b || a === null || b === null || typeof a !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  if (Array.isArray(a)) {
+    return a.length === b.length && a.every((element, index) => sontEgaux(element, b[index]));
+  }
+
+  const clesA = Object.keys(a);
+  const clesB = Object.keys(b);
+  return clesA.length === clesB.length && clesA.every(cle => Object.prototype.hasOwnProperty.call(b, cle) && sontEgaux(a[cle], b[cle]));
+}
+
+/**
+ * Un tableau est comparable par identifiant si tous ses éléments sont des objets à `id` unique
+ */
+function estTableauIdentifie(tableau) {
+  if (!tableau.every(element => estObjet(element) && element.id !== undefined && element.id !== null)) {
+    return false;
+  }
+  return new Set(tableau.map(element => element.id)).size === tableau.length;
+}
+
+function comparerObjets(avant, apres, chemin, operations) {
+  for (const cle of Object.keys(avant)) {
+    if (!Object.prototype.hasOwnProperty.call(apres, cle)) {
+      operations.push({ op: 'remove', path: `${chemin}/${echapperSegment(cle)}` });
+    }
+  }
+
+  for (const cle of Object.keys(apres)) {
+    const cheminCle = `${chemin}/${echapperSegment(cle)}`;
+    if (!Object.prototype.hasOwnProperty.call(avant, cle)) {
+      operations.push({ op: 'add', path: cheminCle, value: apres[cle] });
+    } else {
+      comparer(avant[cle], apres[cle], cheminCle, operations);
+    }
+  }
+}
+
+function comparerTableauxIdentifies(avant, apres, chemin, operations) {
+  const idsApres = new Set(apres.map(element => element.id));
+  const idsAvant = new Set(avant.map(element => element.id));
+
+  // L'ordre relatif des éléments conservés doit être identique, sinon remplacement complet
+  const conservesAvant = avant.filter(element => idsApres.has(element.id)).map(element => element.id);
+  const conservesApres = apres.filter(element => idsAvant.has(element.id)).map(element => element.id);
+  if (!sontEgaux(conservesAvant, conservesApres)) {
+    operations.push({ op: 'replace', path: chemin, value: apres });
+    return;
+  }
+
+  // 1. Suppressions, de la fin vers le début pour garder les index valides
+  for (let index = avant.length - 1; index >= 0; index--) {
+    if (!idsApres.has(avant[index].id)) {
+      operations.push({ op: 'remove', path: `${chemin}/${index}` });
+    }
+  }
+
+  // 2. Ajouts à leur index final, dans l'ordre croissant
+  const avantParId = new Map(avant.map(element => [element.id, element]));
+  apres.forEach((element, index) => {
+    if (!avantParId.has(element.id)) {
+      operations.push({ op: 'add', path: `${chemin}/${index}`, value: element });
+    }
+  });
+
+  // 3. Modifications des éléments conservés (désormais à leur index final)
+  apres.forEach((element, index) => {
+    if (avantParId.has(element.id)) {
+      comparer(avantParId.get(element.id), element, `${chemin}/${index}`, operations);
+    }
+  });
+}
+
+function comparerTableaux(avant, apres, chemin, operations) {
+  if (estTableauIdentifie(avant) && estTableauIdentifie(apres)) {
+    comparerTableauxIdentifies(avant, apres, chemin, operations);
+    return;
+  }
+
+  // Tableaux sans identifiant : comparaison par position si même longueur
+  if (avant.length !== apres.length) {
+    operations.push({ op: 'replace', path: chemin, value: apres });
+    return;
+  }
+
+  avant.forEach((element, index) => {
+    comparer(element, apres[index], `${chemin}/${index}`, operations);
+  });
+}
+
+function comparer(avant, apres, chemin, operations) {
+  if (sontEgaux(avant, apres)) return;
+
+  if (Array.isArray(avant) && Array.isArray(apres)) {
+    comparerTableaux(avant, apres, chemin, operations);
+  } else if (estObjet(avant) && estObjet(apres)) {
+    comparerObjets(avant, apres, chemin, operations);
+  } else {
+    operations.push({ op: 'replace', path: chemin, value: apres });
+  }
+}
+
+/**
+ * Génère la liste d'opérations JSON Patch transformant `avant` en `apres`
+ * @param {*} avant - Document source
+ * @param {*} apres - Document cible
+ * @returns {Array} Opérations RFC 6902 (add / remove / replace)
+ */
+export function genererPatch(avant, apres) {
+  const operations = [];
+  comparer(avant, apres, '', operations);
+  return operations;
+}
+
+/**
+ * Applique un patch généré par genererPatch (implémentation de référence pour les clients)
+ * @param {*} document - Document source (non modifié)
+ * @param {Array} operations - Opérations add / remove / replace
+ * @returns {*} Document patché
+ */
+export function appliquerPatch(document, operations) {
+  let resultat = structuredClone(document);
+
+  for (const { op, path, value } of operations) {
+    if (path === '') {
+      resultat = structuredClone(value);
+      continue;
+    }
+
+    const segments = path.slice(1).split('/').map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+    const derniere = segments.pop();
+    const parent = segments.reduce((noeud, segment) => noeud[Array.isArray(noeud) ? Number(segment) : segment], resultat);
+
+    if (Array.isArray(parent)) {
+      const index = derniere === '-' ? parent.length : Number(derniere);
+      if (op === 'add') parent.splice(index, 0, structuredClone(value));
+      else if (op === 'remove') parent.splice(index, 1);
+      else parent[index] = structuredClone(value);
+    } else if (op === 'remove') {
+      delete parent[derniere];
+    } else {
+      parent[derniere] = structuredClone(value);
+    }
+  }
+
+  return resultat;
+}
@@ -0,0 +1,68 @@
+import { appliquerPatch, genererPatch } from './jsonPatch.js';
+
+describe('genererPatch', () => {
+  test('documents identiques : aucune opération', () => {
+    expect(genererPatch({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] })).toEqual([]);
+  });
+
+  test('propriétés ajoutées, supprimées et modifiées', () => {
+    expect(genererPatch({ a: 1, b: 2 }, { a: 3, c: 4 })).toEqual([
+      { op: 'remove', path: '/b' },
+      { op: 'replace', path: '/a', value: 3 },
+      { op: 'add', path: '/c', value: 4 }
+    ]);
+  });
+
+  test('échappe les segments de JSON Pointer', () => {
+    expect(genererPatch({ 'a/b': 1, 'c~d': 1 }, { 'a/b': 2, 'c~d': 2 })).toEqual([
+      { op: 'replace', path: '/a~1b', value: 2 },
+      { op: 'replace', path: '/c~0d', value: 2 }
+    ]);
+  });
+
+  test('tableaux identifiés : une marque ajoutée produit un seul add', () => {
+    const avant = [{ id: 1, nom: 'A' }, { id: 3, nom: 'C' }];
+    const apres = [{ id: 1, nom: 'A' }, { id: 2, nom: 'B' }, { id: 3, nom: 'C' }];
+    expect(genererPatch(avant, apres)).toEqual([{ op: 'add', path: '/1', value: { id: 2, nom: 'B' } }]);
+  });
+
+  test('tableaux identifiés : suppression puis modification à l\'index final', () => {
+    const avant = [{ id: 1, nom: 'A' }, { id: 2, nom: 'B' }, { id: 3, nom: 'C' }];
+    const apres = [{ id: 1, nom: 'A' }, { id: 3, nom: 'C2' }];
+    expect(genererPatch(avant, apres)).toEqual([
+      { op: 'remove', path: '/1' },
+      { op: 'replace', path: '/1/nom', value: 'C2' }
+    ]);
+  });
+
+  test('tableaux identifiés réordonnés : remplacement complet', () => {
+    const apres = [{ id: 2 }, { id: 1 }];
+    expect(genererPatch([{ id: 1 }, { id: 2 }], apres)).toEqual([{ op: 'replace', path: '', value: apres }]);
+  });
+
+  test('tableaux sans identifiant de longueurs différentes : remplacement complet', () => {
+    expect(genererPatch({ t: [1, 2] }, { t: [1, 2, 3] })).toEqual([{ op: 'replace', path: '/t', value: [1, 2, 3] }]);
+  });
+});
+
+describe('appliquerPatch', () => {
+  const cas = [
+    [{ a: 1, b: { c: [1, 2] } }, { a: 2, b: { c: [1, 2, 3] }, d: null }],
+    [
+      [{ id: 1, nom: 'A', ev: [{ id: 9 }] }, { id: 2, nom: 'B' }, { id: 4, nom: 'D' }],
+      [{ id: 1, nom: 'A2', ev: [] }, { id: 3, nom: 'C' }, { id: 4, nom: 'D' }, { id: 5, nom: 'E' }]
+    ],
+    [[{ id: 1 }, { id: 2 }], [{ id: 2 }, { id: 1 }]],
+    [{ 'a/b': { 'c~d': 1 } }, { 'a/b': { 'c~d': 2 } }]
+  ];
+
+  test.each(cas)('appliquer genererPatch(avant, apres) à avant donne apres (%#)', (avant, apres) => {
+    expect(appliquerPatch(avant, genererPatch(avant, apres))).toEqual(apres);
+  });
+
+  test('ne modifie pas le document source', () => {
+    const avant = { a: [{ id: 1 }] };
+    appliquerPatch(avant, [{ op: 'add', path: '/a/1', value: { id: 2 } }]);
+    expect(avant).toEqual({ a: [{ id: 1 }] });
+  });
+});
@@ -0,0 +1,29 @@
+/**
+ * Module utilitaire de normalisation des noms de marques
+ * Utilisé par brands-index.js (index hors-ligne de l'extension), suggestions.js (via correspondanceNoms.js) et recherche.js
+ *
+ * "L'Oréal", "l oreal" et "LOREAL" doivent produire la même clé de correspondance.
+ */
+
+// Ligatures non décomposées par la normalisation Unicode NFD
+const LIGATURES = { 'œ': 'oe', 'æ': 'ae', 'ß': 'ss', 'ø': 'o', 'ł': 'l', 'đ': 'd' };
+
+/**
+ * Normalise un texte pour la correspondance : minuscules, sans accents ni ponctuation
+ * @param {string} texte - Nom de marque, alias ou requête utilisateur
+ * @returns {string} Mots séparés par un espace simple
+ * @example normaliserTexte("L'Oréal Paris") // 'l oreal paris'
+ */
+export function normaliserTexte(texte) {
+  if (typeof texte !== 'string') {
+    return '';
+  }
+
+  return texte
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[œæßøłđ]/g, caractere => LIGATURES[caractere])
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
@@ -0,0 +1,159 @@
+/**
+ * Module utilitaire de pagination par curseur (keyset)
+ * Utilisé par marques.js, evenements.js et secteurs-marque.js
+ *
+ * Sur demande seulement (`pagination=curseur` ou `cursor`) : sans ces paramètres, les listes
+ * gardent leur format tableau (extension). Le curseur est opaque pour les clients : il encode
+ * les valeurs des colonnes de tri du dernier élément de la page, la page suivante commence
+ * strictement après, et ne se décale donc pas quand des lignes sont ajoutées ou supprimées.
+ */
+
+export const MODE_CURSEUR = 'curseur';
+
+/**
+ * Curseur opaque (base64url) pour un type de liste
+ * @param {string} type - Liste et tri du curseur (un curseur n'est valable que pour la même liste)
+ * @param {Array} valeurs - Valeurs des clés de tri du dernier élément de la page
+ */
+export function encoderCurseur(type, valeurs) {
+  return Buffer.from(JSON.stringify({ t: type, v: valeurs })).toString('base64url');
+}
+
+/**
+ * Valeurs d'un curseur
+ * @returns {Array|null} null si le curseur est illisible ou d'un autre type
+ */
+export function decoderCurseur(curseur, type, nbValeurs) {
+  try {
+    const { t, v } = JSON.parse(Buffer.from(curseur, 'base64url').toString('utf8'));
+    return t === type && Array.isArray(v) && v.length === nbValeurs ? v : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Paramètres de pagination par curseur d'une requête
+ * @param {Object} parametres - Paramètres de requête bruts ({ pagination, cursor, limit, offset })
+ * @param {Object} options - { type, nbValeurs, limiteDefaut, limiteMax }
+ * @returns {Object|null} null sans pagination par curseur, sinon { valeurs: valeurs du curseur (null en première page), cursor, limite } ou { erreur }
+ */
+export function analyserPaginationCurseur(parametres = {}, { type, nbValeurs, limiteDefaut, limiteMax }) {
+  const { pagination, cursor, limit, offset } = parametres;
+
+  if (pagination === undefined && cursor === undefined) return null;
+
+  if (pagination !== undefined && pagination !== MODE_CURSEUR) {
+    return { erreur: `Le paramètre pagination ne peut valoir que ${MODE_CURSEUR}` };
+  }
+
+  if (offset !== undefined) {
+    return { erreur: 'Le paramètre offset est incompatible avec la pagination par curseur' };
+  }
+
+  const limite = limit === undefined ? limiteDefaut : Number(limit);
+  if (!Number.isInteger(limite) || limite < 1 || limite > limiteMax) {
+    return { erreur: `Le paramètre limit doit être compris entre 1 et ${limiteMax}` };
+  }
+
+  const valeurs = cursor ? decoderCurseur(cursor, type, nbValeurs) : null;
+  if (cursor && !valeurs) {
+    return { erreur: 'Curseur invalide ou expiré : recommencer sans cursor' };
+  }
+
+  return { valeurs, cursor: cursor || null, limite };
+}
+
+/**
+ * Valeur d'un filtre PostgREST, entre guillemets (virgules et parenthèses des noms)
+ */
+function valeurFiltre(valeur) {
+  return `"${String(valeur).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Filtre PostgREST `.or()` des lignes strictement après les valeurs du curseur
+ * @param {Array} cles - [{ colonne, croissant, nullable }], la dernière clé (id) unique et non nulle ; valeurs nulles en dernier
+ * @param {Array} valeurs - Valeurs du curseur, dans l'ordre des clés
+ * @returns {string} ex: `date.lt."2024-01-01",date.is.null,and(date.eq."2024-01-01",id.lt."42")`
+ */
+export function filtreApresCurseur(cles, valeurs) {
+  const alternatives = (index) => {
+    const { colonne, croissant, nullable } = cles[index];
+    const valeur = valeurs[index];
+    const operateur = croissant ? 'gt' : 'lt';
+
+    if (index === cles.length - 1) return [`${colonne}.${operateur}.${valeurFiltre(valeur)}`];
+
+    const suite = alternatives(index + 1);
+    const apresEgalite = suite.length === 1 ? suite[0] : `or(${suite.join(',')})`;
+
+    // Valeur nulle : seules les lignes nulles suivantes restent (nulls en dernier)
+    if (valeur === null) return [`and(${colonne}.is.null,${apresEgalite})`];
+
+    return [
+      `${colonne}.${operateur}.${valeurFiltre(valeur)}`,
+      ...(nullable ? [`${colonne}.is.null`] : []),
+      `and(${colonne}.eq.${valeurFiltre(valeur)},${apresEgalite})`
+    ];
+  };
+
+  return alternatives(0).join(',');
+}
+
+/**
+ * Applique le tri des clés et la position du curseur à une requête Supabase
+ * Une ligne de plus que la limite est demandée pour savoir s'il reste une page
+ */
+export function appliquerPaginationCurseur(requete, cles, { valeurs, limite }) {
+  let requetePaginee = requete;
+  for (const { colonne, croissant } of cles) {
+    requetePaginee = requetePaginee.order(colonne, { ascending: croissant, nullsFirst: false });
+  }
+
+  if (valeurs) {
+    requetePaginee = requetePaginee.or(filtreApresCurseur(cles, valeurs));
+  }
+
+  return requetePaginee.limit(limite + 1);
+}
+
+/**
+ * Page et curseur suivant à partir des lignes lues (limite + 1)
+ * @param {Function} valeursCles - (ligne) => valeurs des clés de tri de la ligne
+ * @returns {Object} { lignes, nextCursor: null sur la dernière page }
+ */
+export function decouperPage(lignes, { limite }, type, valeursCles) {
+  const page = (lignes || []).slice(0, limite);
+  const nextCursor = (lignes || []).length > limite && page.length > 0
+    ? encoderCurseur(type, valeursCles(page[page.length - 1]))
+    : null;
+
+  return { lignes: page, nextCursor };
+}
+
+/**
+ * En-tête Link (RFC 8288) : première page et page suivante, avec les autres paramètres de la requête
+ * URL absolue si l'URL de la requête est connue (rawUrl), chemin relatif sinon
+ */
+export function enTetesPagination(event, { limite, nextCursor }) {
+  const lien = (cursor) => {
+    const url = new URL(event.rawUrl || event.path || '/', 'http://localhost');
+    url.search = '';
+    for (const [nom, valeur] of Object.entries(event.queryStringParameters || {})) {
+      if (!['cursor', 'pagination', 'offset', 'limit'].includes(nom)) url.searchParams.set(nom, valeur);
+    }
+    if (cursor) {
+      url.searchParams.set('cursor', cursor);
+    } else {
+      url.searchParams.set('pagination', MODE_CURSEUR);
+    }
+    url.searchParams.set('limit', String(limite));
+    return event.rawUrl ? url.toString() : `${url.pathname}${url.search}`;
+  };
+
+  const liens = [`<${lien(null)}>; rel="first"`];
+  if (nextCursor) liens.push(`<${lien(nextCursor)}>; rel="next"`);
+
+  return { 'Link': liens.join(', ') };
+}
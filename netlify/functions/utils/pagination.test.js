@@ -0,0 +1,76 @@
+import { decoderCurseur, decouperPage, encoderCurseur, filtreApresCurseur } from './pagination.js';
+
+describe('encoderCurseur / decoderCurseur', () => {
+  test('retrouve les valeurs encodées', () => {
+    const curseur = encoderCurseur('marques:alphabetique', ['Nestlé', 42]);
+    expect(decoderCurseur(curseur, 'marques:alphabetique', 2)).toEqual(['Nestlé', 42]);
+  });
+
+  test('refuse un curseur d\'une autre liste', () => {
+    const curseur = encoderCurseur('evenements', ['2024-01-01', 7]);
+    expect(decoderCurseur(curseur, 'marques:alphabetique', 2)).toBeNull();
+  });
+
+  test('refuse un nombre de valeurs différent', () => {
+    const curseur = encoderCurseur('marques:evenements', [3, 'Nike', 1]);
+    expect(decoderCurseur(curseur, 'marques:evenements', 2)).toBeNull();
+  });
+
+  test('refuse un curseur illisible', () => {
+    expect(decoderCurseur('pas-du-json', 'marques:alphabetique', 2)).toBeNull();
+    expect(decoderCurseur(Buffer.from('{"t":"x"}').toString('base64url'), 'x', 1)).toBeNull();
+  });
+});
+
+describe('filtreApresCurseur', () => {
+  test('clé unique : comparaison stricte', () => {
+    expect(filtreApresCurseur([{ colonne: 'id', croissant: true }], [42])).toBe('id.gt."42"');
+  });
+
+  test('clés composées : égalité puis clé suivante', () => {
+    const cles = [{ colonne: 'nom', croissant: true }, { colonne: 'id', croissant: true }];
+    expect(filtreApresCurseur(cles, ['Nike', 7])).toBe('nom.gt."Nike",and(nom.eq."Nike",id.gt."7")');
+  });
+
+  test('ordre décroissant et colonne nullable : les lignes nulles suivent', () => {
+    const cles = [{ colonne: 'date', croissant: false, nullable: true }, { colonne: 'id', croissant: false }];
+    expect(filtreApresCurseur(cles, ['2024-01-01', 42]))
+      .toBe('date.lt."2024-01-01",date.is.null,and(date.eq."2024-01-01",id.lt."42")');
+  });
+
+  test('valeur nulle : seules les lignes nulles suivantes restent', () => {
+    const cles = [{ colonne: 'date', croissant: false, nullable: true }, { colonne: 'id', croissant: false }];
+    expect(filtreApresCurseur(cles, [null, 42])).toBe('and(date.is.null,id.lt."42")');
+  });
+
+  test('trois clés : alternatives imbriquées', () => {
+    const cles = [
+      { colonne: 'date', croissant: false, nullable: true },
+      { colonne: 'nom', croissant: true },
+      { colonne: 'id', croissant: true }
+    ];
+    expect(filtreApresCurseur(cles, [null, 'A', 1]))
+      .toBe('and(date.is.null,or(nom.gt."A",and(nom.eq."A",id.gt."1")))');
+  });
+
+  test('échappe guillemets et barres obliques inverses des valeurs', () => {
+    const cles = [{ colonne: 'nom', croissant: true }, { colonne: 'id', croissant: true }];
+    expect(filtreApresCurseur(cles, ['Marque "X" (\\)', 3]))
+      .toBe('nom.gt."Marque \\"X\\" (\\\\)",and(nom.eq."Marque \\"X\\" (\\\\)",id.gt."3")');
+  });
+});
+
+describe('decouperPage', () => {
+  const valeursCles = ligne => [ligne.id];
+
+  test('curseur suivant quand une ligne de plus que la limite est lue', () => {
+    const { lignes, nextCursor } = decouperPage([{ id: 1 }, { id: 2 }, { id: 3 }], { limite: 2 }, 'liste', valeursCles);
+    expect(lignes).toEqual([{ id: 1 }, { id: 2 }]);
+    expect(decoderCurseur(nextCursor, 'liste', 1)).toEqual([2]);
+  });
+
+  test('pas de curseur sur la dernière page', () => {
+    expect(decouperPage([{ id: 1 }], { limite: 2 }, 'liste', valeursCles).nextCursor).toBeNull();
+    expect(decouperPage(null, { limite: 2 }, 'liste', valeursCles)).toEqual({ lignes: [], nextCursor: null });
+  });
+});
@@ -0,0 +1,27 @@
+/**
+ * Module utilitaire pour les paramètres de chemin des routes réécrites par netlify.toml
+ *
+ * Avec une redirection `status = 200`, `event.path` contient le chemin public
+ * (ex: /api/barcode/3017620422003) : les segments dynamiques sont extraits par motif.
+ */
+
+/**
+ * Extrait un paramètre de chemin, avec repli sur le paramètre de requête du même nom
+ * @param {Object} event - Événement Netlify
+ * @param {RegExp} motif - Expression avec un groupe capturant (ex: /\/barcode\/([^/]+)\/?$/)
+ * @param {string} nomParametre - Nom du paramètre de requête de repli (ex: 'gtin')
+ * @returns {string|null} Valeur décodée ou null
+ */
+export function extraireParametreChemin(event, motif, nomParametre) {
+  const correspondance = (event.path || '').match(motif);
+  if (correspondance && correspondance[1]) {
+    try {
+      return decodeURIComponent(correspondance[1]);
+    } catch {
+      return null;
+    }
+  }
+
+  const valeur = event.queryStringParameters?.[nomParametre];
+  return valeur || null;
+}
@@ -0,0 +1,128 @@
+/**
+ * Module utilitaire du score de risque d'une marque
+ * Utilisé par marques.js (via transformationMarques.js) et marques-stats.js : un seul calcul pour tous les clients
+ *
+ * Score additif, détaillé par composante :
+ * - categories : poids de la catégorie de chaque événement (dérivé de Categorie.ordre)
+ * - condamnations : majoration des événements avec condamnation judiciaire
+ * - anciennete : décote des événements anciens (demi-vie), négative
+ * - beneficiaires : bénéficiaires controversés de la chaîne, atténués par niveau
+ *
+ * Pondérations par défaut surchargeables avec la variable d'environnement SCORE_RISQUE_PONDERATIONS (JSON partiel).
+ */
+
+export const PONDERATIONS_SCORE_DEFAUT = {
+  // poids = max(poidsMin, poidsMax - (ordre - 1) * pas) : les premières catégories pèsent le plus
+  categorie: { poidsMax: 3, poidsMin: 1, pas: 0.5 },
+  // Poids imposé par ID de catégorie, prioritaire sur l'ordre
+  poidsParCategorie: {},
+  multiplicateurCondamnation: 2,
+  // Un événement vieux de `demiVieAnnees` compte pour moitié
+  demiVieAnnees: 5,
+  // poids * attenuationParNiveau ^ niveau (niveau 0 = bénéficiaire direct)
+  beneficiaire: { poids: 2, attenuationParNiveau: 0.5 }
+};
+
+const MS_PAR_AN = 365.25 * 24 * 60 * 60 * 1000;
+
+/**
+ * Pondérations par défaut complétées par SCORE_RISQUE_PONDERATIONS
+ * Une configuration illisible est ignorée (pondérations par défaut)
+ */
+function chargerPonderations() {
+  const brut = process.env.SCORE_RISQUE_PONDERATIONS;
+  if (!brut) return PONDERATIONS_SCORE_DEFAUT;
+
+  try {
+    const surcharge = JSON.parse(brut);
+    return {
+      ...PONDERATIONS_SCORE_DEFAUT,
+      ...surcharge,
+      categorie: { ...PONDERATIONS_SCORE_DEFAUT.categorie, ...surcharge.categorie },
+      poidsParCategorie: { ...PONDERATIONS_SCORE_DEFAUT.poidsParCategorie, ...surcharge.poidsParCategorie },
+      beneficiaire: { ...PONDERATIONS_SCORE_DEFAUT.beneficiaire, ...surcharge.beneficiaire }
+    };
+  } catch (error) {
+    console.warn('SCORE_RISQUE_PONDERATIONS invalide, pondérations par défaut utilisées:', error.message);
+    return PONDERATIONS_SCORE_DEFAUT;
+  }
+}
+
+export const PONDERATIONS_SCORE = chargerPonderations();
+
+const arrondir = valeur => Math.round(valeur * 100) / 100;
+
+// Début du jour (UTC) : score stable d'une requête à l'autre dans la journée (cache, ETag, patches)
+const debutJourUtc = () => Math.floor(Date.now() / 86400000) * 86400000;
+
+/**
+ * Poids d'une catégorie d'événement
+ * @param {Object|null} categorie - { id, ordre }, catégorie absente = poids minimal
+ */
+export function poidsCategorie(categorie, ponderations = PONDERATIONS_SCORE) {
+  if (!categorie) return ponderations.categorie.poidsMin;
+
+  const impose = ponderations.poidsParCategorie[categorie.id];
+  if (typeof impose === 'number') return impose;
+
+  const ordre = Number.isFinite(categorie.ordre) && categorie.ordre >= 1 ? categorie.ordre : null;
+  if (ordre === null) return ponderations.categorie.poidsMin;
+
+  const { poidsMax, poidsMin, pas } = ponderations.categorie;
+  return Math.max(poidsMin, poidsMax - (ordre - 1) * pas);
+}
+
+/**
+ * Facteur de décote d'un événement selon son âge (1 si la date est absente ou future)
+ */
+function facteurAnciennete(date, maintenant, ponderations) {
+  const horodatage = date ? new Date(date).getTime() : NaN;
+  if (!Number.isFinite(horodatage) || !(ponderations.demiVieAnnees > 0)) return 1;
+
+  const ageAnnees = Math.max(0, (maintenant - horodatage) / MS_PAR_AN);
+  return Math.pow(0.5, ageAnnees / ponderations.demiVieAnnees);
+}
+
+/**
+ * Score de risque d'une marque
+ * @param {Object} donnees - {
+ *   evenements: [{ date, condamnation_judiciaire, categorie: { id, ordre } }],
+ *   beneficiairesControverses: [{ niveau }] (bénéficiaires controversés de la chaîne)
+ * }
+ * @param {Object} options - { maintenant: horodatage de référence (début du jour UTC par défaut), ponderations }
+ * @returns {Object} { total, composantes: { categories, condamnations, anciennete, beneficiaires } }
+ */
+export function calculerScoreRisque({ evenements = [], beneficiairesControverses = [] }, {
+  maintenant = debutJourUtc(),
+  ponderations = PONDERATIONS_SCORE
+} = {}) {
+  const composantes = { categories: 0, condamnations: 0, anciennete: 0, beneficiaires: 0 };
+
+  for (const evenement of evenements) {
+    const poids = poidsCategorie(evenement.categorie, ponderations);
+    const majore = evenement.condamnation_judiciaire === true
+      ? poids * ponderations.multiplicateurCondamnation
+      : poids;
+
+    composantes.categories += poids;
+    composantes.condamnations += majore - poids;
+    composantes.anciennete -= majore * (1 - facteurAnciennete(evenement.date, maintenant, ponderations));
+  }
+
+  const { poids, attenuationParNiveau } = ponderations.beneficiaire;
+  for (const { niveau = 0 } of beneficiairesControverses) {
+    composantes.beneficiaires += poids * Math.pow(attenuationParNiveau, niveau);
+  }
+
+  const total = composantes.categories + composantes.condamnations + composantes.anciennete + composantes.beneficiaires;
+
+  return {
+    total: arrondir(total),
+    composantes: {
+      categories: arrondir(composantes.categories),
+      condamnations: arrondir(composantes.condamnations),
+      anciennete: arrondir(composantes.anciennete),
+      beneficiaires: arrondir(composantes.beneficiaires)
+    }
+  };
+}
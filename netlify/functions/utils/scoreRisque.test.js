@@ -0,0 +1,73 @@
+import { calculerScoreRisque, PONDERATIONS_SCORE_DEFAUT, poidsCategorie } from './scoreRisque.js';
+
+const MS_PAR_AN = 365.25 * 24 * 60 * 60 * 1000;
+const maintenant = Date.UTC(2025, 0, 1);
+const options = { maintenant, ponderations: PONDERATIONS_SCORE_DEFAUT };
+
+describe('poidsCategorie', () => {
+  test('décroît avec l\'ordre jusqu\'au poids minimal', () => {
+    expect(poidsCategorie({ id: 1, ordre: 1 }, PONDERATIONS_SCORE_DEFAUT)).toBe(3);
+    expect(poidsCategorie({ id: 2, ordre: 2 }, PONDERATIONS_SCORE_DEFAUT)).toBe(2.5);
+    expect(poidsCategorie({ id: 9, ordre: 9 }, PONDERATIONS_SCORE_DEFAUT)).toBe(1);
+  });
+
+  test('catégorie absente ou sans ordre : poids minimal', () => {
+    expect(poidsCategorie(null, PONDERATIONS_SCORE_DEFAUT)).toBe(1);
+    expect(poidsCategorie({ id: 1, ordre: null }, PONDERATIONS_SCORE_DEFAUT)).toBe(1);
+  });
+
+  test('poids imposé par ID prioritaire sur l\'ordre', () => {
+    const ponderations = { ...PONDERATIONS_SCORE_DEFAUT, poidsParCategorie: { 4: 5 } };
+    expect(poidsCategorie({ id: 4, ordre: 9 }, ponderations)).toBe(5);
+  });
+});
+
+describe('calculerScoreRisque', () => {
+  test('aucune donnée : score nul', () => {
+    expect(calculerScoreRisque({}, options)).toEqual({
+      total: 0,
+      composantes: { categories: 0, condamnations: 0, anciennete: 0, beneficiaires: 0 }
+    });
+  });
+
+  test('événement récent sans condamnation : poids de la catégorie', () => {
+    const evenements = [{ date: new Date(maintenant).toISOString(), categorie: { id: 1, ordre: 1 } }];
+    expect(calculerScoreRisque({ evenements }, options)).toEqual({
+      total: 3,
+      composantes: { categories: 3, condamnations: 0, anciennete: 0, beneficiaires: 0 }
+    });
+  });
+
+  test('condamnation judiciaire : poids multiplié', () => {
+    const evenements = [{ date: null, condamnation_judiciaire: true, categorie: { id: 1, ordre: 1 } }];
+    expect(calculerScoreRisque({ evenements }, options).composantes).toEqual({
+      categories: 3,
+      condamnations: 3,
+      anciennete: 0,
+      beneficiaires: 0
+    });
+  });
+
+  test('événement d\'une demi-vie : compte pour moitié', () => {
+    const evenements = [{ date: new Date(maintenant - 5 * MS_PAR_AN).toISOString(), categorie: { id: 1, ordre: 1 } }];
+    const { total, composantes } = calculerScoreRisque({ evenements }, options);
+    expect(composantes.anciennete).toBe(-1.5);
+    expect(total).toBe(1.5);
+  });
+
+  test('date future : aucune décote', () => {
+    const evenements = [{ date: '2030-01-01', categorie: null }];
+    expect(calculerScoreRisque({ evenements }, options).composantes.anciennete).toBe(0);
+  });
+
+  test('bénéficiaires controversés atténués par niveau', () => {
+    const beneficiairesControverses = [{ niveau: 0 }, { niveau: 1 }, { niveau: 2 }, {}];
+    expect(calculerScoreRisque({ beneficiairesControverses }, options).composantes.beneficiaires).toBe(5.5);
+  });
+
+  test('total arrondi au centième', () => {
+    const evenements = [{ date: new Date(maintenant - MS_PAR_AN).toISOString(), categorie: { id: 1, ordre: 1 } }];
+    const { total } = calculerScoreRisque({ evenements }, options);
+    expect(total).toBe(Math.round(3 * Math.pow(0.5, 1 / 5) * 100) / 100);
+  });
+});
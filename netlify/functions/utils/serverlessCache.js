@@ -7,19 +7,38 @@
 const UNIFIED_TTL = {
   // Endpoints optimisés (Solutions 1, 2, 3)
   suggestions: 5 * 60 * 1000,        // 5 minutes - auto-complétion ultra-rapide
+  index_noms: 10 * 60 * 1000,        // 10 minutes - index des noms et alias normalisés
+  marques_batch: 10 * 60 * 1000,     // 10 minutes - marque transformée par ID, détail, version et budget
+  recherche: 5 * 60 * 1000,          // 5 minutes - recherche plein texte
   marques_search: 10 * 60 * 1000,    // 10 minutes - recherche déléguée
   marques_all: 20 * 60 * 1000,       // 20 minutes - liste complète avec SQL JOINs
+  marques_filtres: 10 * 60 * 1000,   // 10 minutes - liste filtrée / triée avec facettes
 
   // Endpoints existants optimisés
   version: 5 * 60 * 1000,            // 5 minutes - frequently accessed
   health: 2 * 60 * 1000,             // 2 minutes - monitoring rapide
   updates: 10 * 60 * 1000,           // 10 minutes - moderate frequency
   full: 30 * 60 * 1000,              // 30 minutes - heavy payload
+  diff: 60 * 60 * 1000,              // 1 heure - patch immuable entre deux checksums
+  snapshot_courant: 5 * 60 * 1000,   // 5 minutes - snapshot /api/marques et son checksum (brands-diff)
+  domaines: 30 * 60 * 1000,          // 30 minutes - index domaines → marques (extension)
+  brands_index: 24 * 60 * 60 * 1000, // 24 heures - index hors-ligne, clé = checksum
+  brands_index_courant: 5 * 60 * 1000, // 5 minutes - checksum de l'index courant (redirection, version des données)
+  prefixes_gs1: 30 * 60 * 1000,      // 30 minutes - préfixes GS1 → marques (scan code-barres)
   beneficiaires_chaine: 15 * 60 * 1000,  // 15 minutes - chaîne avec marques optimisée
+  beneficiaires_marques: 15 * 60 * 1000, // 15 minutes - marques qui financent un bénéficiaire (amont)
+  beneficiaires: 15 * 60 * 1000,     // 15 minutes - annuaire paginé des bénéficiaires
+  beneficiaires_detail: 15 * 60 * 1000, // 15 minutes - fiche bénéficiaire
+  chemin: 15 * 60 * 1000,            // 15 minutes - chemins marque → bénéficiaire
+  graphe_complet: 30 * 60 * 1000,    // 30 minutes - graphe complet pour export
+  audit: 10 * 60 * 1000,             // 10 minutes - audit d'intégrité (contributeurs)
   evenements: 15 * 60 * 1000,        // 15 minutes - événements avec pagination
   categories: 60 * 60 * 1000,         // 1 heure - catégories quasi-statiques
   secteurs: 60 * 60 * 1000,          // 1 heure - secteurs marques stables
-  marques_stats: 30 * 60 * 1000      // 30 minutes - statistiques calculées
+  marques_stats: 30 * 60 * 1000,     // 30 minutes - statistiques calculées
+  marques_compare: 10 * 60 * 1000,   // 10 minutes - comparaison de marques
+  marques_alternatives: 15 * 60 * 1000, // 15 minutes - alternatives d'une marque
+  graphe_controverses: 10 * 60 * 1000 // 10 minutes - graphe des controverses (comparaison)
 };
 
 class ServerlessCache {
@@ -41,8 +60,14 @@ class ServerlessCache {
   getMaxSizeForFunction(functionName) {
     const sizeConfig = {
       suggestions: 200,        // Beaucoup de queries différentes
+      recherche: 200,          // Une entrée par terme, types et page
       marques: 100,           // Searches + all
+      marques_batch: 500,     // Une entrée par marque, détail et budget + l'index des noms
       beneficiaires_chaine: 50, // Moins de variété mais plus gros
+      beneficiaires_marques: 50, // Un résultat par bénéficiaire et profondeur
+      beneficiaires: 100,      // Recherches + fiches
+      marques_compare: 50,     // Une entrée par combinaison de marques + le graphe
+      marques_alternatives: 100, // Une entrée par marque et catégories exclues + le graphe
       evenements: 30,         // Relativement stable
       categories: 10,         // Très stable
       secteurs: 10,           // Très stable
@@ -0,0 +1,187 @@
+/**
+ * Module utilitaire des statistiques de marques
+ * Utilisé par marques-stats.js (page /marques), marques-compare.js (comparaison), marques-alternatives.js
+ * et transformationMarques.js (score de risque de /api/marques en mode liste)
+ *
+ * Les bénéficiaires controversés sont cherchés dans le graphe complet, chargé une fois
+ * pour toutes les marques (chargerGrapheComplet), avec le même budget que la chaîne.
+ */
+import {
+  calculerParticipationsEffectives,
+  chargerGrapheComplet,
+  parcourirGrapheEnMemoire,
+  recupererToutesLignes
+} from './chaineBeneficiaires.js';
+import { calculerScoreRisque } from './scoreRisque.js';
+
+// Marques avec secteur et événements catégorisés
+export const SELECT_STATS_MARQUES = `
+  id,
+  nom,
+  secteur_marque_id,
+  secteur_marque:SecteurMarque!Marque_secteur_marque_id_fkey (
+    id,
+    nom
+  ),
+  Evenement (
+    id,
+    categorie_id,
+    date,
+    condamnation_judiciaire,
+    Categorie!Evenement_categorie_id_fkey (
+      id,
+      nom,
+      emoji,
+      couleur,
+      ordre
+    )
+  )
+`;
+
+/**
+ * Graphe des bénéficiaires chargé une fois pour toutes les marques
+ * (au lieu d'un parcours récursif avec plusieurs requêtes par bénéficiaire)
+ */
+export async function chargerGrapheControverses(supabase) {
+  const [{ beneficiaires, liaisons, relations }, controverses] = await Promise.all([
+    chargerGrapheComplet(supabase),
+    recupererToutesLignes(supabase, 'controverse_beneficiaire', 'id, beneficiaire_id')
+  ]);
+
+  const beneficiairesParId = new Map(beneficiaires.map(b => [b.id, b]));
+
+  const liaisonsParMarque = new Map();
+  for (const liaison of liaisons) {
+    if (!beneficiairesParId.has(liaison.beneficiaire_id)) continue;
+    liaisonsParMarque.set(liaison.marque_id, [...(liaisonsParMarque.get(liaison.marque_id) || []), liaison]);
+  }
+
+  const relationsParSource = new Map();
+  for (const relation of relations) {
+    if (!beneficiairesParId.has(relation.beneficiaire_cible_id)) continue;
+    relationsParSource.set(relation.beneficiaire_source_id, [...(relationsParSource.get(relation.beneficiaire_source_id) || []), relation]);
+  }
+
+  return {
+    beneficiairesParId,
+    liaisonsParMarque,
+    relationsParSource,
+    idsControverses: new Set(controverses.map(c => c.beneficiaire_id))
+  };
+}
+
+/**
+ * Graphe des controverses conservé dans le cache unifié de la function (TTL `graphe_controverses`)
+ * @param {Object} supabase - Client Supabase
+ * @param {Object} cache - Cache de la function (createServerlessCache)
+ */
+export async function chargerGrapheControversesEnCache(supabase, cache) {
+  let graphe = cache.get('graphe_controverses');
+  if (!graphe) {
+    graphe = await chargerGrapheControverses(supabase);
+    cache.set('graphe_controverses', graphe);
+  }
+  return graphe;
+}
+
+/**
+ * Bénéficiaires controversés de la chaîne d'une marque, dans le budget de parcours, avec la participation effective de la marque
+ * @returns {Object} { count, beneficiaires, participationMax, participationComplete, troncature,
+ *   niveaux: Map<beneficiaire_id, niveau> de toute la chaîne parcourue, participations: Map<beneficiaire_id, participation> }
+ */
+export function getBeneficiairesControverses(graphe, marqueId, budget) {
+  const liaisons = graphe.liaisonsParMarque.get(marqueId) || [];
+  const { niveaux, troncature } = parcourirGrapheEnMemoire(liaisons, graphe.relationsParSource, budget);
+
+  // Participations calculées sur les seuls bénéficiaires parcourus
+  const relationsParcourues = new Map(Array.from(niveaux.keys()).map(id => [
+    id,
+    (graphe.relationsParSource.get(id) || []).filter(relation => niveaux.has(relation.beneficiaire_cible_id))
+  ]));
+  const participations = calculerParticipationsEffectives(
+    liaisons.filter(liaison => niveaux.has(liaison.beneficiaire_id)),
+    relationsParcourues,
+    { profondeurMax: budget.profondeurMax }
+  );
+
+  const beneficiaires = Array.from(niveaux.keys())
+    .filter(id => graphe.idsControverses.has(id))
+    .map(id => ({
+      id,
+      nom: graphe.beneficiairesParId.get(id).nom,
+      participationEffective: participations.get(id) || null
+    }))
+    // Participations les plus fortes d'abord, non renseignées en dernier
+    .sort((a, b) => (b.participationEffective?.pourcentage ?? -1) - (a.participationEffective?.pourcentage ?? -1));
+
+  const pourcentages = beneficiaires
+    .map(b => b.participationEffective?.pourcentage ?? null)
+    .filter(pourcentage => pourcentage !== null);
+
+  return {
+    count: beneficiaires.length,
+    beneficiaires,
+    participationMax: pourcentages.length > 0 ? Math.max(...pourcentages) : null,
+    participationComplete: beneficiaires.every(b => b.participationEffective?.complet === true),
+    troncature,
+    niveaux,
+    participations
+  };
+}
+
+/**
+ * Catégorie d'un événement, embarquée en objet ou en tableau selon la relation (null si absente)
+ */
+export function categorieEvenement(evenement) {
+  const categorie = evenement.Categorie;
+  let cat = null;
+  if (Array.isArray(categorie) && categorie.length > 0) {
+    cat = categorie[0];
+  } else if (categorie && 'nom' in categorie) {
+    cat = categorie;
+  }
+  return cat && cat.id ? cat : null;
+}
+
+/**
+ * Statistiques des événements d'une marque
+ * @param {Array} evenements - Événements avec leur catégorie (SELECT_STATS_MARQUES)
+ * @returns {Object} { nbControverses, nbCondamnations, categories: catégories uniques,
+ *   parCategorie: [{ categorie, nbEvenements, nbCondamnations }] du plus au moins fréquent }
+ */
+export function statistiquesEvenements(evenements = []) {
+  const parCategorie = new Map();
+
+  evenements.forEach((e) => {
+    const cat = categorieEvenement(e);
+    if (!cat) return;
+
+    const stats = parCategorie.get(cat.id) || { categorie: cat, nbEvenements: 0, nbCondamnations: 0 };
+    stats.nbEvenements++;
+    if (e.condamnation_judiciaire === true) stats.nbCondamnations++;
+    parCategorie.set(cat.id, stats);
+  });
+
+  return {
+    nbControverses: evenements.length,
+    nbCondamnations: evenements.filter((e) => e.condamnation_judiciaire === true).length,
+    categories: Array.from(parCategorie.values()).map(stats => stats.categorie),
+    parCategorie: Array.from(parCategorie.values()).sort((a, b) => b.nbEvenements - a.nbEvenements)
+  };
+}
+
+/**
+ * Score de risque d'une marque (scoreRisque.js)
+ * @param {Array} evenements - Événements avec leur catégorie (SELECT_STATS_MARQUES)
+ * @param {Object} controverses - Résultat de getBeneficiairesControverses pour la marque
+ */
+export function scoreRisqueMarque(evenements = [], controverses) {
+  return calculerScoreRisque({
+    evenements: evenements.map(e => ({
+      date: e.date,
+      condamnation_judiciaire: e.condamnation_judiciaire === true,
+      categorie: categorieEvenement(e)
+    })),
+    beneficiairesControverses: controverses.beneficiaires.map(b => ({ niveau: controverses.niveaux.get(b.id) }))
+  });
+}
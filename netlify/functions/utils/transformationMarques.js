@@ -0,0 +1,199 @@
+/**
+ * Module utilitaire pour le format de réponse de /api/marques
+ * Utilisé par marques.js et brands-diff.js (les patches JSON s'appliquent sur ce format)
+ */
+import {
+  construireChaineCompletePourMarque,
+  NOEUDS_MAX_DEFAUT,
+  PROFONDEUR_MAX_DEFAUT
+} from './chaineBeneficiaires.js';
+import { calculerScoreRisque } from './scoreRisque.js';
+import {
+  categorieEvenement,
+  chargerGrapheControverses,
+  chargerGrapheControversesEnCache,
+  getBeneficiairesControverses
+} from './statistiquesMarques.js';
+
+// Sélection SQL JOINs unifiée de /api/marques
+export const SELECT_MARQUES = `
+  *,
+  Evenement!marque_id (
+    id,
+    marque_id,
+    titre,
+    date,
+    source_url,
+    reponse,
+    condamnation_judiciaire,
+    Categorie!categorie_id (
+      id,
+      nom,
+      emoji,
+      couleur,
+      ordre
+    )
+  ),
+  Marque_beneficiaire!marque_id (
+    id,
+    beneficiaire_id,
+    lien_financier,
+    impact_specifique,
+    created_at,
+    updated_at,
+    Beneficiaires!marque_beneficiaire_beneficiaire_id_fkey (
+      id,
+      nom,
+      impact_generique,
+      type_beneficiaire,
+      created_at,
+      updated_at,
+      controverse_beneficiaire!beneficiaire_id (
+        id,
+        titre,
+        date,
+        source_url,
+        created_at,
+        Categorie!controverse_beneficiaire_categorie_id_fkey (
+          id,
+          nom,
+          emoji,
+          couleur,
+          ordre
+        )
+      ),
+      autres_marques:Marque_beneficiaire!marque_beneficiaire_beneficiaire_id_fkey (
+        Marque!marque_id (id, nom)
+      )
+    )
+  ),
+  SecteurMarque!secteur_marque_id (
+    id,
+    nom,
+    description,
+    message_boycott_tips,
+    created_at,
+    updated_at
+  )
+`;
+
+/**
+ * Requête de base de /api/marques (sélection + tri), à compléter par filtre et pagination
+ * @param {Object} supabase - Client Supabase
+ */
+export function construireRequeteMarques(supabase) {
+  return supabase
+    .from('Marque')
+    .select(SELECT_MARQUES)
+    // Order embedded events by their event date (newest first)
+    .order('date', { ascending: false, referencedTable: 'Evenement' })
+    .order('nom');
+}
+
+/**
+ * Transforme une marque (sélection SELECT_MARQUES) au format de réponse /api/marques
+ * @param {Object} supabase - Client Supabase
+ * @param {Object} marque - Ligne Marque avec ses relations embarquées
+ * @param {Object} options - { avecChaine: chaîne complète (mode recherche) ou bénéficiaires directs (mode liste), avecScore: score_risque (il décroît chaque jour : absent des snapshots de brands-diff), grapheControverses: graphe des controverses partagé pour le score (mode liste), version: format de marques_indirectes de la chaîne (versionApi.js), budget: { profondeurMax, noeudsMax } de la chaîne }
+ * @returns {Object} Marque transformée
+ */
+export async function transformerMarque(supabase, marque, {
+  avecChaine = false,
+  avecScore = true,
+  grapheControverses = null,
+  version = 1,
+  budget = { profondeurMax: PROFONDEUR_MAX_DEFAUT, noeudsMax: NOEUDS_MAX_DEFAUT }
+} = {}) {
+  // Construire les données selon le type de requête
+  let donneesChaine = {
+    chaine_beneficiaires: [],
+    total_beneficiaires_chaine: 0,
+    profondeur_max_chaine: 0
+  };
+
+  // Mode liste : pas de chaîne, le score s'appuie sur le graphe des controverses
+  if (avecChaine) {
+    // Pour les recherches : utiliser la nouvelle logique de chaîne complète
+    donneesChaine = await construireChaineCompletePourMarque(supabase, marque.id, budget.profondeurMax, {
+      version,
+      noeudsMax: budget.noeudsMax
+    });
+  }
+
+  // Traitement des événements
+  const evenements = marque.Evenement || [];
+
+  // Nettoyer les données pour éviter duplication
+  const { SecteurMarque, Marque_beneficiaire, Evenement, ...marqueClean } = marque;
+
+  // Simplifier les événements (supprimer redondances)
+  const evenementsTransformed = evenements.map(ev => ({
+    id: ev.id,
+    titre: ev.titre ?? ev.description,
+    date: ev.date,
+    source_url: ev.source_url,
+    reponse: ev.reponse,
+    condamnation_judiciaire: ev.condamnation_judiciaire === true,
+    categorie: ev.Categorie || null
+  }));
+
+  // Bénéficiaires controversés de la chaîne pour le score : chaîne déjà construite (recherche)
+  // ou parcours en mémoire du graphe des controverses (liste), avec le même budget ; rien sans score
+  let beneficiairesControverses = [];
+  if (avecScore && avecChaine) {
+    beneficiairesControverses = donneesChaine.chaine_beneficiaires
+      .filter(node => node.beneficiaire.controverses.length > 0)
+      .map(node => ({ niveau: node.niveau }));
+  } else if (avecScore) {
+    const controverses = getBeneficiairesControverses(
+      grapheControverses || await chargerGrapheControverses(supabase),
+      marque.id,
+      budget
+    );
+    beneficiairesControverses = controverses.beneficiaires.map(b => ({ niveau: controverses.niveaux.get(b.id) }));
+  }
+
+  return {
+    id: marqueClean.id,
+    nom: marqueClean.nom,
+    // Événements simplifiés
+    evenements: evenementsTransformed,
+    // Secteur (seulement si nécessaire pour BoycottTips)
+    message_boycott_tips: marqueClean.message_boycott_tips,
+    secteur_marque: SecteurMarque ? {
+      nom: SecteurMarque.nom,
+      message_boycott_tips: SecteurMarque.message_boycott_tips
+    } : null,
+    // Score de risque détaillé par composante (utils/scoreRisque.js)
+    ...(avecScore && {
+      score_risque: calculerScoreRisque({
+        evenements: evenements.map(ev => ({
+          date: ev.date,
+          condamnation_judiciaire: ev.condamnation_judiciaire === true,
+          categorie: categorieEvenement(ev)
+        })),
+        beneficiairesControverses
+      })
+    }),
+    // Données de chaîne (seulement pour recherche)
+    ...donneesChaine
+  };
+}
+
+/**
+ * Transforme une liste de marques (sélection SELECT_MARQUES) au format de réponse /api/marques
+ * En mode liste avec score, le graphe des controverses (score de risque) est chargé une seule fois
+ * @param {Object} supabase - Client Supabase
+ * @param {Array} marques - Lignes Marque avec leurs relations embarquées
+ * @param {Object} options - { avecChaine, avecScore, version, budget, cache: cache serverless de la fonction appelante (graphe des controverses, TTL `graphe_controverses`) }
+ * @returns {Array} Marques transformées
+ */
+export async function transformerMarques(supabase, marques, { avecChaine = false, avecScore = true, version = 1, budget, cache = null } = {}) {
+  let grapheControverses = null;
+
+  if (!avecChaine && avecScore) {
+    grapheControverses = await (cache ? chargerGrapheControversesEnCache(supabase, cache) : chargerGrapheControverses(supabase));
+  }
+
+  return Promise.all(marques.map(marque => transformerMarque(supabase, marque, { avecChaine, avecScore, grapheControverses, version, budget })));
+}
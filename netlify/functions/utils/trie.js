@@ -0,0 +1,81 @@
+/**
+ * Trie de préfixes compressé (radix trie) sérialisable en JSON
+ * Utilisé par brands-index.js
+ *
+ * Format d'un nœud : { "<fragment>": nœudEnfant, ..., "$": [indices] }
+ * - les arêtes portent des fragments de plusieurs caractères (chaînes sans embranchement fusionnées)
+ * - `$` liste les indices (table des marques) des clés se terminant sur ce nœud
+ * Aucune clé normalisée ne contient `$`, il n'y a donc pas de collision avec les arêtes.
+ */
+
+const TERMINAL = '$';
+
+/**
+ * Construit un trie compressé à partir de couples (clé, indice)
+ * @param {Array} entrees - [{ cle: string, indice: number }]
+ * @returns {Object} Racine du trie
+ */
+export function construireTrie(entrees) {
+  const racine = {};
+
+  // 1. Trie caractère par caractère
+  for (const { cle, indice } of entrees) {
+    if (!cle) continue;
+
+    let noeud = racine;
+    for (const caractere of cle) {
+      noeud[caractere] = noeud[caractere] || {};
+      noeud = noeud[caractere];
+    }
+
+    noeud[TERMINAL] = noeud[TERMINAL] || [];
+    if (!noeud[TERMINAL].includes(indice)) {
+      noeud[TERMINAL].push(indice);
+    }
+  }
+
+  // 2. Compression : fusion des nœuds à enfant unique et non terminaux
+  const compresser = (noeud) => {
+    const compresse = {};
+    if (noeud[TERMINAL]) {
+      compresse[TERMINAL] = noeud[TERMINAL];
+    }
+
+    for (const [fragment, enfant] of Object.entries(noeud)) {
+      if (fragment === TERMINAL) continue;
+
+      let etiquette = fragment;
+      let courant = enfant;
+      while (!courant[TERMINAL]) {
+        const aretes = Object.keys(courant);
+        if (aretes.length !== 1) break;
+        etiquette += aretes[0];
+        courant = courant[aretes[0]];
+      }
+
+      compresse[etiquette] = compresser(courant);
+    }
+
+    return compresse;
+  };
+
+  return compresser(racine);
+}
+
+/**
+ * Recherche exacte d'une clé dans un trie compressé (implémentation de référence pour les clients)
+ * @returns {Array} Indices associés à la clé (vide si absente)
+ */
+export function chercherDansTrie(racine, cle) {
+  let noeud = racine;
+  let reste = cle;
+
+  while (reste.length > 0) {
+    const arete = Object.keys(noeud).find(fragment => fragment !== TERMINAL && reste.startsWith(fragment));
+    if (!arete) return [];
+    noeud = noeud[arete];
+    reste = reste.slice(arete.length);
+  }
+
+  return noeud[TERMINAL] || [];
+}
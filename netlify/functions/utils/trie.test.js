@@ -0,0 +1,53 @@
+import { chercherDansTrie, construireTrie } from './trie.js';
+
+const entrees = [
+  { cle: 'nestle', indice: 0 },
+  { cle: 'nespresso', indice: 1 },
+  { cle: 'nes', indice: 2 },
+  { cle: 'nestle', indice: 3 },
+  { cle: 'nestle', indice: 0 },
+  { cle: '', indice: 4 }
+];
+
+describe('construireTrie', () => {
+  test('chaînes sans embranchement fusionnées, indices dédupliqués', () => {
+    expect(construireTrie(entrees)).toEqual({
+      nes: {
+        $: [2],
+        tle: { $: [0, 3] },
+        presso: { $: [1] }
+      }
+    });
+  });
+
+  test('clé vide ignorée', () => {
+    expect(construireTrie([{ cle: '', indice: 0 }])).toEqual({});
+  });
+
+  test('sérialisable en JSON sans perte', () => {
+    const trie = construireTrie(entrees);
+    expect(JSON.parse(JSON.stringify(trie))).toEqual(trie);
+  });
+});
+
+describe('chercherDansTrie', () => {
+  const trie = construireTrie(entrees);
+
+  test.each([
+    ['nestle', [0, 3]],
+    ['nespresso', [1]],
+    ['nes', [2]]
+  ])('clé présente : %s', (cle, indices) => {
+    expect(chercherDansTrie(trie, cle)).toEqual(indices);
+  });
+
+  test.each(['ne', 'nest', 'nestles', 'coca', ''])('clé absente ou simple préfixe : "%s"', (cle) => {
+    expect(chercherDansTrie(trie, cle)).toEqual([]);
+  });
+
+  test('caractères non ASCII', () => {
+    const trieAccents = construireTrie([{ cle: 'lóreal', indice: 0 }, { cle: 'loreal', indice: 1 }]);
+    expect(chercherDansTrie(trieAccents, 'lóreal')).toEqual([0]);
+    expect(chercherDansTrie(trieAccents, 'loreal')).toEqual([1]);
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Module utilitaire de négociation de la version des réponses
+ *
+ * - v1 (défaut, extension) : `marques_indirectes` en objet à clés "Intermédiaire → Intermédiaire"
+ * - v2 : `marques_indirectes` en arbre, avec l'ID du bénéficiaire à chaque étape
+ *
+ * Version demandée par `?v=2` ou par l'en-tête `Accept: application/vnd.odm.v2+json`.
+ */
+
+export const VERSIONS_API = [1, 2];
+export const VERSION_API_DEFAUT = 1;
+export const MEDIA_TYPE_V2 = 'application/vnd.odm.v2+json';
+
+/**
+ * Version demandée, le paramètre `v` primant sur l'en-tête Accept
+ * @param {string} v - Paramètre de requête `v`
+ * @param {string} accept - En-tête Accept
+ * @returns {number|null} Version (1 par défaut), null si `v` n'est pas une version connue
+ */
+export function negocierVersion(v, accept) {
+  if (v !== undefined && v !== null && v !== '') {
+    const version = Number(v);
+    return VERSIONS_API.includes(version) ? version : null;
+  }
+
+  return (accept || '').toLowerCase().includes(MEDIA_TYPE_V2) ? 2 : VERSION_API_DEFAUT;
+}
+
+/**
+ * Version demandée par un événement Netlify
+ */
+export function versionDemandee(event) {
+  return negocierVersion(
+    event.queryStringParameters?.v,
+    event.headers?.accept || event.headers?.Accept
+  );
+}
+
+/**
+ * En-têtes de réponse versionnée (la réponse dépend de l'en-tête Accept)
+ */
+export function enTetesVersion(version) {
+  return {
+    'X-API-Version': String(version),
+    'Vary': 'Accept'
+  };
+}
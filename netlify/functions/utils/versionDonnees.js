@@ -0,0 +1,102 @@
+/**
+ * Module utilitaire pour calculer la version du jeu de données
+ * Utilisé par brands-version.js, brands-updates.js, brands-full.js et brands-index.js (clé de l'index)
+ *
+ * Checksum composite : `${totalBrands}-${totalEvents}-${totalBeneficiaires}-${timestamp}` pour comparaison rapide côté extension
+ */
+
+// Tables dont les timestamps déterminent la version
+const TABLES_VERSIONNEES = ['Marque', 'Evenement', 'Beneficiaires'];
+
+/**
+ * La requête a-t-elle échoué parce que la colonne n'existe pas dans la table ?
+ */
+function colonneAbsente(error, colonne) {
+  const message = String(error?.message || '');
+  return (error?.code === '42703' || message.includes('does not exist')) && message.includes(colonne);
+}
+
+/**
+ * Récupère le timestamp le plus récent d'une table pour une colonne donnée
+ * Toute autre erreur que l'absence de la colonne est propagée : une version calculée
+ * sur une requête en échec serait fausse
+ * @param {Object} supabase - Client Supabase
+ * @param {string} table - Nom de la table
+ * @param {string} colonne - Colonne de date (updated_at ou created_at)
+ * @returns {string|null} Date ISO, ou null si la colonne est absente ou la table vide
+ */
+async function recupererDernierTimestamp(supabase, table, colonne) {
+  const { data, error } = await supabase
+    .from(table)
+    .select(colonne)
+    .order(colonne, { ascending: false, nullsFirst: false })
+    .limit(1);
+
+  if (error) {
+    if (colonneAbsente(error, colonne)) return null;
+    throw error;
+  }
+
+  if (!data || data.length === 0) {
+    return null;
+  }
+
+  return data[0][colonne] || null;
+}
+
+/**
+ * Compte le nombre de lignes d'une table sans récupérer les données
+ */
+async function compterLignes(supabase, table) {
+  const { count, error } = await supabase
+    .from(table)
+    .select('id', { count: 'exact', head: true });
+
+  if (error) throw error;
+  return count || 0;
+}
+
+/**
+ * Statistiques de version d'une table avec fallback gracieux : updated_at → created_at
+ * @returns {Object} { total, dernierTimestamp }
+ */
+export async function statsTable(supabase, table) {
+  const [total, updatedAt] = await Promise.all([
+    compterLignes(supabase, table),
+    recupererDernierTimestamp(supabase, table, 'updated_at')
+  ]);
+
+  const dernierTimestamp = updatedAt || await recupererDernierTimestamp(supabase, table, 'created_at');
+
+  return { total, dernierTimestamp };
+}
+
+/**
+ * Calcule la version courante du jeu de données
+ * @param {Object} supabase - Client Supabase
+ * @returns {Object} { version, lastUpdated, totalBrands, totalEvents, totalBeneficiaires, checksum }
+ */
+export async function calculerVersionDonnees(supabase) {
+  const [marques, evenements, beneficiaires] = await Promise.all(
+    TABLES_VERSIONNEES.map(table => statsTable(supabase, table))
+  );
+
+  // Timestamp le plus récent toutes tables confondues (fallback : 0, stable d'un appel à l'autre,
+  // pour que le checksum ne change pas tant que les données ne changent pas)
+  const timestamps = [marques, evenements, beneficiaires]
+    .map(stats => stats.dernierTimestamp ? new Date(stats.dernierTimestamp).getTime() : NaN)
+    .filter(ts => !Number.isNaN(ts));
+
+  const dernierTimestamp = timestamps.length > 0 ? Math.max(...timestamps) : 0;
+  const lastUpdated = new Date(dernierTimestamp).toISOString();
+
+  return {
+    version: lastUpdated,
+    lastUpdated,
+    totalBrands: marques.total,
+    totalEvents: evenements.total,
+    // Le nombre de bénéficiaires signale leurs suppressions, invisibles dans les timestamps
+    totalBeneficiaires: beneficiaires.total,
+    checksum: `${marques.total}-${evenements.total}-${beneficiaires.total}-${dernierTimestamp}`
+  };
+}